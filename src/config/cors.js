@@ -0,0 +1,32 @@
+// CORS settings. CORS_ORIGINS is a comma-separated allow-list of origins
+// (e.g. "https://app.example.com,http://localhost:5173"); unset or "*"
+// allows any origin. The rate limit, ETag and idempotency headers are
+// exposed so browser clients can read them.
+
+const EXPOSED_HEADERS = [
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset',
+  'RateLimit-Policy',
+  'Retry-After',
+  'Location',
+  'ETag',
+  'Idempotent-Replayed'
+];
+
+const allowedOrigins = () => (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+const corsOptions = () => {
+  const origins = allowedOrigins();
+  return {
+    origin: origins.length === 0 || origins.includes('*') ? '*' : origins,
+    exposedHeaders: EXPOSED_HEADERS
+  };
+};
+
+module.exports = {
+  corsOptions
+};
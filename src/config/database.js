@@ -1,4 +1,5 @@
 const mysql = require('mysql2');
+const { createConnection } = require('mysql2/promise');
 
 // Create connection pool for better performance
 const pool = mysql.createPool({
@@ -28,7 +29,26 @@ const testConnection = async () => {
   }
 };
 
+// Create the configured database on the server if it isn't there yet, so
+// migrations have somewhere to run
+const createDatabaseIfMissing = async () => {
+  const connection = await createConnection({
+    host: process.env.DB_HOST || 'localhost',
+    port: process.env.DB_PORT || 3306,
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD
+  });
+
+  try {
+    const dbName = process.env.DB_NAME || 'fictional_profiles';
+    await connection.query(`CREATE DATABASE IF NOT EXISTS \`${dbName}\``);
+  } finally {
+    await connection.end();
+  }
+};
+
 module.exports = {
   pool: promisePool,
-  testConnection
+  testConnection,
+  createDatabaseIfMissing
 };
\ No newline at end of file
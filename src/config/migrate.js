@@ -0,0 +1,64 @@
+require('dotenv').config();
+const { getStorage } = require('../storage');
+const { getStatus, migrate, rollback, migrationLabel } = require('../storage/migrator');
+
+// Schema migrations for the configured storage driver:
+//   npm run migrate              apply every pending migration
+//   npm run rollback [-- <n>]    undo the last n applied migrations (default 1)
+//   npm run status               list migrations and whether they are applied
+async function run(command, argument) {
+  const storage = getStorage();
+
+  try {
+    if (!storage.sql) {
+      console.log(`The ${storage.name} storage driver has no schema to migrate`);
+      return;
+    }
+
+    if (command === 'up') {
+      if (storage.name === 'mysql') {
+        await require('./database').createDatabaseIfMissing();
+      }
+
+      const applied = await migrate(storage.sql);
+      applied.forEach(migration => console.log(`Applied ${migrationLabel(migration)}`));
+      console.log(applied.length > 0
+        ? `\n✅ ${applied.length} migration(s) applied to ${storage.label} (${storage.location})`
+        : `✅ ${storage.label} (${storage.location}) is up to date`);
+      if (applied.length > 0) {
+        console.log('Run "npm run seed-data" to refresh reference data');
+      }
+    } else if (command === 'down') {
+      const steps = argument !== undefined ? Number(argument) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('The number of migrations to roll back must be a positive integer');
+      }
+
+      const undone = await rollback(storage.sql, steps);
+      undone.forEach(migration => console.log(`Rolled back ${migrationLabel(migration)}`));
+      console.log(undone.length > 0
+        ? `\n✅ ${undone.length} migration(s) rolled back`
+        : 'Nothing to roll back');
+    } else if (command === 'status') {
+      const status = await getStatus(storage.sql);
+      console.log(`${storage.label} (${storage.location})\n`);
+      status.forEach(migration => {
+        const state = migration.missing ? 'applied, file missing'
+          : migration.applied_at ? `applied ${new Date(migration.applied_at).toISOString()}`
+            : 'pending';
+        console.log(`  ${migrationLabel(migration)}  ${state}`);
+      });
+      const pending = status.filter(migration => !migration.applied_at).length;
+      console.log(`\n${pending} pending`);
+    } else {
+      throw new Error(`Unknown command "${command}"; use up, down or status`);
+    }
+  } catch (error) {
+    console.error('❌ Migration error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await storage.close();
+  }
+}
+
+run(process.argv[2], process.argv[3]);
@@ -1,80 +1,71 @@
 require('dotenv').config();
-const mysql = require('mysql2/promise');
-const traits = require('../data/traits.json');
+const { getStorage } = require('../storage');
+const { pendingMigrations } = require('../storage/migrator');
+const { getLocale, listLocales } = require('../services/locales');
+const { localeTraitRows } = require('../storage/rows');
 
-async function seedData() {
-  let connection;
-  
-  try {
-    connection = await mysql.createConnection({
-      host: process.env.DB_HOST || 'localhost',
-      port: process.env.DB_PORT || 3306,
-      user: process.env.DB_USER || 'root',
-      password: process.env.DB_PASSWORD,
-      database: process.env.DB_NAME || 'fictional_profiles'
-    });
-
-    console.log('Connected to database');
-
-    // Clear existing reference data
-    await connection.query('DELETE FROM available_traits');
-    console.log('Cleared existing reference data');
-
-    // Prepare data for insertion
-    const traitsToInsert = [];
+// npm run seed-data [-- --reset]
+async function seedData(reset) {
+  const storage = getStorage();
 
-    // Add personality traits
-    traits.personality_traits.forEach(trait => {
-      traitsToInsert.push(['personality_trait', trait]);
-    });
-
-    // Add occupations
-    traits.occupations.forEach(occupation => {
-      traitsToInsert.push(['occupation', occupation]);
-    });
+  try {
+    if (!storage.sql) {
+      console.log(`The ${storage.name} storage driver reads reference data straight from the locale packs`);
+      return;
+    }
 
-    // Add hobbies
-    traits.hobbies.forEach(hobby => {
-      traitsToInsert.push(['hobby', hobby]);
-    });
+    const pending = await pendingMigrations(storage.sql);
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} migration(s) pending; run "npm run migrate" first`);
+    }
 
-    // Add hair colors
-    traits.hair_colors.forEach(color => {
-      traitsToInsert.push(['hair_color', color]);
-    });
+    console.log(`Connected to ${storage.label} (${storage.location})`);
 
-    // Add eye colors
-    traits.eye_colors.forEach(color => {
-      traitsToInsert.push(['eye_color', color]);
-    });
+    // Add the pack values missing from the catalogue, one set per locale.
+    // Values added, reweighted or removed through the trait API are left
+    // alone (removed ones keep their row, marked removed) unless --reset
+    // asks for the catalogue to be rebuilt from the packs.
+    let seeded = 0;
+    await storage.sql.transaction(async () => {
+      if (reset) {
+        await storage.sql.query('DELETE FROM available_traits');
+        console.log('Cleared existing reference data');
+      }
 
-    // Add builds
-    traits.builds.forEach(build => {
-      traitsToInsert.push(['build', build]);
+      for (const { code } of listLocales()) {
+        for (const { category, value, weight } of localeTraitRows(code)) {
+          const result = await storage.sql.query(
+            {
+              mysql: 'INSERT IGNORE INTO available_traits (locale, category, value, weight) VALUES (?, ?, ?, ?)',
+              sqlite: 'INSERT OR IGNORE INTO available_traits (locale, category, value, weight) VALUES (?, ?, ?, ?)'
+            },
+            [code, category, value, weight]
+          );
+          seeded += result.affectedRows !== undefined ? result.affectedRows : result.changes;
+        }
+      }
     });
 
-    // Insert all traits
-    const insertQuery = 'INSERT INTO available_traits (category, value) VALUES ?';
-    await connection.query(insertQuery, [traitsToInsert]);
-
-    console.log(`✅ Successfully seeded ${traitsToInsert.length} reference traits`);
+    console.log(`✅ Successfully seeded ${seeded} reference traits`);
     console.log('\nBreakdown:');
-    console.log(`- Personality traits: ${traits.personality_traits.length}`);
-    console.log(`- Occupations: ${traits.occupations.length}`);
-    console.log(`- Hobbies: ${traits.hobbies.length}`);
-    console.log(`- Hair colors: ${traits.hair_colors.length}`);
-    console.log(`- Eye colors: ${traits.eye_colors.length}`);
-    console.log(`- Builds: ${traits.builds.length}`);
+    listLocales().forEach(({ code }) => {
+      const locale = getLocale(code);
+      console.log(`\n${code}:`);
+      console.log(`- Personality traits: ${locale.personality_traits.length}`);
+      console.log(`- Occupations: ${locale.occupations.length}`);
+      console.log(`- Hobbies: ${locale.hobbies.length}`);
+      console.log(`- Hair colors: ${locale.hair_colors.length}`);
+      console.log(`- Eye colors: ${locale.eye_colors.length}`);
+      console.log(`- Builds: ${locale.builds.length}`);
+    });
 
   } catch (error) {
     console.error('❌ Error seeding data:', error.message);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
-    if (connection) {
-      await connection.end();
-    }
+    await storage.close();
   }
 }
 
 // Run seed
-seedData();
\ No newline at end of file
+seedData(process.argv.includes('--reset'));
@@ -0,0 +1,208 @@
+const ApiKey = require('../models/ApiKey');
+const { limitsFor } = require('../services/quotas');
+
+const ROLES = ['user', 'admin'];
+const QUOTAS = ['requests_per_minute', 'characters_per_day'];
+const MAX_NAME_LENGTH = 100;
+
+// Parse a route :id into a positive integer, or null if it isn't one
+const parseId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Validate a POST/PATCH body. Returns { errors, data } with only the fields given.
+const parseKeyBody = (body, { partial }) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Request body must be a JSON object'], data: {} };
+  }
+
+  const errors = [];
+  const data = {};
+
+  if (body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    else data.name = name;
+  } else if (!partial) errors.push('name is required');
+
+  if (body.role !== undefined) {
+    if (!ROLES.includes(body.role)) errors.push(`role must be one of: ${ROLES.join(', ')}`);
+    else data.role = body.role;
+  }
+
+  // null puts a key back on the default quota
+  QUOTAS.forEach(quota => {
+    if (body[quota] === undefined) return;
+    if (body[quota] !== null && (!Number.isInteger(body[quota]) || body[quota] < 1)) {
+      errors.push(`${quota} must be a positive integer, or null for the default`);
+    } else {
+      data[quota] = body[quota];
+    }
+  });
+
+  return { errors, data };
+};
+
+// A key with the limits in force and what it has used today
+const toKeyResponse = async (key) => ({
+  ...key,
+  limits: limitsFor({ type: 'key', key }),
+  usage_today: await ApiKey.getUsage(key.id)
+});
+
+const sendInvalidKey = (res, errors) => res.status(400).json({
+  success: false,
+  error: 'Invalid API key data',
+  details: errors
+});
+
+/**
+ * Create an API key; the key itself is only ever shown in this response
+ * POST /api/v1/api-keys
+ */
+exports.createKey = async (req, res) => {
+  try {
+    const { errors, data } = parseKeyBody(req.body, { partial: false });
+    if (errors.length > 0) {
+      return sendInvalidKey(res, errors);
+    }
+
+    const { key, data: created } = await ApiKey.create(data);
+    res.status(201)
+      .location(`${req.baseUrl}/api-keys/${created.id}`)
+      .json({
+        success: true,
+        data: { ...(await toKeyResponse(created)), key },
+        message: 'Store the key now; it cannot be shown again'
+      });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List API keys, revoked ones included
+ * GET /api/v1/api-keys
+ */
+exports.listKeys = async (req, res) => {
+  try {
+    const keys = await ApiKey.findAll();
+    res.json({
+      success: true,
+      count: keys.length,
+      data: await Promise.all(keys.map(toKeyResponse))
+    });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get an API key with its limits and today's usage
+ * GET /api/v1/api-keys/:id
+ */
+exports.getKey = async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const key = id && await ApiKey.findById(id);
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await toKeyResponse(key)
+    });
+  } catch (error) {
+    console.error('Error fetching API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API key',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Rename an API key or change its role or quotas
+ * PATCH /api/v1/api-keys/:id
+ */
+exports.updateKey = async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const { errors, data } = parseKeyBody(req.body, { partial: true });
+    if (errors.length > 0) {
+      return sendInvalidKey(res, errors);
+    }
+
+    const updated = id && await ApiKey.update(id, data);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await toKeyResponse(await ApiKey.findById(id))
+    });
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update API key',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Revoke an API key; it is kept, with its usage, but no longer accepted
+ * DELETE /api/v1/api-keys/:id
+ */
+exports.revokeKey = async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const key = id && await ApiKey.findById(id);
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (!await ApiKey.revoke(id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'API key is already revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await toKeyResponse(await ApiKey.findById(id))
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+};
@@ -1,5 +1,264 @@
 const CharacterGenerator = require('../services/characterGenerator'); // Ensure capitalization matches your file
 const Character = require('../models/Character');
+const { getStorage } = require('../storage');
+const { DEFAULT_LOCALE, isSupportedLocale, listLocales } = require('../services/locales');
+const {
+  parseGeneratorOptions,
+  resolveGeneratorOptions,
+  resolvePersist,
+  asQuery,
+  sendInvalidParameters
+} = require('../utils/generationParams');
+const {
+  GENDERS,
+  buildPublishedCharacterSchema,
+  generationParameterSchemas,
+  validateParameters,
+  validateGenerationQuery
+} = require('../services/characterSchema');
+const {
+  FORMATS,
+  EVENT_STREAM_CONTENT_TYPE,
+  isSupportedFormat,
+  resolveFormat,
+  createSerializer,
+  sendExport
+} = require('../services/exporters');
+const { generateBatches } = require('../services/batchGenerator');
+const { parseInclude } = require('../services/profileSections');
+const { AVATAR_FORMATS, AVATAR_PARAMETERS, renderAvatar } = require('../services/avatar');
+const requestMetrics = require('../services/requestMetrics');
+const traitCatalogue = require('../services/traitCatalogue');
+const { sendIfModified, preventCaching } = require('../utils/httpCaching');
+const { getParameters } = require('../services/apiParameters');
+
+const { INTERVALS, MAX_SERIES_BUCKETS, MAX_TOP_VALUES, bucketStart } = requestMetrics;
+
+const APPEARANCE_FIELDS = ['hair_color', 'eye_color', 'height_cm', 'build'];
+
+// What a POST /character body or a POST /characters/batch item may hold:
+// the generation parameters of GET /character
+const BATCH_ITEM_KEYS = [
+  'count', 'seed', 'strict', 'locale', 'generator_version', 'fields', 'weights', 'include',
+  ...Object.keys(generationParameterSchemas())
+];
+
+// The filters and paging of GET /characters, by their OpenAPI parameter names
+const LIST_PARAMETERS = [
+  'filter_gender', 'filter_age_min', 'filter_age_max', 'filter_occupation', 'filter_hair_color',
+  'filter_eye_color', 'filter_build', 'filter_trait', 'filter_hobby', 'filter_locale',
+  'filter_generator_version', 'created_from', 'created_to', 'page', 'limit'
+];
+const TEXT_FILTERS = ['gender', 'occupation', 'hair_color', 'eye_color', 'build', 'trait', 'hobby', 'locale'];
+
+const AGE_BUCKET_YEARS = 10;
+
+// Group [{ value: age, count }] into ten-year buckets, from the youngest
+// stored age's bucket to the oldest's
+const ageHistogram = (ages) => {
+  if (ages.length === 0) {
+    return [];
+  }
+  const bucketOf = (age) => Math.floor(age / AGE_BUCKET_YEARS) * AGE_BUCKET_YEARS;
+  const first = bucketOf(ages[0].value);
+  const histogram = [];
+  for (let min = first; min <= bucketOf(ages[ages.length - 1].value); min += AGE_BUCKET_YEARS) {
+    histogram.push({ min, max: min + AGE_BUCKET_YEARS - 1, count: 0 });
+  }
+  ages.forEach(({ value, count }) => {
+    histogram[(bucketOf(value) - first) / AGE_BUCKET_YEARS].count += count;
+  });
+  return histogram;
+};
+
+// Resolve the response format from ?format= or the Accept header.
+// Sends a 400/406 and returns null when it can't be served.
+const resolveResponseFormat = (req, res) => {
+  const format = resolveFormat(req);
+  if (format && isSupportedFormat(format)) {
+    return format;
+  }
+
+  res.status(req.query.format ? 400 : 406).json({
+    success: false,
+    error: req.query.format
+      ? `Unsupported format: ${req.query.format}`
+      : 'None of the accepted content types can be produced',
+    supported_formats: Object.keys(FORMATS)
+  });
+  return null;
+};
+
+// JSON keeps the usual envelope; every other format carries just the characters
+const sendCharacters = (res, format, body, characters, fields = null) => {
+  if (format === 'json') {
+    return res.json(body);
+  }
+  sendExport(res, format, characters, { fields });
+};
+
+// "name, age" -> ['name', 'age']; validateGenerationQuery has made sure
+// fields is a single comma-separated string
+const parseFields = (fields) => (fields ? fields.split(',').map(f => f.trim()) : null);
+
+// Parse a route :id into a positive integer, or null if it isn't one
+const parseId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Validate a PATCH/PUT body and normalise it into the shape Character.update expects.
+// Returns { errors, data }; a full (PUT) body must supply every required field.
+const parseCharacterBody = (body, { partial }) => {
+  const errors = [];
+  const data = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Request body must be a JSON object'], data };
+  }
+
+  const appearance = body.appearance || {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') errors.push('name must be a non-empty string');
+    else data.name = body.name.trim();
+  } else if (!partial) errors.push('name is required');
+
+  if (body.age !== undefined) {
+    const age = Number(body.age);
+    if (!Number.isInteger(age) || age < 1 || age > 120) errors.push('age must be an integer between 1 and 120');
+    else data.age = age;
+  } else if (!partial) errors.push('age is required');
+
+  if (body.gender !== undefined) {
+    if (!GENDERS.includes(body.gender)) errors.push(`gender must be one of: ${GENDERS.join(', ')}`);
+    else data.gender = body.gender;
+  } else if (!partial) errors.push('gender is required');
+
+  ['occupation', 'education', 'background'].forEach(field => {
+    if (body[field] !== undefined) {
+      if (body[field] !== null && typeof body[field] !== 'string') errors.push(`${field} must be a string`);
+      else data[field] = body[field];
+    } else if (!partial) data[field] = null;
+  });
+
+  if (body.annual_income !== undefined) {
+    const income = body.annual_income === null ? null : Number(body.annual_income);
+    if (income !== null && (!Number.isInteger(income) || income < 0)) errors.push('annual_income must be a non-negative integer or null');
+    else data.annual_income = income;
+  } else if (!partial) data.annual_income = null;
+
+  if (typeof appearance !== 'object' || Array.isArray(appearance)) {
+    errors.push('appearance must be an object');
+  } else {
+    APPEARANCE_FIELDS.forEach(field => {
+      if (appearance[field] === undefined) {
+        if (!partial) errors.push(`appearance.${field} is required`);
+        return;
+      }
+      if (!data.appearance) data.appearance = {};
+      if (field === 'height_cm') {
+        const height = Number(appearance[field]);
+        if (!Number.isInteger(height) || height <= 0) errors.push('appearance.height_cm must be a positive integer');
+        else data.appearance.height_cm = height;
+      } else if (typeof appearance[field] !== 'string') {
+        errors.push(`appearance.${field} must be a string`);
+      } else {
+        data.appearance[field] = appearance[field];
+      }
+    });
+  }
+
+  ['personality_traits', 'hobbies'].forEach(field => {
+    if (body[field] !== undefined) {
+      if (!Array.isArray(body[field]) || body[field].some(v => typeof v !== 'string')) {
+        errors.push(`${field} must be an array of strings`);
+      } else {
+        data[field] = body[field];
+      }
+    } else if (!partial) errors.push(`${field} is required`);
+  });
+
+  return { errors, data };
+};
+
+
+// Validate a POST /character body or one POST /characters/batch item.
+// Returns { error, details } for an invalid one, or { spec } with what to
+// generate.
+const parseBatchItem = (item, maxCount) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { error: 'Each item must be a JSON object' };
+  }
+
+  const unknown = Object.keys(item).filter(key => !BATCH_ITEM_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unsupported keys: ${unknown.join(', ')}` };
+  }
+  if (item.strict !== undefined && typeof item.strict !== 'boolean') {
+    return { error: 'strict must be a boolean' };
+  }
+  if (item.seed !== undefined && item.seed !== null && typeof item.seed !== 'string') {
+    return { error: 'seed must be a string' };
+  }
+
+  // Validated like the query string of GET /character, where fields is a comma-separated list
+  const { strict = true, ...options } = item;
+  const query = asQuery({ ...options, fields: Array.isArray(options.fields) ? options.fields.join(',') : options.fields });
+  const { error, locale, version } = parseGeneratorOptions(query);
+  if (error) {
+    return { error: error.error };
+  }
+
+  const details = validateGenerationQuery(query, {
+    locale,
+    version,
+    strict,
+    extra: { count: { type: 'integer', minimum: 1, maximum: maxCount } }
+  });
+  if (details.length > 0) {
+    return { error: 'Invalid parameters', details };
+  }
+
+  const { count = '1', seed = null, fields, ...constraints } = query;
+  delete constraints.generator_version;
+  return {
+    spec: {
+      count: Number(count),
+      seed,
+      version,
+      fields: parseFields(fields),
+      options: { ...constraints, locale }
+    }
+  };
+};
+
+// Generate the characters of a spec from parseBatchItem or a GET /character query
+const generateSpec = ({ count, seed, version, options }) => new CharacterGenerator(seed, version).generateCount(count, options);
+
+// Send the results of saveGenerated as GET /character does: one character on
+// its own, several as a list, narrowed to `fields`
+const sendGenerated = (res, format, results, { seed, fields }) => {
+  const generator = new CharacterGenerator();
+  const characters = results.map(result => result.data);
+
+  if (characters.length === 1) {
+    const data = fields ? generator.filterFields(characters[0], fields) : characters[0];
+    return sendCharacters(res, format, {
+      success: true,
+      data,
+      ...(seed && { cached: results[0].cached })
+    }, [data], fields);
+  }
+
+  const data = fields ? generator.filterFields(characters, fields) : characters;
+  sendCharacters(res, format, {
+    success: true,
+    count: characters.length,
+    data,
+    ...(seed && { cached_count: results.filter(result => result.cached).length })
+  }, data, fields);
+};
 
 /**
  * Generate a random character
@@ -7,19 +266,34 @@ const Character = require('../models/Character');
  */
 exports.generateRandom = async (req, res) => {
   try {
-    const generator = new CharacterGenerator();
-    const character = generator.generate();
+    const resolved = resolveGeneratorOptions(req.query, res);
+    if (!resolved) return;
+    const persist = resolvePersist(req.query, res);
+    if (persist === null) return;
+    const format = resolveResponseFormat(req, res);
+    if (!format) return;
+
+    const { background_length, include } = req.query;
+    const details = validateGenerationQuery({ background_length, include }, resolved);
+    if (details.length > 0) {
+      return sendInvalidParameters(res, details);
+    }
+
+    const generator = new CharacterGenerator(null, resolved.version);
+    const character = generator.generate({ locale: resolved.locale, background_length, include });
     
-    // Save to database
-    const characterId = await Character.create(character);
+    // Save to database, unless this is a dry run
+    const characterId = persist ? await Character.create(character) : null;
+    preventCaching(res);
+    const data = {
+      ...character,
+      id: characterId
+    };
     
-    res.json({
+    sendCharacters(res, format, {
       success: true,
-      data: {
-        ...character,
-        id: characterId
-      }
-    });
+      data
+    }, [data]);
   } catch (error) {
     console.error('Error generating random character:', error);
     res.status(500).json({ 
@@ -37,32 +311,35 @@ exports.generateRandom = async (req, res) => {
 exports.generateWithSeed = async (req, res) => {
   try {
     const { seed } = req.params;
+    const resolved = resolveGeneratorOptions(req.query, res);
+    if (!resolved) return;
+    const persist = resolvePersist(req.query, res);
+    if (persist === null) return;
+    const format = resolveResponseFormat(req, res);
+    if (!format) return;
     
-    // Check if character with this seed already exists in DB
-    const existingCharacter = await Character.findBySeed(seed);
-    if (existingCharacter) {
-      return res.json({
-        success: true,
-        data: existingCharacter,
-        cached: true
-      });
+    const { background_length, include } = req.query;
+    const details = validateGenerationQuery({ background_length, include }, resolved);
+    if (details.length > 0) {
+      return sendInvalidParameters(res, details);
     }
     
-    // Generate new character with seed
-    const generator = new CharacterGenerator(seed);
-    const character = generator.generate();
+    // Generate character with seed
+    const generator = new CharacterGenerator(seed, resolved.version);
+    const character = generator.generate({ locale: resolved.locale, background_length, include });
+    if (sendIfModified(req, res, [character], { format, persist })) return;
     
-    // Save to database
-    const characterId = await Character.create(character);
+    // Reuse the stored copy if this seed and version were generated before, otherwise save it
+    const [{ data, cached }] = await Character.saveGenerated([character], { persist });
+    if (getStorage().enabled) {
+      res.locals.seed_cache = cached ? 'hit' : 'miss';
+    }
     
-    res.json({
+    sendCharacters(res, format, {
       success: true,
-      data: {
-        ...character,
-        id: characterId
-      },
-      cached: false
-    });
+      data,
+      cached
+    }, [data]);
   } catch (error) {
     console.error('Error generating seeded character:', error);
     res.status(500).json({ 
@@ -82,68 +359,50 @@ exports.generateCustom = async (req, res) => {
     // 1. Extract query params
     const options = { ...req.query };
     
-    // 2. Parse 'fields' if it exists (e.g., "name,gender" -> ["name", "gender"])
-    const fields = options.fields ? options.fields.split(',').map(f => f.trim()) : null;
-    
-    const count = parseInt(options.count) || 1;
+    const count = options.count !== undefined ? Number(options.count) : 1;
+    const seed = options.seed || null;
     
     // Cleanup options passed to generator
-    delete options.fields;
-    delete options.count;
+    ['fields', 'count', 'seed', 'generator_version', 'format', 'strict', 'persist', 'dry_run'].forEach(key => {
+      delete options[key];
+    });
+    
+    const resolved = resolveGeneratorOptions(req.query, res);
+    if (!resolved) return;
+    options.locale = resolved.locale;
+    const persist = resolvePersist(req.query, res);
+    if (persist === null) return;
     
-    // Validate count
+    const format = resolveResponseFormat(req, res);
+    if (!format) return;
+    
+    // Validate constraints and count against the published schema;
+    // strict=false lets free-text occupations and appearance values through
     const maxCount = parseInt(process.env.MAX_CHARACTERS_PER_REQUEST) || 100;
-    if (count > maxCount) {
-      return res.status(400).json({ 
-        success: false,
-        error: `Count cannot exceed ${maxCount}` 
-      });
+    const details = validateGenerationQuery(req.query, {
+      ...resolved,
+      strict: req.query.strict !== 'false',
+      extra: { count: { type: 'integer', minimum: 1, maximum: maxCount } }
+    });
+    if (details.length > 0) {
+      return sendInvalidParameters(res, details);
     }
     
-    const generator = new CharacterGenerator();
+    // 2. Parse 'fields' if it exists (e.g., "name,gender" -> ["name", "gender"])
+    const fields = parseFields(req.query.fields);
     
-    // Case A: Single Character
-    if (count === 1) {
-      // Generate (will respect options.name if provided)
-      const character = generator.generate(options);
-      
-      // Save
-      const characterId = await Character.create(character);
-      
-      // Combine Data
-      const responseData = {
-        ...character,
-        id: characterId
-      };
-      
-      // Filter & Return
-      res.json({
-        success: true,
-        data: fields ? generator.filterFields(responseData, fields) : responseData
-      });
-
-    // Case B: Multiple Characters
-    } else {
-      const characters = generator.generateMultiple(count, options);
-      
-      const savedCharacters = [];
-      for (const char of characters) {
-        const charId = await Character.create(char);
-        savedCharacters.push({
-          ...char,
-          id: charId
-        });
-      }
-      
-      // Filter & Return
-      res.json({
-        success: true,
-        count: savedCharacters.length,
-        data: fields 
-          ? generator.filterFields(savedCharacters, fields)
-          : savedCharacters
-      });
+    // With a seed, batches use the deterministic sub-seeds from generateMultiple
+    // and the response can be cached
+    const characters = generateSpec({ count, seed, version: resolved.version, options });
+    if (!seed) {
+      preventCaching(res);
+    } else if (sendIfModified(req, res, characters, { format, fields, persist })) {
+      return;
     }
+    
+    // Save (or reuse the stored copies of seeded characters), filter & return
+    const results = await Character.saveGenerated(characters, { persist });
+    sendGenerated(res, format, results, { seed, fields });
   } catch (error) {
     console.error('Error generating custom character:', error);
     res.status(500).json({ 
@@ -155,84 +414,335 @@ exports.generateCustom = async (req, res) => {
 };
 
 /**
- * Get available traits and options
- * GET /api/v1/traits
+ * Generate characters from a JSON body holding the parameters of
+ * GET /character. Clients that retry send an Idempotency-Key header (see
+ * middleware/idempotency) so a repeated request doesn't store them twice.
+ * POST /api/v1/character
+ * { "count": 5, "gender": "female", "fields": ["name", "age"] }
  */
-exports.getTraits = async (req, res) => {
+exports.generateFromBody = async (req, res) => {
   try {
-    const dbTraits = await Character.getAvailableTraits();
-    
-    res.json({
-      success: true,
-      data: {
-        personality_traits: dbTraits.personality_trait || [],
-        occupations: dbTraits.occupation || [],
-        hobbies: dbTraits.hobby || [],
-        appearance: {
-          hair_colors: dbTraits.hair_color || [],
-          eye_colors: dbTraits.eye_color || [],
-          builds: dbTraits.build || []
-        },
-        genders: ['male', 'female', 'non-binary', 'other']
+    const persist = resolvePersist(req.query, res);
+    if (persist === null) return;
+    const format = resolveResponseFormat(req, res);
+    if (!format) return;
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body must be a JSON object'
+      });
+    }
+
+    const maxCount = parseInt(process.env.MAX_CHARACTERS_PER_REQUEST) || 100;
+    const { spec, error, details } = parseBatchItem(req.body, maxCount);
+    if (details) {
+      return sendInvalidParameters(res, details);
+    }
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const results = await Character.saveGenerated(generateSpec(spec), { persist });
+    sendGenerated(res, format, results, spec);
+  } catch (error) {
+    console.error('Error generating characters:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate character',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Stream a large batch of characters as they are generated
+ * GET /api/v1/characters/stream?count=100000&format=ndjson&persist=false
+ */
+exports.streamCharacters = async (req, res) => {
+  const options = { ...req.query };
+  const count = Number(options.count);
+  const seed = options.seed || null;
+
+  const batchSize = req.query.batch_size !== undefined ? Number(req.query.batch_size) : 500;
+
+  ['fields', 'count', 'seed', 'persist', 'dry_run', 'generator_version', 'format', 'batch_size', 'strict'].forEach(key => {
+    delete options[key];
+  });
+
+  const resolved = resolveGeneratorOptions(req.query, res);
+  if (!resolved) return;
+  options.locale = resolved.locale;
+  const persist = resolvePersist(req.query, res);
+  if (persist === null) return;
+
+  const maxCount = parseInt(process.env.MAX_STREAM_CHARACTERS) || 1000000;
+  const details = validateGenerationQuery(req.query, {
+    ...resolved,
+    strict: req.query.strict !== 'false',
+    extra: {
+      count: { type: 'integer', minimum: 1, maximum: maxCount },
+      batch_size: { type: 'integer', minimum: 1, maximum: 5000 }
+    },
+    required: ['count']
+  });
+  if (details.length > 0) {
+    return sendInvalidParameters(res, details);
+  }
+  const fields = parseFields(req.query.fields);
+
+  // NDJSON unless the client asks for server-sent events or another export format
+  const format = req.query.format
+    || (req.accepts(['application/x-ndjson', EVENT_STREAM_CONTENT_TYPE]) === EVENT_STREAM_CONTENT_TYPE ? 'sse' : 'ndjson');
+  if (format !== 'sse' && !isSupportedFormat(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported format: ${format}`,
+      supported_formats: ['sse', ...Object.keys(FORMATS)]
+    });
+  }
+
+  const serializer = createSerializer(format, { fields, sections: parseInclude(options.include) });
+  const generator = new CharacterGenerator();
+
+  // Stop generating as soon as the client goes away
+  let disconnected = false;
+  res.on('close', () => {
+    if (!res.writableEnded) disconnected = true;
+  });
+
+  // Respect backpressure: wait for the socket to drain before producing more
+  const write = async (chunk) => {
+    if (chunk === '' || disconnected) return;
+    if (!res.write(chunk)) {
+      await new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    }
+  };
+
+  res.status(200);
+  res.set({
+    'Content-Type': format === 'sse' ? EVENT_STREAM_CONTENT_TYPE : FORMATS[format].contentType,
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let written = 0;
+  try {
+    await write(serializer.header());
+
+    const batches = generateBatches({
+      count,
+      seed,
+      version: resolved.version,
+      options,
+      persist,
+      batchSize
+    });
+
+    for await (const batch of batches) {
+      if (disconnected) break;
+      for (const character of batch) {
+        await write(serializer.item(fields ? generator.filterFields(character, fields) : character, written));
+        written++;
+      }
+    }
+
+    if (disconnected) {
+      return;
+    }
+
+    res.end(serializer.footer(written));
+  } catch (error) {
+    console.error('Error streaming characters:', error);
+    // Headers are already sent, so the error can only be reported in-band
+    if (format === 'sse' && !disconnected) {
+      res.end(`event: error\ndata: ${JSON.stringify({ error: 'Failed to generate characters', message: error.message })}\n\n`);
+    } else {
+      res.destroy(error);
+    }
+  }
+};
+
+/**
+ * Generate several differently specified groups of characters in one request
+ * POST /api/v1/characters/batch
+ * [{ "count": 10, "gender": "female", "occupation": "Registered Nurse", "age_min": 30, "age_max": 40 }, ...]
+ */
+exports.generateBatch = async (req, res) => {
+  try {
+    const persist = resolvePersist(req.query, res);
+    if (persist === null) return;
+
+    const items = req.body;
+    const maxCount = parseInt(process.env.MAX_CHARACTERS_PER_REQUEST) || 100;
+    if (!Array.isArray(items) || items.length === 0 || items.length > maxCount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid batch',
+        details: [`The request body must be a JSON array of 1 to ${maxCount} items`]
+      });
+    }
+
+    // Validation and the generator read the catalogues synchronously, so
+    // every locale's is loaded first
+    const locales = new Set(items
+      .map(item => (item && typeof item.locale === 'string' ? item.locale : DEFAULT_LOCALE))
+      .filter(isSupportedLocale));
+    for (const locale of locales) {
+      try {
+        await traitCatalogue.refresh(locale);
+      } catch (error) {
+        console.error(`Error loading the ${locale} trait catalogue:`, error.message);
       }
+    }
+
+    const parsed = items.map(item => parseBatchItem(item, maxCount));
+    const total = parsed.reduce((sum, { spec }) => sum + (spec ? spec.count : 0), 0);
+    if (total > maxCount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid batch',
+        details: [`The batch asks for ${total} characters; the most is ${maxCount}`]
+      });
+    }
+
+    // Generate every valid item, then save them all in one transaction
+    const generated = parsed.map(({ spec }) => (spec ? generateSpec(spec) : []));
+    const saved = await Character.saveGenerated(generated.flat(), { persist });
+    res.locals.characters = saved.length;
+
+    const generator = new CharacterGenerator();
+    let offset = 0;
+    const results = parsed.map(({ spec, error, details }, index) => {
+      if (!spec) {
+        return { index, success: false, error, ...(details && { details }) };
+      }
+      const itemResults = saved.slice(offset, offset + spec.count);
+      offset += spec.count;
+      const characters = itemResults.map(result => result.data);
+      return {
+        index,
+        success: true,
+        count: characters.length,
+        data: spec.fields ? generator.filterFields(characters, spec.fields) : characters,
+        ...(spec.seed && { cached_count: itemResults.filter(result => result.cached).length })
+      };
+    });
+
+    const failed = results.filter(result => !result.success).length;
+    res.status(failed === results.length ? 400 : 200).json({
+      success: failed < results.length,
+      ...(failed === results.length && { error: 'None of the batch items are valid' }),
+      count: saved.length,
+      failed,
+      data: results
     });
   } catch (error) {
-    console.error('Error fetching traits:', error);
-    res.status(500).json({ 
+    console.error('Error generating character batch:', error);
+    res.status(500).json({
       success: false,
-      error: 'Failed to fetch traits',
-      message: error.message 
+      error: 'Failed to generate characters',
+      message: error.message
     });
   }
 };
 
 /**
- * Get JSON schema
+ * Get the JSON schema of a character, the same one the OpenAPI document uses
  */
 exports.getSchema = (req, res) => {
-  const schema = {
-    type: "object",
-    properties: {
-      id: { type: "integer" },
-      name: { type: "string" },
-      age: { type: "integer", minimum: 1, maximum: 120 },
-      gender: { type: "string", enum: ["male", "female", "non-binary", "other"] },
-      occupation: { type: "string" },
-      background: { type: "string" },
-      appearance: {
-        type: "object",
-        properties: {
-          hair_color: { type: "string" },
-          eye_color: { type: "string" },
-          height_cm: { type: "integer" },
-          build: { type: "string" }
-        },
-        required: ["hair_color", "eye_color", "height_cm", "build"]
-      },
-      personality_traits: { type: "array", items: { type: "string" } },
-      hobbies: { type: "array", items: { type: "string" } },
-      seed: { type: "string", nullable: true },
-      created_at: { type: "string", format: "date-time" }
-    },
-    required: ["name", "age", "gender", "appearance", "personality_traits", "hobbies"]
-  };
-  
-  res.json({ success: true, data: schema });
+  const resolved = resolveGeneratorOptions(req.query, res);
+  if (!resolved) return;
+
+  res.json({
+    success: true,
+    data: {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      ...buildPublishedCharacterSchema(resolved)
+    }
+  });
 };
 
 /**
- * Get Stats
+ * Get API usage statistics: request metrics for a time window and the
+ * distributions of stored characters
+ * GET /api/v1/stats?from=2024-05-01T00:00:00Z&to=2024-05-02T00:00:00Z&interval=hour
  */
 exports.getStats = async (req, res) => {
   try {
-    const totalCharacters = await Character.count();
-    
+    const query = req.query;
+    const errors = [];
+
+    const interval = query.interval !== undefined ? query.interval : 'hour';
+    if (!Object.keys(INTERVALS).includes(interval)) {
+      errors.push(`interval must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+    }
+
+    const top = query.top !== undefined ? Number(query.top) : 10;
+    if (!Number.isInteger(top) || top < 1 || top > MAX_TOP_VALUES) {
+      errors.push(`top must be an integer between 1 and ${MAX_TOP_VALUES}`);
+    }
+
+    const dates = {};
+    ['from', 'to'].forEach(field => {
+      if (query[field] === undefined) return;
+      const date = new Date(query[field]);
+      if (isNaN(date.getTime())) errors.push(`${field} must be an ISO 8601 date`);
+      else dates[field] = date;
+    });
+
+    // The last day of hours, or the last 30 days, by default
+    const to = dates.to || new Date();
+    const from = dates.from || new Date(to.getTime() - (interval === 'day' ? 30 : 1) * INTERVALS.day);
+    if (errors.length === 0) {
+      const buckets = Math.ceil((to - bucketStart(from, interval)) / INTERVALS[interval]);
+      if (from >= to) {
+        errors.push('from must be before to');
+      } else if (buckets > MAX_SERIES_BUCKETS) {
+        errors.push(`from and to span ${buckets} ${interval}s; the most is ${MAX_SERIES_BUCKETS}, so use a shorter window or a longer interval`);
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: errors
+      });
+    }
+
+    const distributions = await Character.distributions(top);
+    const requests = await requestMetrics.summarize({
+      from,
+      to,
+      interval,
+      includeClients: Boolean(req.auth && req.auth.role === 'admin')
+    });
+
     res.json({
       success: true,
       data: {
-        total_characters_generated: totalCharacters,
+        total_characters_generated: distributions.total,
         api_version: process.env.API_VERSION || 'v1',
-        database: 'MySQL'
+        database: getStorage().label,
+        characters: {
+          total: distributions.total,
+          gender: Object.fromEntries(distributions.gender.map(({ value, count }) => [value, count])),
+          age_histogram: ageHistogram(distributions.age),
+          top_occupations: distributions.occupation,
+          top_personality_traits: distributions.personality_trait,
+          top_hobbies: distributions.hobby
+        },
+        requests
       }
     });
   } catch (error) {
@@ -243,4 +753,265 @@ exports.getStats = async (req, res) => {
       message: error.message 
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get a stored character by id
+ * GET /api/v1/character/id/:id
+ */
+exports.getById = async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Character id must be a positive integer'
+      });
+    }
+
+    const format = resolveResponseFormat(req, res);
+    if (!format) return;
+
+    const character = await Character.findById(id);
+    if (!character) {
+      return res.status(404).json({
+        success: false,
+        error: 'Character not found'
+      });
+    }
+
+    sendCharacters(res, format, {
+      success: true,
+      data: character
+    }, [character]);
+  } catch (error) {
+    console.error('Error fetching character:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch character',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Draw a stored character's avatar
+ * GET /api/v1/character/:id/avatar.svg?size=128&style=shaded&shape=circle
+ */
+exports.getAvatar = async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Character id must be a positive integer'
+      });
+    }
+
+    const { format } = req.params;
+    if (!Object.prototype.hasOwnProperty.call(AVATAR_FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported avatar format "${format}"`,
+        supported: Object.keys(AVATAR_FORMATS)
+      });
+    }
+
+    const details = validateParameters(req.query, AVATAR_PARAMETERS);
+    if (details.length > 0) {
+      return sendInvalidParameters(res, details);
+    }
+
+    const character = await Character.findById(id);
+    if (!character) {
+      return res.status(404).json({
+        success: false,
+        error: 'Character not found'
+      });
+    }
+
+    const { size, style, shape, skin_tone } = req.query;
+    res.type(AVATAR_FORMATS[format].contentType).send(renderAvatar(character, format, {
+      size: size !== undefined ? Number(size) : undefined,
+      style,
+      shape,
+      skin_tone
+    }));
+  } catch (error) {
+    console.error('Error drawing avatar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to draw avatar',
+      message: error.message
+    });
+  }
+};
+
+// Shared by PATCH (partial) and PUT (full replacement)
+const saveCharacter = (partial) => async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Character id must be a positive integer'
+      });
+    }
+
+    const { errors, data } = parseCharacterBody(req.body, { partial });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid character data',
+        details: errors
+      });
+    }
+
+    const updated = await Character.update(id, data);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Character not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await Character.findById(id)
+    });
+  } catch (error) {
+    console.error('Error updating character:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update character',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Partially update a stored character
+ * PATCH /api/v1/character/id/:id
+ */
+exports.updateCharacter = saveCharacter(true);
+
+/**
+ * Replace a stored character
+ * PUT /api/v1/character/id/:id
+ */
+exports.replaceCharacter = saveCharacter(false);
+
+/**
+ * Delete a stored character
+ * DELETE /api/v1/character/id/:id
+ */
+exports.deleteCharacter = async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Character id must be a positive integer'
+      });
+    }
+
+    const deleted = await Character.delete(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Character not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id }
+    });
+  } catch (error) {
+    console.error('Error deleting character:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete character',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List stored characters with filters and pagination
+ * GET /api/v1/characters?gender=female&age_min=20&age_max=30&page=2&limit=50
+ */
+exports.listCharacters = async (req, res) => {
+  try {
+    // Empty text filters, as an empty form field sends them, are ignored
+    const query = { ...req.query };
+    TEXT_FILTERS.forEach(field => {
+      if (query[field] === '') delete query[field];
+    });
+
+    const parameters = getParameters();
+    const details = validateParameters(query, Object.fromEntries(LIST_PARAMETERS.map(key => [parameters[key].name, parameters[key].schema])));
+    const invalid = new Set(details.map(detail => detail.parameter));
+
+    if (query.locale !== undefined && !invalid.has('locale') && !isSupportedLocale(query.locale)) {
+      details.push({
+        parameter: 'locale',
+        message: `locale must be one of: ${listLocales().map(l => l.code).join(', ')}`,
+        expected: { type: 'string', enum: listLocales().map(l => l.code) },
+        received: query.locale
+      });
+    }
+    ['created_from', 'created_to'].forEach(field => {
+      if (query[field] !== undefined && !invalid.has(field) && isNaN(new Date(query[field]).getTime())) {
+        details.push({
+          parameter: field,
+          message: `${field} must be an ISO 8601 date`,
+          expected: { type: 'string', format: 'date-time' },
+          received: query[field]
+        });
+      }
+    });
+
+    if (details.length > 0) {
+      return sendInvalidParameters(res, details);
+    }
+
+    const page = query.page !== undefined ? Number(query.page) : 1;
+    const limit = query.limit !== undefined ? Number(query.limit) : 20;
+
+    const filters = {};
+    TEXT_FILTERS.forEach(field => {
+      if (query[field] !== undefined) filters[field] = query[field];
+    });
+    ['age_min', 'age_max', 'generator_version'].forEach(field => {
+      if (query[field] !== undefined) filters[field] = Number(query[field]);
+    });
+    ['created_from', 'created_to'].forEach(field => {
+      if (query[field] !== undefined) filters[field] = new Date(query[field]);
+    });
+
+    const format = resolveResponseFormat(req, res);
+    if (!format) return;
+
+    const { characters, total } = await Character.findAll(filters, { page, limit });
+
+    sendCharacters(res, format, {
+      success: true,
+      count: characters.length,
+      data: characters,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    }, characters);
+  } catch (error) {
+    console.error('Error listing characters:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list characters',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,87 @@
+const { parse, validate, execute, getOperationAST, GraphQLError } = require('graphql');
+const { schema } = require('../services/graphqlSchema');
+
+// Errors the resolvers raise on purpose carry an extensions.code; anything
+// else is unexpected and worth logging
+const logUnexpectedErrors = (errors = []) => {
+  errors
+    .filter(error => !error.extensions || !error.extensions.code)
+    .forEach(error => console.error('Error executing GraphQL request:', error.originalError || error));
+};
+
+// Read { query, variables, operationName } from a GET query string or a POST body
+const readRequest = (req) => {
+  const params = (req.method === 'GET' ? req.query : req.body) || {};
+  let { variables } = params;
+  if (typeof variables === 'string' && variables !== '') {
+    variables = JSON.parse(variables);
+  }
+  return {
+    query: params.query,
+    variables: variables || undefined,
+    operationName: params.operationName || undefined
+  };
+};
+
+/**
+ * Execute a GraphQL query or mutation
+ * GET|POST /api/v1/graphql
+ */
+exports.handleRequest = async (req, res) => {
+  try {
+    let request;
+    try {
+      request = readRequest(req);
+    } catch (error) {
+      return res.status(400).json({ errors: [{ message: 'variables must be a JSON object' }] });
+    }
+
+    if (typeof request.query !== 'string' || request.query.trim() === '') {
+      return res.status(400).json({ errors: [{ message: 'Must provide a query string' }] });
+    }
+
+    let document;
+    try {
+      document = parse(request.query);
+    } catch (error) {
+      return res.status(400).json({ errors: [error] });
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    const operation = getOperationAST(document, request.operationName);
+    if (!operation) {
+      return res.status(400).json({
+        errors: [new GraphQLError(request.operationName
+          ? `Unknown operation "${request.operationName}"`
+          : 'Must provide an operationName when the document has several operations')]
+      });
+    }
+
+    // GET requests must not change anything
+    if (req.method === 'GET' && operation.operation !== 'query') {
+      return res.status(405).set('Allow', 'POST').json({
+        errors: [{ message: `${operation.operation} operations must be sent with POST` }]
+      });
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      variableValues: request.variables,
+      operationName: request.operationName,
+      contextValue: { auth: req.auth }
+    });
+    logUnexpectedErrors(result.errors);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error executing GraphQL request:', error);
+    res.status(500).json({
+      errors: [{ message: 'Failed to execute GraphQL request', extensions: { message: error.message } }]
+    });
+  }
+};
@@ -0,0 +1,297 @@
+const Job = require('../models/Job');
+const jobRunner = require('../services/jobRunner');
+const { DEFAULT_LOCALE } = require('../services/locales');
+const {
+  CURRENT_GENERATOR_VERSION,
+  SUPPORTED_GENERATOR_VERSIONS,
+  isSupportedVersion,
+  isLocaleAvailable
+} = require('../services/generatorVersions');
+const { FORMATS, isSupportedFormat } = require('../services/exporters');
+const { validateGenerationQuery } = require('../services/characterSchema');
+
+const { CONSTRAINT_KEYS } = jobRunner;
+
+const FILE_EXTENSIONS = {
+  json: 'json',
+  csv: 'csv',
+  ndjson: 'ndjson',
+  yaml: 'yaml',
+  sql: 'sql',
+  vcard: 'vcf'
+};
+
+// Validate a POST /jobs body and normalise it into the spec stored with the job
+const parseJobSpec = (body) => {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Request body must be a JSON object'] };
+  }
+
+  const maxCount = parseInt(process.env.MAX_JOB_CHARACTERS) || 1000000;
+  const count = Number(body.count);
+  if (!Number.isInteger(count) || count < 1 || count > maxCount) {
+    errors.push(`count must be an integer between 1 and ${maxCount}`);
+  }
+
+  const version = body.generator_version !== undefined ? Number(body.generator_version) : CURRENT_GENERATOR_VERSION;
+  if (!isSupportedVersion(version)) {
+    errors.push(`generator_version must be one of: ${SUPPORTED_GENERATOR_VERSIONS.join(', ')}`);
+  }
+
+  const locale = body.locale || DEFAULT_LOCALE;
+  if (isSupportedVersion(version) && !isLocaleAvailable(locale, version)) {
+    errors.push(`locale ${locale} is not available in generator version ${version}`);
+  }
+
+  const format = body.format || 'json';
+  if (!isSupportedFormat(format)) {
+    errors.push(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  if (body.seed !== undefined && body.seed !== null && typeof body.seed !== 'string') {
+    errors.push('seed must be a string');
+  }
+
+  const constraints = {};
+  if (body.constraints !== undefined) {
+    if (typeof body.constraints !== 'object' || body.constraints === null || Array.isArray(body.constraints)) {
+      errors.push('constraints must be an object');
+    } else {
+      Object.entries(body.constraints).forEach(([key, value]) => {
+        if (!CONSTRAINT_KEYS.includes(key)) {
+          errors.push(`constraints.${key} is not supported; use one of: ${CONSTRAINT_KEYS.join(', ')}`);
+        } else {
+          constraints[key] = value;
+        }
+      });
+
+      // Same checks as the query parameters of /character, minus the locale
+      // catalogue so free-text values keep working
+      if (isSupportedVersion(version) && isLocaleAvailable(locale, version)) {
+        const asQuery = {};
+        Object.entries(constraints).forEach(([key, value]) => {
+          asQuery[key] = typeof value === 'number' ? String(value) : value;
+        });
+        validateGenerationQuery(asQuery, { locale, version, strict: false }).forEach(detail => {
+          errors.push(`constraints.${detail.message}`);
+        });
+      }
+    }
+  }
+
+  let fields = null;
+  if (body.fields !== undefined) {
+    fields = typeof body.fields === 'string' ? body.fields.split(',').map(f => f.trim()) : body.fields;
+    if (!Array.isArray(fields) || fields.some(f => typeof f !== 'string')) {
+      errors.push('fields must be a comma-separated string or an array of strings');
+    }
+  }
+
+  if (body.persist !== undefined && typeof body.persist !== 'boolean') {
+    errors.push('persist must be a boolean');
+  }
+
+  return {
+    errors,
+    spec: {
+      count,
+      seed: body.seed || null,
+      generator_version: version,
+      locale,
+      constraints,
+      format,
+      fields,
+      persist: body.persist !== false
+    }
+  };
+};
+
+// The job with the id in the URL, if the caller queued it or is an admin.
+// Other callers get null, so they can't tell the job exists.
+const findOwnJob = async (req) => {
+  const job = await Job.findById(req.params.id);
+  const auth = req.auth || {};
+  if (!job || (auth.role !== 'admin' && job.client !== auth.client)) {
+    return null;
+  }
+  return job;
+};
+
+const toJobResponse = (job, req) => ({
+  id: job.id,
+  status: job.status,
+  spec: job.spec,
+  progress: {
+    generated: job.progress,
+    total: job.total,
+    percent: Math.floor((job.progress / job.total) * 100)
+  },
+  error: job.error,
+  created_at: job.created_at,
+  started_at: job.started_at,
+  finished_at: job.finished_at,
+  links: {
+    self: `${req.baseUrl}/jobs/${job.id}`,
+    result: `${req.baseUrl}/jobs/${job.id}/result`
+  }
+});
+
+/**
+ * Queue a background generation job
+ * POST /api/v1/jobs
+ */
+exports.createJob = async (req, res) => {
+  try {
+    const { errors, spec } = parseJobSpec(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job specification',
+        details: errors
+      });
+    }
+
+    const id = await Job.create(spec, req.auth.client);
+    jobRunner.enqueue(id);
+
+    const job = await Job.findById(id);
+    res.status(202)
+      .location(`${req.baseUrl}/jobs/${id}`)
+      .json({
+        success: true,
+        data: toJobResponse(job, req)
+      });
+  } catch (error) {
+    console.error('Error creating job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create job',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the status and progress of a job
+ * GET /api/v1/jobs/:id
+ */
+exports.getJob = async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toJobResponse(job, req)
+    });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Download the output of a completed job
+ * GET /api/v1/jobs/:id/result
+ */
+exports.getJobResult = async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: `Job is ${job.status}; the result is available once it has completed`,
+        status: job.status
+      });
+    }
+
+    const { format } = job.spec;
+    res.status(200);
+    res.type(FORMATS[format].contentType);
+    res.attachment(`job-${job.id}.${FILE_EXTENSIONS[format]}`);
+
+    // Send one stored chunk at a time, waiting for the socket to drain
+    const chunkCount = await Job.countChunks(job.id);
+    for (let i = 0; i < chunkCount; i++) {
+      if (res.destroyed) return;
+      const content = await Job.getChunk(job.id, i);
+      if (!res.write(content)) {
+        await new Promise(resolve => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error downloading job result:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download job result',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a queued or running job, or remove a finished one and its output
+ * DELETE /api/v1/jobs/:id
+ */
+exports.deleteJob = async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (await Job.cancel(job.id)) {
+      jobRunner.cancel(job.id);
+      return res.json({
+        success: true,
+        data: toJobResponse(await Job.findById(job.id), req)
+      });
+    }
+
+    await Job.delete(job.id);
+    res.json({
+      success: true,
+      data: { id: job.id, deleted: true }
+    });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel job',
+      message: error.message
+    });
+  }
+};
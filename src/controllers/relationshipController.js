@@ -0,0 +1,137 @@
+const Character = require('../models/Character');
+const Relationship = require('../models/Relationship');
+const { getStorage } = require('../storage');
+const { GROUP_SIZES, generateGroup } = require('../services/relationshipGenerator');
+const { SEED_PARAMETER, validateParameters } = require('../services/characterSchema');
+const { resolveGeneratorOptions, resolvePersist, sendInvalidParameters } = require('../utils/generationParams');
+const { sendIfModified, preventCaching } = require('../utils/httpCaching');
+
+// Generate a family or social circle, store its members and relationships
+// and send them back with the edges rewritten to character ids. Edges also
+// give the positions of their members, which is all a dry run can refer to
+// for members that aren't stored. Without storage every request is a dry
+// run, as generating a character is.
+const sendGroup = async (kind, req, res) => {
+  const resolved = resolveGeneratorOptions(req.query, res);
+  if (!resolved) return;
+  const requested = resolvePersist(req.query, res);
+  if (requested === null) return;
+  const persist = requested && getStorage().enabled;
+  const details = validateParameters(req.query, { seed: SEED_PARAMETER });
+  if (details.length > 0) {
+    return sendInvalidParameters(res, details);
+  }
+
+  const limits = GROUP_SIZES[kind];
+  const size = req.query.size !== undefined ? Number(req.query.size) : limits.default;
+  if (!Number.isInteger(size) || size < 1 || size > limits.max) {
+    return res.status(400).json({
+      success: false,
+      error: `size must be an integer between 1 and ${limits.max}`
+    });
+  }
+
+  const seed = req.query.seed || null;
+  const { members, edges } = generateGroup(kind, {
+    size,
+    seed,
+    version: resolved.version,
+    locale: resolved.locale
+  });
+
+  const characters = members.map(member => member.character);
+  if (!seed) {
+    preventCaching(res);
+  } else if (sendIfModified(req, res, characters, { roles: members.map(member => member.role), edges, persist })) {
+    return;
+  }
+
+  const saved = await Character.saveGenerated(characters, { persist });
+  const relationships = edges.map(edge => ({
+    character_id: saved[edge.from].data.id,
+    related_character_id: saved[edge.to].data.id,
+    type: edge.type
+  }));
+  if (persist) {
+    await Relationship.createMany(relationships);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      members: members.map((member, i) => ({ role: member.role, ...saved[i].data })),
+      relationships: relationships.map((relationship, i) => ({
+        ...relationship,
+        member: edges[i].from,
+        related_member: edges[i].to
+      }))
+    },
+    cached: saved.every(result => result.cached)
+  });
+};
+
+/**
+ * Generate a family with parents, children and sometimes a grandparent
+ * GET /api/v1/family?seed=x&size=5
+ */
+exports.generateFamily = async (req, res) => {
+  try {
+    await sendGroup('family', req, res);
+  } catch (error) {
+    console.error('Error generating family:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate family',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Generate a social circle of friends and coworkers around one character
+ * GET /api/v1/social-circle?seed=x&size=8
+ */
+exports.generateSocialCircle = async (req, res) => {
+  try {
+    await sendGroup('social_circle', req, res);
+  } catch (error) {
+    console.error('Error generating social circle:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate social circle',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List the relationships of a stored character
+ * GET /api/v1/character/id/:id/relationships
+ */
+exports.getCharacterRelationships = async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const character = Number.isInteger(id) && id > 0 ? await Character.findById(id) : null;
+    if (!character) {
+      return res.status(404).json({
+        success: false,
+        error: 'Character not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        character_id: id,
+        relationships: await Relationship.findForCharacter(id)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching relationships:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch relationships',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,181 @@
+const Trait = require('../models/Trait');
+const traitCatalogue = require('../services/traitCatalogue');
+const { DEFAULT_LOCALE, TRAIT_CATEGORIES, isSupportedLocale, listLocales } = require('../services/locales');
+const { sendUnsupportedLocale } = require('../utils/generationParams');
+
+const MAX_VALUE_LENGTH = 100;
+
+// The generator draws 3 personality traits and up to 4 hobbies per character
+// without repeats, so a category can't shrink below what one character needs
+const MIN_VALUES = {
+  personality_trait: 3,
+  hobby: 4
+};
+
+const isTraitCategory = (category) => Object.prototype.hasOwnProperty.call(TRAIT_CATEGORIES, category);
+
+const sendUnknownCategory = (res, category) => res.status(404).json({
+  success: false,
+  error: `Unknown trait category: ${category}`,
+  supported_categories: Object.keys(TRAIT_CATEGORIES)
+});
+
+/**
+ * Get available traits and options
+ * GET /api/v1/traits
+ */
+exports.getTraits = async (req, res) => {
+  try {
+    const locale = req.query.locale || DEFAULT_LOCALE;
+    if (!isSupportedLocale(locale)) {
+      return sendUnsupportedLocale(res, locale);
+    }
+
+    const { traits, weights } = await Trait.getAvailableTraits(locale);
+
+    // Weights are keyed like the lists above and only list values that don't weigh 1
+    const listWeights = {};
+    Object.entries(weights).forEach(([category, values]) => {
+      listWeights[TRAIT_CATEGORIES[category] || category] = values;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        locale,
+        personality_traits: traits.personality_trait || [],
+        occupations: traits.occupation || [],
+        hobbies: traits.hobby || [],
+        appearance: {
+          hair_colors: traits.hair_color || [],
+          eye_colors: traits.eye_color || [],
+          builds: traits.build || []
+        },
+        weights: listWeights,
+        genders: ['male', 'female', 'non-binary', 'other'],
+        available_locales: listLocales()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching traits:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch traits',
+      message: error.message 
+    });
+  }
+};
+
+/**
+ * Add a value to a trait category, or change the weight of an existing one
+ * POST /api/v1/traits/:category
+ */
+exports.saveTrait = async (req, res) => {
+  try {
+    const { category } = req.params;
+    if (!isTraitCategory(category)) {
+      return sendUnknownCategory(res, category);
+    }
+
+    const body = req.body || {};
+    const locale = body.locale || DEFAULT_LOCALE;
+    if (!isSupportedLocale(locale)) {
+      return sendUnsupportedLocale(res, locale);
+    }
+
+    const details = [];
+    const value = typeof body.value === 'string' ? body.value.trim() : '';
+    if (!value) {
+      details.push('value must be a non-empty string');
+    } else if (value.length > MAX_VALUE_LENGTH) {
+      details.push(`value must be at most ${MAX_VALUE_LENGTH} characters`);
+    }
+
+    const weight = body.weight !== undefined ? body.weight : 1;
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+      details.push('weight must be a positive number');
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid trait',
+        details
+      });
+    }
+
+    const created = await Trait.save(locale, category, value, weight);
+    traitCatalogue.invalidate(locale);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: { locale, category, value, weight },
+      created
+    });
+  } catch (error) {
+    console.error('Error saving trait:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save trait',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Remove a value from a trait category
+ * DELETE /api/v1/traits/:category?value=Baker&locale=en-US
+ */
+exports.deleteTrait = async (req, res) => {
+  try {
+    const { category } = req.params;
+    if (!isTraitCategory(category)) {
+      return sendUnknownCategory(res, category);
+    }
+
+    const locale = req.query.locale || DEFAULT_LOCALE;
+    if (!isSupportedLocale(locale)) {
+      return sendUnsupportedLocale(res, locale);
+    }
+
+    const { value } = req.query;
+    if (typeof value !== 'string' || !value) {
+      return res.status(400).json({
+        success: false,
+        error: 'The value to remove is required as ?value='
+      });
+    }
+
+    const rows = await Trait.findByLocale(locale);
+    const values = rows.filter(row => row.category === category).map(row => row.value);
+    if (!values.includes(value)) {
+      return res.status(404).json({
+        success: false,
+        error: `${value} is not in the ${locale} ${category} catalogue`
+      });
+    }
+
+    const minimum = MIN_VALUES[category] || 1;
+    if (values.length <= minimum) {
+      return res.status(409).json({
+        success: false,
+        error: `${category} needs at least ${minimum} value(s) in ${locale}`
+      });
+    }
+
+    await Trait.delete(locale, category, value);
+    traitCatalogue.invalidate(locale);
+
+    res.json({
+      success: true,
+      message: `Removed ${value} from ${category} in ${locale}`
+    });
+  } catch (error) {
+    console.error('Error deleting trait:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete trait',
+      message: error.message
+    });
+  }
+};
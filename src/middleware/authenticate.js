@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { getStorage } = require('../storage');
+
+// The key a client sent, from X-API-Key or "Authorization: Bearer <key>"
+const readKey = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header.trim();
+  }
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+const isAdminToken = (supplied) => {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return false;
+  }
+  const expected = Buffer.from(token);
+  const given = Buffer.from(supplied);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Works out who is calling and sets req.auth to { type, role, key, client }:
+//   key         - an active API key (role from the key)
+//   admin_token - the ADMIN_TOKEN, an admin without quotas
+//   anonymous   - no key at all, allowed unless REQUIRE_API_KEY=true
+// `client` identifies the caller for rate limiting. An unknown or revoked key
+// is a 401 rather than falling back to anonymous access.
+const authenticate = async (req, res, next) => {
+  try {
+    const supplied = readKey(req);
+
+    if (supplied && isAdminToken(supplied)) {
+      req.auth = { type: 'admin_token', role: 'admin', key: null, client: 'admin' };
+      return next();
+    }
+
+    if (supplied) {
+      // Without storage there are no keys to look up
+      const key = getStorage().apiKeys ? await ApiKey.findByKey(supplied) : null;
+      if (!key || key.revoked_at) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid API key',
+          message: key ? 'This API key has been revoked' : 'Unknown API key'
+        });
+      }
+      req.auth = { type: 'key', role: key.role, key, client: `key:${key.id}` };
+      return next();
+    }
+
+    if (process.env.REQUIRE_API_KEY === 'true') {
+      return res.status(401).json({
+        success: false,
+        error: 'API key required',
+        message: 'Send your key as "X-API-Key: <key>" or "Authorization: Bearer <key>"'
+      });
+    }
+
+    req.auth = { type: 'anonymous', role: null, key: null, client: `ip:${req.ip}` };
+    next();
+  } catch (error) {
+    console.error('Error checking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check API key',
+      message: error.message
+    });
+  }
+};
+
+module.exports = authenticate;
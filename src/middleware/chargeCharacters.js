@@ -0,0 +1,49 @@
+const { checkCharacters, recordCharacters } = require('../services/quotas');
+
+// The flag lets the OpenAPI document mention the character quota on these routes
+const charging = (middleware) => Object.assign(middleware, { chargesCharacters: true });
+
+// Daily character quota for a generating route. `countOf(req)` says how many
+// characters the request asks for; the request is turned away with a 429 if
+// that would go over the client's quota, and counted once it has succeeded.
+// The count is left in res.locals.characters for the request metrics; a
+// handler that generates fewer, such as a batch with invalid items, lowers it.
+// Counts that aren't positive integers are left for the handler to reject.
+const chargeCharacters = (countOf) => charging(async (req, res, next) => {
+  try {
+    const count = Number(countOf(req));
+    if (!Number.isInteger(count) || count < 1) {
+      return next();
+    }
+
+    const quota = await checkCharacters(req.auth, count);
+    if (!quota.allowed) {
+      res.set('Retry-After', String(quota.retry_after));
+      return res.status(429).json({
+        success: false,
+        error: 'Daily character quota exceeded',
+        message: `${count} characters requested but only ${quota.remaining} of ${quota.limit} are left today (UTC)`,
+        quota: { limit: quota.limit, used: quota.used, remaining: quota.remaining }
+      });
+    }
+
+    res.locals.characters = count;
+    res.on('finish', () => {
+      if (res.statusCode < 400 && res.locals.characters > 0) {
+        recordCharacters(req.auth, res.locals.characters).catch(error => {
+          console.error('Error recording character usage:', error.message);
+        });
+      }
+    });
+    next();
+  } catch (error) {
+    console.error('Error checking character quota:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check character quota',
+      message: error.message
+    });
+  }
+});
+
+module.exports = chargeCharacters;
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { getStorage } = require('../storage');
+
+// Headers of a response that are replayed with its body
+const REPLAYED_HEADERS = ['Content-Type', 'Content-Disposition', 'Location'];
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const DEFAULT_TTL_HOURS = 24;
+
+const ttlHours = () => {
+  const value = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_TTL_HOURS;
+};
+
+// What a retry has to repeat for the stored response to be replayed
+const requestHash = (req) => crypto.createHash('sha256')
+  .update(JSON.stringify([req.method, req.baseUrl + req.path, req.query, req.body === undefined ? null : req.body]))
+  .digest('hex');
+
+// Collect what the handler writes, however it writes it (res.json, res.send
+// or an export's res.write calls)
+const captureBody = (res) => {
+  const chunks = [];
+  const collect = (chunk, encoding) => {
+    if (chunk === undefined || chunk === null || typeof chunk === 'function') return;
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+  };
+
+  const { write, end } = res;
+  res.write = function (chunk, encoding, ...rest) {
+    collect(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    collect(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+  return () => Buffer.concat(chunks).toString('utf8');
+};
+
+// The flag lets the OpenAPI document list the Idempotency-Key header and its responses
+const marking = (middleware) => Object.assign(middleware, { idempotent: true });
+
+/**
+ * Idempotency-Key support for a POST route. The first successful (2xx)
+ * response to a key is stored for IDEMPOTENCY_KEY_TTL_HOURS (default 24)
+ * and sent again, with Idempotent-Replayed: true, to any retry of the same
+ * request by the same client, without running the handler again. Keys are
+ * per client. Reusing a key for a different request is a 422, and retrying
+ * while the first request is still being handled a 409. Failed requests
+ * don't keep their key, so they can be retried. Without storage the header
+ * is ignored, since nothing is saved that a retry could duplicate.
+ */
+const idempotency = marking(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined || !getStorage().idempotencyKeys) {
+    return next();
+  }
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid Idempotency-Key',
+      message: 'Idempotency-Key must be 1 to 255 visible ASCII characters, such as a UUID'
+    });
+  }
+
+  const client = req.auth.client;
+  const hash = requestHash(req);
+  try {
+    const stored = await IdempotencyKey.reserve({
+      client,
+      idempotency_key: key,
+      request_hash: hash,
+      expires_at: new Date(Date.now() + ttlHours() * 3600 * 1000)
+    });
+
+    if (stored) {
+      if (stored.request_hash !== hash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key reused',
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+      if (stored.status === null) {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          success: false,
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being handled'
+        });
+      }
+      res.status(stored.status);
+      res.set({ ...stored.headers, 'Idempotent-Replayed': 'true' });
+      return res.send(stored.body);
+    }
+  } catch (error) {
+    console.error('Error checking idempotency key:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to check idempotency key',
+      message: error.message
+    });
+  }
+
+  const body = captureBody(res);
+  let settled = false;
+  const settle = (save) => {
+    if (settled) return;
+    settled = true;
+    const done = save
+      ? IdempotencyKey.complete(client, key, {
+        status: res.statusCode,
+        headers: Object.fromEntries(REPLAYED_HEADERS.filter(name => res.get(name) !== undefined).map(name => [name, res.get(name)])),
+        body: body()
+      })
+      : IdempotencyKey.release(client, key);
+    done.catch(error => {
+      console.error('Error saving idempotent response:', error.message);
+    });
+  };
+  res.on('finish', () => settle(res.statusCode >= 200 && res.statusCode < 300));
+  res.on('close', () => settle(false));
+  next();
+});
+
+module.exports = idempotency;
@@ -0,0 +1,20 @@
+const { DEFAULT_LOCALE, isSupportedLocale } = require('../services/locales');
+const traitCatalogue = require('../services/traitCatalogue');
+
+// Loads the requested locale's trait catalogue (or refreshes it once the
+// cache has expired) before the synchronous generator runs. If storage
+// can't be read the request still goes ahead with the last catalogue loaded,
+// or the locale pack as shipped.
+const loadTraitCatalogue = async (req, res, next) => {
+  const locale = (req.query && req.query.locale) || (req.body && req.body.locale) || DEFAULT_LOCALE;
+  if (typeof locale === 'string' && isSupportedLocale(locale)) {
+    try {
+      await traitCatalogue.refresh(locale);
+    } catch (error) {
+      console.error(`Error loading the ${locale} trait catalogue:`, error.message);
+    }
+  }
+  next();
+};
+
+module.exports = loadTraitCatalogue;
@@ -0,0 +1,33 @@
+const { WINDOW_SECONDS, consumeRequest, recordRequest } = require('../services/quotas');
+
+// Applies the client's requests-per-minute limit and reports it in the
+// RateLimit-* headers; a 429 with Retry-After once it is used up. Clients
+// without a limit get no headers. Runs after authenticate.
+const rateLimit = (req, res, next) => {
+  const window = consumeRequest(req.auth);
+
+  if (window) {
+    res.set({
+      'RateLimit-Limit': String(window.limit),
+      'RateLimit-Remaining': String(window.remaining),
+      'RateLimit-Reset': String(window.reset),
+      'RateLimit-Policy': `${window.limit};w=${WINDOW_SECONDS}`
+    });
+
+    if (!window.allowed) {
+      res.set('Retry-After', String(window.reset));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        message: `The limit is ${window.limit} requests per minute; try again in ${window.reset} seconds`
+      });
+    }
+  }
+
+  recordRequest(req.auth).catch(error => {
+    console.error('Error recording API key usage:', error.message);
+  });
+  next();
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,26 @@
+const requestMetrics = require('../services/requestMetrics');
+
+// Counts every API request for /stats once its response has been sent: the
+// route it matched, its status, the client and how long it took. Generating
+// routes report their characters in res.locals.characters (see
+// chargeCharacters) and the seeded character route its cache outcome in
+// res.locals.seed_cache.
+const recordMetrics = (req, res, next) => {
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const succeeded = res.statusCode < 400;
+    requestMetrics.record({
+      method: req.method,
+      route: req.route ? req.route.path : '*',
+      status: res.statusCode,
+      auth: req.auth,
+      duration_ms: Number(process.hrtime.bigint() - started) / 1e6,
+      characters: succeeded ? res.locals.characters || 0 : 0,
+      seed_cache: succeeded ? res.locals.seed_cache : null
+    });
+  });
+  next();
+};
+
+module.exports = recordMetrics;
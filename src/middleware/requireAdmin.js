@@ -0,0 +1,24 @@
+// Guards admin and destructive endpoints: the caller needs an API key with
+// the admin role, or the ADMIN_TOKEN (see authenticate). Other keys get a 403.
+const requireAdmin = (req, res, next) => {
+  const auth = req.auth || {};
+  if (auth.role === 'admin') {
+    return next();
+  }
+
+  if (auth.type === 'key') {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'This endpoint needs an API key with the admin role'
+    });
+  }
+
+  res.status(401).json({
+    success: false,
+    error: 'Unauthorized',
+    message: 'Send an admin API key or the ADMIN_TOKEN as "Authorization: Bearer <token>"'
+  });
+};
+
+module.exports = requireAdmin;
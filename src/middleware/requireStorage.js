@@ -0,0 +1,17 @@
+const { getStorage } = require('../storage');
+
+// Guards endpoints that only make sense with stored data (reading, updating
+// and listing characters, jobs, relationships) when STORAGE_DRIVER=none
+const requireStorage = (req, res, next) => {
+  if (getStorage().enabled) {
+    return next();
+  }
+
+  res.status(503).json({
+    success: false,
+    error: 'Storage is disabled',
+    message: `${req.method} ${req.originalUrl} needs stored data; set STORAGE_DRIVER to mysql, sqlite or memory`
+  });
+};
+
+module.exports = requireStorage;
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+
+const KEY_PREFIX = 'fpk_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Usage is counted per UTC day
+const today = () => new Date().toISOString().slice(0, 10);
+
+// API keys (api_keys) and their daily usage (api_key_usage). A key is shown
+// once, when it is created; only its hash is stored.
+class ApiKey {
+  // Returns { key, data }: the secret key and the stored record
+  static async create({ name, role = 'user', requests_per_minute = null, characters_per_day = null }) {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const id = await getStorage().apiKeys.create({
+      name,
+      key_hash: hashKey(key),
+      key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+      role,
+      requests_per_minute,
+      characters_per_day
+    });
+    return { key, data: await this.findById(id) };
+  }
+
+  static async findById(id) {
+    return getStorage().apiKeys.findById(id);
+  }
+
+  // The record for a secret key, revoked or not; null for an unknown key
+  static async findByKey(key) {
+    return getStorage().apiKeys.findByHash(hashKey(key));
+  }
+
+  static async findAll() {
+    return getStorage().apiKeys.findAll();
+  }
+
+  // Change the name, role or quotas; a null quota means the default
+  static async update(id, data) {
+    return getStorage().apiKeys.update(id, data);
+  }
+
+  // Only a key that is still active can be revoked
+  static async revoke(id) {
+    return getStorage().apiKeys.revoke(id);
+  }
+
+  // Add requests and generated characters to today's usage
+  static async addUsage(id, usage) {
+    return getStorage().apiKeys.addUsage(id, today(), usage);
+  }
+
+  // { requests, characters } so far today
+  static async getUsage(id) {
+    return getStorage().apiKeys.getUsage(id, today());
+  }
+}
+
+module.exports = ApiKey;
@@ -1,145 +1,108 @@
-const { pool } = require('../config/database');
+const { getStorage } = require('../storage');
+const { PROFILE_SECTIONS } = require('../services/profileSections');
 
+// Stored characters. Where they are stored is up to the storage driver chosen
+// by STORAGE_DRIVER (see src/storage); the logic on top of it lives here.
 class Character {
   static async create(characterData) {
-    const connection = await pool.getConnection();
-    
-    try {
-      await connection.beginTransaction();
-
-      // Insert main character data
-      const [result] = await connection.query(
-        `INSERT INTO characters 
-        (name, age, gender, occupation, background, hair_color, eye_color, height_cm, build, seed) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          characterData.name,
-          characterData.age,
-          characterData.gender,
-          characterData.occupation,
-          characterData.background,
-          characterData.appearance.hair_color,
-          characterData.appearance.eye_color,
-          characterData.appearance.height_cm,
-          characterData.appearance.build,
-          characterData.seed || null
-        ]
-      );
-
-      const characterId = result.insertId;
-
-      // Insert personality traits
-      if (characterData.personality_traits && characterData.personality_traits.length > 0) {
-        const traitsData = characterData.personality_traits.map(trait => [characterId, trait]);
-        await connection.query(
-          'INSERT INTO personality_traits (character_id, trait) VALUES ?',
-          [traitsData]
-        );
-      }
-
-      // Insert hobbies
-      if (characterData.hobbies && characterData.hobbies.length > 0) {
-        const hobbiesData = characterData.hobbies.map(hobby => [characterId, hobby]);
-        await connection.query(
-          'INSERT INTO hobbies (character_id, hobby) VALUES ?',
-          [hobbiesData]
-        );
-      }
-
-      await connection.commit();
-      return characterId;
+    return getStorage().characters.create(characterData);
+  }
 
-    } catch (error) {
-      await connection.rollback();
-      throw error;
-    } finally {
-      connection.release();
+  // Insert many characters at once. Returns the new ids in order.
+  static async createMany(charactersData) {
+    if (charactersData.length === 0) {
+      return [];
     }
+    return getStorage().characters.createMany(charactersData);
   }
 
-  static async findById(id) {
-    const [characters] = await pool.query(
-      `SELECT * FROM characters WHERE id = ?`,
-      [id]
-    );
+  // Persist generated characters. Seeded characters already stored with the same
+  // seed and identical attributes are returned from storage instead of being
+  // inserted again, so repeated seeded requests don't pile up duplicates. The
+  // rest are inserted in one transaction. The characters may mix locales and
+  // generator versions. Returns [{ data, cached }] in input order. With
+  // `persist: false` nothing is inserted and new characters get a null id.
+  static async saveGenerated(characters, { persist = true } = {}) {
+    const seedGroups = new Map();
+    characters.filter(c => c.seed).forEach(c => {
+      const key = `${c.locale}|${c.generator_version}`;
+      if (!seedGroups.has(key)) {
+        seedGroups.set(key, { locale: c.locale, version: c.generator_version, seeds: [] });
+      }
+      seedGroups.get(key).seeds.push(c.seed);
+    });
 
-    if (characters.length === 0) {
-      return null;
+    const stored = [];
+    for (const { locale, version, seeds } of seedGroups.values()) {
+      stored.push(...await this.findBySeeds(seeds, locale, version));
     }
 
-    return await this.buildCharacterObject(characters[0]);
+    const existing = characters.map(character => (character.seed
+      ? stored.find(c => c.seed === character.seed
+        && c.locale === character.locale
+        && c.generator_version === character.generator_version
+        && this.isSameCharacter(c, character))
+      : null));
+
+    const unsaved = characters.filter((_, i) => !existing[i]);
+    const ids = persist ? await this.createMany(unsaved) : unsaved.map(() => null);
+    let inserted = 0;
+    return characters.map((character, i) => (existing[i]
+      ? { data: existing[i], cached: true }
+      : { data: { ...character, id: ids[inserted++] }, cached: false }));
   }
 
-  static async findBySeed(seed) {
-    const [characters] = await pool.query(
-      `SELECT * FROM characters WHERE seed = ? LIMIT 1`,
-      [seed]
-    );
+  // Compare the generated attributes of a stored and a freshly generated character
+  static isSameCharacter(stored, generated) {
+    const pick = (c) => JSON.stringify([
+      c.name, c.age, c.gender, c.occupation, c.education, c.annual_income, c.background,
+      c.appearance.hair_color, c.appearance.eye_color, c.appearance.height_cm, c.appearance.build,
+      c.personality_traits, c.hobbies,
+      ...Object.values(PROFILE_SECTIONS).map(section => c[section.property])
+    ]);
+    return pick(stored) === pick(generated);
+  }
 
-    if (characters.length === 0) {
-      return null;
-    }
+  static async findById(id) {
+    return getStorage().characters.findById(id);
+  }
 
-    return await this.buildCharacterObject(characters[0]);
+  static async findBySeed(seed, locale, generatorVersion) {
+    const [character] = await this.findBySeeds([seed], locale, generatorVersion);
+    return character || null;
   }
 
-  static async buildCharacterObject(characterRow) {
-    // Get personality traits
-    const [traits] = await pool.query(
-      'SELECT trait FROM personality_traits WHERE character_id = ?',
-      [characterRow.id]
-    );
-
-    // Get hobbies
-    const [hobbies] = await pool.query(
-      'SELECT hobby FROM hobbies WHERE character_id = ?',
-      [characterRow.id]
-    );
-
-    return {
-      id: characterRow.id,
-      name: characterRow.name,
-      age: characterRow.age,
-      gender: characterRow.gender,
-      occupation: characterRow.occupation,
-      background: characterRow.background,
-      appearance: {
-        hair_color: characterRow.hair_color,
-        eye_color: characterRow.eye_color,
-        height_cm: characterRow.height_cm,
-        build: characterRow.build
-      },
-      personality_traits: traits.map(t => t.trait),
-      hobbies: hobbies.map(h => h.hobby),
-      seed: characterRow.seed,
-      created_at: characterRow.created_at
-    };
+  // Every stored character for any of the given seeds, oldest first
+  static async findBySeeds(seeds, locale, generatorVersion) {
+    return getStorage().characters.findBySeeds(seeds, locale, generatorVersion);
   }
 
-  static async getAvailableTraits() {
-    const [rows] = await pool.query(
-      'SELECT category, value FROM available_traits ORDER BY category, value'
-    );
+  static async findAll(filters = {}, { page = 1, limit = 20 } = {}) {
+    return getStorage().characters.findAll(filters, { page, limit });
+  }
 
-    const traits = {};
-    rows.forEach(row => {
-      if (!traits[row.category]) {
-        traits[row.category] = [];
-      }
-      traits[row.category].push(row.value);
-    });
+  // Update the supplied fields; lists are replaced wholesale. False when there is no such character.
+  static async update(id, characterData) {
+    return getStorage().characters.update(id, characterData);
+  }
 
-    return traits;
+  static async delete(id) {
+    return getStorage().characters.delete(id);
   }
 
   static async count() {
-    const [result] = await pool.query('SELECT COUNT(*) as total FROM characters');
-    return result[0].total;
+    return getStorage().characters.count();
+  }
+
+  // Counts of stored values for /stats: every gender and age, and the `top`
+  // most common occupations, personality traits and hobbies
+  static async distributions(top = 10) {
+    return getStorage().characters.distributions(top);
   }
 
   static async deleteAll() {
-    await pool.query('DELETE FROM characters');
+    return getStorage().characters.deleteAll();
   }
 }
 
-module.exports = Character;
\ No newline at end of file
+module.exports = Character;
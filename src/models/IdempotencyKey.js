@@ -0,0 +1,24 @@
+const { getStorage } = require('../storage');
+
+// Responses stored for Idempotency-Key headers (idempotency_keys), so a
+// retried POST can be answered with the first response; see
+// middleware/idempotency
+class IdempotencyKey {
+  // Claim a key until `expires_at`. Returns null when it is now held for
+  // this request, else the stored { request_hash, status, headers, body },
+  // status being null while the first request is still being handled.
+  static async reserve({ client, idempotency_key, request_hash, expires_at }) {
+    return getStorage().idempotencyKeys.reserve({ client, idempotency_key, request_hash, expires_at });
+  }
+
+  static async complete(client, idempotencyKey, { status, headers, body }) {
+    return getStorage().idempotencyKeys.complete(client, idempotencyKey, { status, headers, body });
+  }
+
+  // Free a claimed key whose request failed, so it can be retried
+  static async release(client, idempotencyKey) {
+    return getStorage().idempotencyKeys.release(client, idempotencyKey);
+  }
+}
+
+module.exports = IdempotencyKey;
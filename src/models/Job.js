@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+
+// Background generation jobs and their output, kept by the storage driver
+class Job {
+  // `client` is the caller that queued the job (req.auth.client)
+  static async create(spec, client) {
+    const id = crypto.randomUUID();
+    await getStorage().jobs.create(id, spec, client);
+    return id;
+  }
+
+  static async findById(id) {
+    return getStorage().jobs.findById(id);
+  }
+
+  // Jobs that still have work to do, oldest first
+  static async findUnfinished() {
+    return getStorage().jobs.findUnfinished();
+  }
+
+  static async markRunning(id) {
+    return getStorage().jobs.markRunning(id);
+  }
+
+  // A job cancelled while it was running keeps its cancelled status
+  static async markFinished(id, status, error = null) {
+    return getStorage().jobs.markFinished(id, status, error);
+  }
+
+  // Only queued or running jobs can be cancelled
+  static async cancel(id) {
+    return getStorage().jobs.cancel(id);
+  }
+
+  // Removes the job and its output
+  static async delete(id) {
+    return getStorage().jobs.delete(id);
+  }
+
+  // Store one chunk of output and the progress it brings the job to
+  static async appendChunk(id, chunkIndex, content, progress) {
+    return getStorage().jobs.appendChunk(id, chunkIndex, content, progress);
+  }
+
+  static async countChunks(id) {
+    return getStorage().jobs.countChunks(id);
+  }
+
+  static async getChunk(id, chunkIndex) {
+    return getStorage().jobs.getChunk(id, chunkIndex);
+  }
+}
+
+module.exports = Job;
@@ -0,0 +1,35 @@
+const { getStorage } = require('../storage');
+
+// Directed types read "character_id is the <type> of related_character_id";
+// the rest are symmetric and stored once per pair
+const INVERSE_TYPES = {
+  parent: 'child',
+  grandparent: 'grandchild',
+  sibling: 'sibling',
+  spouse: 'spouse',
+  friend: 'friend',
+  coworker: 'coworker'
+};
+
+class Relationship {
+  // Insert relationships, skipping any that already exist
+  static async createMany(relationships) {
+    if (relationships.length === 0) {
+      return;
+    }
+
+    await getStorage().relationships.createMany(relationships);
+  }
+
+  // Relationships of one character; each type says what the related character
+  // is to this one (e.g. "parent" means the related character is their parent)
+  static async findForCharacter(characterId) {
+    const rows = await getStorage().relationships.findForCharacter(characterId);
+
+    return rows.map(row => (row.character_id === characterId
+      ? { related_character_id: row.related_character_id, type: INVERSE_TYPES[row.type] }
+      : { related_character_id: row.character_id, type: row.type }));
+  }
+}
+
+module.exports = Relationship;
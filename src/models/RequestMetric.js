@@ -0,0 +1,20 @@
+const { getStorage } = require('../storage');
+
+// Request counts per hour, endpoint, status and client (request_metrics),
+// written in batches by services/requestMetrics
+class RequestMetric {
+  // Add the counters of each row to what is stored for its hour and key
+  static async add(rows) {
+    if (rows.length === 0) {
+      return;
+    }
+    return getStorage().metrics.add(rows);
+  }
+
+  // Rows for the hours starting in [from, to), oldest first
+  static async findInRange(from, to) {
+    return getStorage().metrics.findInRange(from, to);
+  }
+}
+
+module.exports = RequestMetric;
@@ -0,0 +1,63 @@
+const { getStorage } = require('../storage');
+const { localeTraitRows } = require('../storage/rows');
+
+const rowKey = (row) => `${row.category}\n${row.value}`;
+
+// The trait catalogue (available_traits): the values the generator draws
+// personality traits, occupations, hobbies and appearance from, per locale,
+// each with a relative weight (1 unless tuned)
+class Trait {
+  // [{ category, value, weight }]: the locale pack's values in pack order,
+  // then the values added through the admin API in the order they were
+  // added. Stored rows override the pack's weights and removed rows take
+  // values out, so an unseeded catalogue is the pack as shipped.
+  static async findByLocale(locale) {
+    const stored = new Map((await getStorage().traits.findByLocale(locale)).map(row => [rowKey(row), row]));
+    const packRows = localeTraitRows(locale);
+    const packKeys = new Set(packRows.map(rowKey));
+
+    return [
+      ...packRows.map(row => stored.get(rowKey(row)) || row),
+      ...[...stored.values()].filter(row => !packKeys.has(rowKey(row)))
+    ]
+      .filter(row => !row.removed)
+      .map(({ category, value, weight }) => ({ category, value, weight }));
+  }
+
+  // { category: [values] } sorted by value, plus { category: { value: weight } }
+  // for the values whose weight isn't the default
+  static async getAvailableTraits(locale) {
+    const rows = await this.findByLocale(locale);
+    const traits = {};
+    const weights = {};
+
+    rows.forEach(row => {
+      if (!traits[row.category]) {
+        traits[row.category] = [];
+      }
+      traits[row.category].push(row.value);
+
+      if (row.weight !== 1) {
+        weights[row.category] = { ...weights[row.category], [row.value]: row.weight };
+      }
+    });
+    Object.values(traits).forEach(values => values.sort((a, b) => a.localeCompare(b)));
+
+    return { traits, weights };
+  }
+
+  // Add a value or set its weight. True when the value is new.
+  static async save(locale, category, value, weight = 1) {
+    const rows = await this.findByLocale(locale);
+    await getStorage().traits.save(locale, category, value, weight);
+    return !rows.some(row => row.category === category && row.value === value);
+  }
+
+  // The value is kept in storage as removed, so neither the pack nor
+  // "npm run seed-data" brings it back
+  static async delete(locale, category, value) {
+    return getStorage().traits.remove(locale, category, value);
+  }
+}
+
+module.exports = Trait;
@@ -0,0 +1,76 @@
+const { createApiRouter, schemaRef, envelope } = require('./apiRouter');
+const router = createApiRouter();
+const apiKeyController = require('../controllers/apiKeyController');
+const requireStorage = require('../middleware/requireStorage');
+const requireAdmin = require('../middleware/requireAdmin');
+
+const quota = (description) => ({ type: ['integer', 'null'], minimum: 1, description });
+
+const keyProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  role: { type: 'string', enum: ['user', 'admin'], default: 'user' },
+  requests_per_minute: quota('null for the default'),
+  characters_per_day: quota('null for the default')
+};
+
+const key = envelope(schemaRef('ApiKey'));
+
+router.post('/api-keys', {
+  operationId: 'createApiKey',
+  summary: 'Create an API key; the response holds the key, which is not stored',
+  tags: ['API keys'],
+  body: {
+    schema: { type: 'object', properties: keyProperties, required: ['name'] },
+    example: { name: 'Staging load tests', requests_per_minute: 30, characters_per_day: 5000 }
+  },
+  responses: {
+    201: {
+      description: 'The key; Location holds its URL',
+      schema: envelope({ allOf: [schemaRef('ApiKey')], properties: { key: { type: 'string' } } }, {
+        message: { type: 'string' }
+      })
+    }
+  }
+}, requireStorage, requireAdmin, apiKeyController.createKey);
+
+router.get('/api-keys', {
+  operationId: 'listApiKeys',
+  summary: 'List API keys with their limits and today\'s usage',
+  tags: ['API keys'],
+  responses: {
+    200: {
+      description: 'Every key, revoked ones included',
+      schema: envelope({ type: 'array', items: schemaRef('ApiKey') }, { count: { type: 'integer' } })
+    }
+  }
+}, requireStorage, requireAdmin, apiKeyController.listKeys);
+
+router.get('/api-keys/:id', {
+  operationId: 'getApiKey',
+  summary: 'Get an API key with its limits and today\'s usage',
+  tags: ['API keys'],
+  responses: {
+    200: { description: 'The key', schema: key }
+  }
+}, requireStorage, requireAdmin, apiKeyController.getKey);
+
+router.patch('/api-keys/:id', {
+  operationId: 'updateApiKey',
+  summary: 'Rename an API key or change its role or quotas (null for the default)',
+  tags: ['API keys'],
+  body: { schema: { type: 'object', properties: keyProperties }, example: { characters_per_day: null } },
+  responses: {
+    200: { description: 'The updated key', schema: key }
+  }
+}, requireStorage, requireAdmin, apiKeyController.updateKey);
+
+router.delete('/api-keys/:id', {
+  operationId: 'revokeApiKey',
+  summary: 'Revoke an API key',
+  tags: ['API keys'],
+  responses: {
+    200: { description: 'The revoked key', schema: key }
+  }
+}, requireStorage, requireAdmin, apiKeyController.revokeKey);
+
+module.exports = router;
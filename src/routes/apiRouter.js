@@ -0,0 +1,58 @@
+const express = require('express');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * An Express router whose routes describe themselves for the OpenAPI
+ * document (see services/openapi). Routes are added as
+ *
+ *   router.get(path, operation, ...handlers)
+ *
+ * where `operation` holds:
+ *   operationId, summary, description, tags
+ *   parameters - names from services/apiParameters, or inline { name, schema, ... }
+ *   pathParameters - schemas for path parameters that PATH_PARAMETERS lacks
+ *                or describes differently
+ *   body       - { schema, example } of a JSON request body
+ *   responses  - { status: { description, schema, formats, content } or the
+ *                name of a shared response }
+ *   examples   - example request URLs
+ *
+ * Path parameters, authentication, quota and storage responses are worked
+ * out from the path and the handlers. Every route is collected in
+ * router.operations.
+ */
+const createApiRouter = () => {
+  const router = express.Router();
+  router.operations = [];
+
+  METHODS.forEach(method => {
+    const register = router[method].bind(router);
+    router[method] = (path, operation, ...handlers) => {
+      router.operations.push({ method, path, operation, handlers });
+      return register(path, ...handlers);
+    };
+  });
+
+  return router;
+};
+
+// A reference to a schema in the document's components
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// The { success: true, data } body most endpoints answer with
+const envelope = (data, extra = {}) => ({
+  type: 'object',
+  properties: {
+    success: { const: true },
+    data,
+    ...extra
+  },
+  required: ['success', 'data']
+});
+
+module.exports = {
+  createApiRouter,
+  schemaRef,
+  envelope
+};
@@ -1,51 +1,406 @@
-const express = require('express');
-const router = express.Router();
+const { createApiRouter, schemaRef, envelope } = require('./apiRouter');
+const router = createApiRouter();
 const characterController = require('../controllers/characterController');
+const requireStorage = require('../middleware/requireStorage');
+const loadTraitCatalogue = require('../middleware/loadTraitCatalogue');
+const chargeCharacters = require('../middleware/chargeCharacters');
+const requireAdmin = require('../middleware/requireAdmin');
+const idempotency = require('../middleware/idempotency');
+const { AVATAR_FORMATS } = require('../services/avatar');
+const { EVENT_STREAM_CONTENT_TYPE, FORMATS } = require('../services/exporters');
+const { INTERVALS, MAX_TOP_VALUES } = require('../services/requestMetrics');
+const { getParameters } = require('../services/apiParameters');
 
-/**
- * @route   GET /api/v1/character/random
- * @desc    Generate a completely random character
- * @access  Public
- */
-router.get('/character/random', characterController.generateRandom);
-
-/**
- * @route   GET /api/v1/character/:seed
- * @desc    Generate or retrieve a character with a specific seed
- * @access  Public
- */
-router.get('/character/:seed', characterController.generateWithSeed);
-
-/**
- * @route   GET /api/v1/character
- * @desc    Generate a character with optional parameters
- * @query   gender, age, occupation, hair_color, eye_color, height_cm, build, fields, count
- * @access  Public
- * @example /api/v1/character?gender=male&age=30
- * @example /api/v1/character?fields=name,age,gender
- * @example /api/v1/character?count=5
- */
-router.get('/character', characterController.generateCustom);
-
-/**
- * @route   GET /api/v1/traits
- * @desc    Get all available traits and options
- * @access  Public
- */
-router.get('/traits', characterController.getTraits);
-
-/**
- * @route   GET /api/v1/schema
- * @desc    Get JSON schema for character object
- * @access  Public
- */
-router.get('/schema', characterController.getSchema);
-
-/**
- * @route   GET /api/v1/stats
- * @desc    Get API usage statistics
- * @access  Public
- */
-router.get('/stats', characterController.getStats);
-
-module.exports = router;
\ No newline at end of file
+// Options every generating route takes
+const GENERATION_OPTIONS = ['locale', 'generator_version', 'format', 'background_length', 'include'];
+
+// Generating routes save their characters unless asked not to
+const PERSIST_OPTIONS = ['persist', 'dry_run'];
+
+// What a generated character may be constrained to
+const CONSTRAINTS = [
+  'name', 'gender', 'age', 'occupation', 'hair_color', 'eye_color', 'height_cm', 'build', 'strict',
+  'age_min', 'age_max', 'age_dist', 'age_mean', 'age_sd', 'height_cm_min', 'height_cm_max',
+  'gender_ratio', 'weights'
+];
+
+const character = envelope(schemaRef('Character'));
+
+const seededCharacter = envelope(schemaRef('Character'), {
+  cached: { type: 'boolean', description: 'Whether the seed had been generated and stored before' }
+});
+
+// A POST /characters/batch item: the query parameters of /character as JSON
+const batchItemSchema = () => {
+  const parameters = getParameters();
+  const properties = Object.fromEntries(
+    [...GENERATION_OPTIONS, 'seed', 'count', ...CONSTRAINTS]
+      .filter(name => name !== 'format')
+      .map(name => [name, parameters[name].schema])
+  );
+  return {
+    type: 'object',
+    properties: {
+      ...properties,
+      fields: {
+        oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+        description: 'Fields to return, as an array or a comma-separated string'
+      }
+    },
+    additionalProperties: false
+  };
+};
+
+// Characters asked for by the valid-looking items of a batch; the rest are
+// rejected by the handler without generating anything
+const batchCount = (req) => (Array.isArray(req.body) ? req.body : []).reduce((sum, item) => {
+  const count = item && item.count !== undefined ? Number(item.count) : 1;
+  return sum + (Number.isInteger(count) && count > 0 ? count : 0);
+}, 0);
+
+// The body of a POST /characters/batch response; unsuccessful when no item was valid
+const batchResults = (success) => ({
+  type: 'object',
+  properties: {
+    success: { const: success },
+    ...(!success && { error: { type: 'string' } }),
+    count: { type: 'integer', description: 'Characters generated in all' },
+    failed: { type: 'integer', description: 'Items that were rejected' },
+    data: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          success: { type: 'boolean' },
+          count: { type: 'integer' },
+          data: { type: 'array', items: schemaRef('Character') },
+          cached_count: { type: 'integer', description: 'With a seed, how many of the characters were already stored' },
+          error: { type: 'string', description: 'Why the item was rejected' },
+          details: { type: 'array', description: 'The invalid parameters, as in a 400 response' }
+        }
+      }
+    }
+  }
+});
+
+const characterList = envelope({ type: 'array', items: schemaRef('Character') }, {
+  count: { type: 'integer' },
+  cached_count: { type: 'integer', description: 'With a seed, how many of the characters were already stored' }
+});
+
+router.get('/character/random', {
+  operationId: 'generateRandomCharacter',
+  summary: 'Generate a completely random character',
+  description: 'Responses are never cached, so every request gets a new character.',
+  tags: ['Characters'],
+  parameters: [...GENERATION_OPTIONS, ...PERSIST_OPTIONS],
+  responses: {
+    200: { description: 'The character, stored unless persist=false', schema: character, formats: true }
+  }
+}, chargeCharacters(() => 1), loadTraitCatalogue, characterController.generateRandom);
+
+router.get('/character/id/:id', {
+  operationId: 'getCharacter',
+  summary: 'Get a stored character by id',
+  tags: ['Characters'],
+  parameters: ['format'],
+  responses: {
+    200: { description: 'The character', schema: character, formats: true }
+  }
+}, requireStorage, characterController.getById);
+
+// Served at /character/{id}/avatar.{format} and, next to the other id
+// routes, at /character/id/{id}/avatar.{format}
+const avatarOperation = (operationId, prefix, description) => ({
+  operationId,
+  summary: 'Draw an illustrated avatar of a stored character as SVG or PNG',
+  description,
+  tags: ['Characters'],
+  pathParameters: {
+    format: { type: 'string', enum: Object.keys(AVATAR_FORMATS) }
+  },
+  parameters: ['avatar_size', 'avatar_style', 'avatar_shape', 'avatar_skin_tone'],
+  responses: {
+    200: {
+      description: 'The avatar',
+      content: Object.fromEntries(Object.values(AVATAR_FORMATS).map(({ contentType }) => [
+        contentType,
+        { schema: { type: 'string', contentMediaType: contentType } }
+      ]))
+    }
+  },
+  examples: [
+    `/api/v1/character/${prefix}42/avatar.svg`,
+    `/api/v1/character/${prefix}42/avatar.png?size=128&style=shaded&shape=circle`
+  ]
+});
+
+router.get('/character/:id/avatar.:format', avatarOperation(
+  'getCharacterAvatar', '', 'The same character always gets the same avatar.'
+), requireStorage, characterController.getAvatar);
+
+router.get('/character/id/:id/avatar.:format', avatarOperation(
+  'getCharacterAvatarById', 'id/', 'The same as /character/{id}/avatar.{format}.'
+), requireStorage, characterController.getAvatar);
+
+router.patch('/character/id/:id', {
+  operationId: 'updateCharacter',
+  summary: 'Update some fields of a stored character',
+  tags: ['Characters'],
+  body: { schema: schemaRef('CharacterUpdate'), example: { occupation: 'Architect', hobbies: ['chess', 'sailing'] } },
+  responses: {
+    200: { description: 'The updated character', schema: character }
+  }
+}, requireStorage, requireAdmin, characterController.updateCharacter);
+
+router.put('/character/id/:id', {
+  operationId: 'replaceCharacter',
+  summary: 'Replace a stored character',
+  tags: ['Characters'],
+  body: { schema: schemaRef('CharacterInput') },
+  responses: {
+    200: { description: 'The replaced character', schema: character }
+  }
+}, requireStorage, requireAdmin, characterController.replaceCharacter);
+
+router.delete('/character/id/:id', {
+  operationId: 'deleteCharacter',
+  summary: 'Delete a stored character',
+  tags: ['Characters'],
+  responses: {
+    200: {
+      description: 'Deleted',
+      schema: envelope({ type: 'object', properties: { id: { type: 'integer' } } })
+    }
+  }
+}, requireStorage, requireAdmin, characterController.deleteCharacter);
+
+router.get('/character/:seed', {
+  operationId: 'generateSeededCharacter',
+  summary: 'Generate or retrieve a character with a specific seed',
+  description: 'A seed gives the same character every time for the same generator version, so the response '
+    + 'carries an ETag and may be cached; If-None-Match gets a 304 without generating or storing anything.',
+  tags: ['Characters'],
+  parameters: [...GENERATION_OPTIONS, ...PERSIST_OPTIONS],
+  responses: {
+    200: { description: 'The character', schema: seededCharacter, formats: true },
+    304: 'NotModified'
+  },
+  examples: ['/api/v1/character/my-seed', '/api/v1/character/my-seed?generator_version=1']
+}, chargeCharacters(() => 1), loadTraitCatalogue, characterController.generateWithSeed);
+
+router.get('/character', {
+  operationId: 'generateCharacters',
+  summary: 'Generate a character with optional parameters',
+  description: 'Generates one character, or a list of them with count. With fields, only those fields are returned. '
+    + 'Seeded responses carry an ETag and may be cached, as for /character/{seed}; unseeded ones are never cached.',
+  tags: ['Characters'],
+  parameters: [...GENERATION_OPTIONS, 'seed', 'count', 'fields', ...CONSTRAINTS, ...PERSIST_OPTIONS],
+  responses: {
+    200: {
+      description: 'One character, or a list of them when count is more than 1',
+      schema: { oneOf: [seededCharacter, characterList] },
+      formats: true
+    },
+    304: 'NotModified'
+  },
+  examples: [
+    '/api/v1/character?gender=male&age=30',
+    '/api/v1/character?name=Ada%20Lovelace&age=36',
+    '/api/v1/character?locale=ja-JP&count=5',
+    '/api/v1/character?seed=fixtures&count=50&gender=female',
+    '/api/v1/character?seed=fixtures&generator_version=1',
+    '/api/v1/character?count=20&format=csv',
+    '/api/v1/character?fields=name,age,gender',
+    '/api/v1/character?occupation=Astronaut&strict=false',
+    '/api/v1/character?count=100&age_dist=normal&age_mean=35&age_sd=8',
+    '/api/v1/character?count=50&gender_ratio=male:0.4,female:0.4,non-binary:0.2',
+    '/api/v1/character?locale=en-US&background_length=long',
+    '/api/v1/character?include=contact,address,education,employment,social',
+    '/api/v1/character?count=5&persist=false'
+  ]
+}, chargeCharacters(req => (req.query.count !== undefined ? req.query.count : 1)), loadTraitCatalogue, characterController.generateCustom);
+
+router.post('/character', {
+  operationId: 'createCharacters',
+  summary: 'Generate and store characters from a JSON body',
+  description: 'Takes the parameters of GET /character as a JSON object and answers like it. '
+    + 'Send an Idempotency-Key to retry safely without storing the characters twice.',
+  tags: ['Characters'],
+  parameters: ['format', ...PERSIST_OPTIONS],
+  body: {
+    schema: batchItemSchema(),
+    example: { count: 5, gender: 'female', age_min: 30, age_max: 40, fields: ['name', 'age', 'occupation'] }
+  },
+  responses: {
+    200: {
+      description: 'One character, or a list of them when count is more than 1',
+      schema: { oneOf: [seededCharacter, characterList] },
+      formats: true
+    }
+  }
+}, idempotency, chargeCharacters(req => (req.body && req.body.count !== undefined ? req.body.count : 1)), loadTraitCatalogue, characterController.generateFromBody);
+
+router.get('/characters/stream', {
+  operationId: 'streamCharacters',
+  summary: 'Stream a large batch of characters as NDJSON or server-sent events',
+  description: 'Characters are written as they are generated. Without format, the Accept header picks NDJSON or server-sent events.',
+  tags: ['Characters'],
+  parameters: [
+    {
+      name: 'count',
+      required: true,
+      description: 'Number of characters to stream',
+      schema: { type: 'integer', minimum: 1, maximum: parseInt(process.env.MAX_STREAM_CHARACTERS) || 1000000 }
+    },
+    {
+      name: 'format',
+      description: 'Output format',
+      schema: { type: 'string', enum: ['sse', ...Object.keys(FORMATS)], default: 'ndjson' }
+    },
+    'persist',
+    'dry_run',
+    {
+      name: 'batch_size',
+      description: 'Characters generated and stored at a time',
+      schema: { type: 'integer', minimum: 1, maximum: 5000, default: 500 }
+    },
+    'seed', 'locale', 'generator_version', 'fields', 'background_length', 'include', ...CONSTRAINTS
+  ],
+  responses: {
+    200: {
+      description: 'The characters',
+      content: {
+        [FORMATS.ndjson.contentType]: { schema: { type: 'string' } },
+        [EVENT_STREAM_CONTENT_TYPE]: { schema: { type: 'string' } }
+      },
+      formats: true
+    }
+  },
+  examples: [
+    '/api/v1/characters/stream?count=100000&persist=false',
+    '/api/v1/characters/stream?count=5000&format=sse&gender=female'
+  ]
+}, chargeCharacters(req => req.query.count), loadTraitCatalogue, characterController.streamCharacters);
+
+router.post('/characters/batch', {
+  operationId: 'generateCharacterBatch',
+  summary: 'Generate differently specified characters in one request',
+  description: 'Each item is a set of /character parameters. Items are answered in order, each with its '
+    + 'characters or its own error; the characters of every valid item are saved in one transaction. '
+    + 'A batch holds at most MAX_CHARACTERS_PER_REQUEST (default 100) characters in all.',
+  tags: ['Characters'],
+  parameters: PERSIST_OPTIONS,
+  body: {
+    schema: { type: 'array', minItems: 1, items: batchItemSchema() },
+    example: [
+      { count: 10, gender: 'female', occupation: 'Registered Nurse', age_min: 30, age_max: 40, locale: 'en-US' },
+      { count: 5, seed: 'fixtures' },
+      {
+        name: 'Maria Santos',
+        age: 34,
+        gender: 'female',
+        occupation: 'Teacher',
+        hair_color: 'Black',
+        eye_color: 'Brown',
+        height_cm: 160,
+        build: 'Slim',
+        strict: false
+      }
+    ]
+  },
+  responses: {
+    200: { description: 'A result per item, in order', schema: batchResults(true) },
+    400: {
+      description: 'The body isn\'t an array of items or asks for too many characters (details), or none of the items is valid (data)',
+      schema: {
+        oneOf: [schemaRef('InvalidParameters'), batchResults(false)]
+      }
+    }
+  }
+}, idempotency, chargeCharacters(batchCount), characterController.generateBatch);
+
+router.get('/characters', {
+  operationId: 'listCharacters',
+  summary: 'List stored characters with filters and pagination',
+  tags: ['Characters'],
+  parameters: [
+    'filter_gender', 'filter_age_min', 'filter_age_max', 'filter_occupation', 'filter_hair_color',
+    'filter_eye_color', 'filter_build', 'filter_trait', 'filter_hobby', 'filter_locale',
+    'filter_generator_version', 'created_from', 'created_to', 'page', 'limit', 'format'
+  ],
+  responses: {
+    200: {
+      description: 'A page of characters',
+      schema: envelope({ type: 'array', items: schemaRef('Character') }, {
+        count: { type: 'integer' },
+        pagination: schemaRef('Pagination')
+      }),
+      formats: true
+    }
+  },
+  examples: [
+    '/api/v1/characters?gender=female&age_min=20&age_max=30',
+    '/api/v1/characters?trait=loyal&page=2&limit=50'
+  ]
+}, requireStorage, characterController.listCharacters);
+
+router.get('/schema', {
+  operationId: 'getCharacterSchema',
+  summary: 'Get the JSON schema of a character, with the locale\'s allowed values',
+  description: 'The Character schema of this document, limited to the catalogue of the given locale and generator version.',
+  tags: ['Meta'],
+  parameters: ['locale', 'generator_version'],
+  responses: {
+    200: {
+      description: 'A JSON Schema (2020-12)',
+      schema: envelope({ type: 'object' })
+    }
+  }
+}, loadTraitCatalogue, characterController.getSchema);
+
+router.get('/stats', {
+  operationId: 'getStats',
+  summary: 'Get request metrics and the distributions of stored characters',
+  description: 'Requests per endpoint, status and client, seed cache hit rates and a time series, '
+    + 'with the gender, age, occupation, trait and hobby distributions of stored characters. '
+    + 'Per-client totals are only returned to admins.',
+  tags: ['Meta'],
+  parameters: [
+    {
+      name: 'from',
+      description: 'Start of the window; a day before to by default, or 30 days with interval=day',
+      schema: { type: 'string', format: 'date-time' }
+    },
+    { name: 'to', description: 'End of the window; now by default', schema: { type: 'string', format: 'date-time' } },
+    {
+      name: 'interval',
+      description: 'Length of each entry of the time series',
+      schema: { type: 'string', enum: Object.keys(INTERVALS), default: 'hour' }
+    },
+    {
+      name: 'top',
+      description: 'Values listed per category',
+      schema: { type: 'integer', minimum: 1, maximum: MAX_TOP_VALUES, default: 10 }
+    }
+  ],
+  responses: {
+    200: {
+      description: 'The statistics',
+      schema: envelope({
+        type: 'object',
+        properties: {
+          total_characters_generated: { type: 'integer' },
+          api_version: { type: 'string' },
+          database: { type: 'string' },
+          characters: { type: 'object', description: 'Distributions of stored characters' },
+          requests: { type: ['object', 'null'], description: 'Request metrics; null without storage' }
+        }
+      })
+    }
+  },
+  examples: ['/api/v1/stats?from=2024-05-01T00:00:00Z&to=2024-05-02T00:00:00Z&interval=hour']
+}, characterController.getStats);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-dist');
+const apiRouters = require('./index');
+const { buildOpenApiDocument } = require('../services/openapi');
+
+const API_VERSION = process.env.API_VERSION || 'v1';
+
+// Built once at startup, so a route that doesn't describe itself properly
+// stops the server rather than breaking the document
+const document = buildOpenApiDocument(apiRouters, { basePath: `/api/${API_VERSION}` });
+
+// Points the bundled Swagger UI at our document instead of its demo
+const SWAGGER_INITIALIZER = `window.onload = () => {
+  window.ui = SwaggerUIBundle({
+    url: '/openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    plugins: [SwaggerUIBundle.plugins.DownloadUrl],
+    layout: 'StandaloneLayout'
+  });
+};
+`;
+
+// The OpenAPI 3.1 document of the API
+router.get('/openapi.json', (req, res) => {
+  res.json(document);
+});
+
+// Swagger UI for the document, served from swagger-ui-dist
+router.get('/docs/swagger-initializer.js', (req, res) => {
+  res.type('application/javascript').send(SWAGGER_INITIALIZER);
+});
+router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath()));
+
+module.exports = router;
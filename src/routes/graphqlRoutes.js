@@ -0,0 +1,63 @@
+const { createApiRouter } = require('./apiRouter');
+const router = createApiRouter();
+const graphqlController = require('../controllers/graphqlController');
+
+// GraphQL answers { data, errors } rather than the usual envelope
+const result = {
+  type: 'object',
+  properties: {
+    data: { type: ['object', 'null'] },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          extensions: { type: 'object', description: 'code is FORBIDDEN or QUOTA_EXCEEDED for those errors' }
+        }
+      }
+    }
+  }
+};
+
+const responses = {
+  200: { description: 'The result; errors inside the query are listed in errors', schema: result },
+  400: { description: 'The query can\'t be parsed or validated', schema: result }
+};
+
+router.get('/graphql', {
+  operationId: 'graphqlQuery',
+  summary: 'Run a GraphQL query (mutations need POST)',
+  tags: ['GraphQL'],
+  parameters: [
+    { name: 'query', required: true, description: 'The GraphQL document', schema: { type: 'string' } },
+    { name: 'variables', description: 'Variables as a JSON object', schema: { type: 'string' } },
+    { name: 'operationName', description: 'The operation to run when the document has several', schema: { type: 'string' } }
+  ],
+  responses: {
+    ...responses,
+    405: { description: 'A mutation was sent with GET', schema: result }
+  },
+  examples: ['/api/v1/graphql?query={traits(locale:"en-US"){occupations}}']
+}, graphqlController.handleRequest);
+
+router.post('/graphql', {
+  operationId: 'graphqlRequest',
+  summary: 'Run a GraphQL query or mutation',
+  tags: ['GraphQL'],
+  body: {
+    schema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        variables: { type: 'object' },
+        operationName: { type: 'string' }
+      },
+      required: ['query']
+    },
+    example: { query: '{ randomCharacter(locale: "ja-JP") { name appearance { hair_color } } }' }
+  },
+  responses
+}, graphqlController.handleRequest);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// The API's routers, mounted in this order under /api/<version>; the OpenAPI
+// document and the root endpoint list their routes in the same order
+module.exports = [
+  require('./characterRoutes'),
+  require('./jobRoutes'),
+  require('./relationshipRoutes'),
+  require('./traitRoutes'),
+  require('./graphqlRoutes'),
+  require('./apiKeyRoutes')
+];
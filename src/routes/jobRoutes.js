@@ -0,0 +1,104 @@
+const { createApiRouter, schemaRef, envelope } = require('./apiRouter');
+const router = createApiRouter();
+const jobController = require('../controllers/jobController');
+const requireStorage = require('../middleware/requireStorage');
+const chargeCharacters = require('../middleware/chargeCharacters');
+const idempotency = require('../middleware/idempotency');
+const { FORMATS } = require('../services/exporters');
+const { getParameters } = require('../services/apiParameters');
+const { CONSTRAINT_KEYS } = require('../services/jobRunner');
+
+// The body of POST /jobs: the query parameters of /character as JSON
+const jobSpecSchema = () => {
+  const parameters = getParameters();
+  return {
+    type: 'object',
+    properties: {
+      count: { type: 'integer', minimum: 1, maximum: parseInt(process.env.MAX_JOB_CHARACTERS) || 1000000 },
+      seed: parameters.seed.schema,
+      generator_version: parameters.generator_version.schema,
+      locale: parameters.locale.schema,
+      constraints: {
+        type: 'object',
+        description: 'Constraints as for /character; catalogue values are not checked',
+        properties: Object.fromEntries(CONSTRAINT_KEYS.map(name => [name, parameters[name].schema])),
+        additionalProperties: false
+      },
+      format: { type: 'string', enum: Object.keys(FORMATS), default: 'json' },
+      fields: {
+        oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+        description: 'Fields to keep, as an array or a comma-separated string'
+      },
+      persist: { type: 'boolean', default: true }
+    },
+    required: ['count']
+  };
+};
+
+const job = envelope(schemaRef('Job'));
+
+// Job ids are UUIDs rather than the integers of stored rows
+const pathParameters = { id: { type: 'string', format: 'uuid' } };
+
+const OWNER_NOTE = 'Only the client that queued the job and admins can use it; others get a 404.';
+
+router.post('/jobs', {
+  operationId: 'createJob',
+  summary: 'Queue a background generation job',
+  description: 'Poll the job for its progress and download the result once it has completed.',
+  tags: ['Jobs'],
+  body: {
+    schema: jobSpecSchema(),
+    example: { count: 50000, seed: 'ci', constraints: { gender: 'female' }, format: 'csv' }
+  },
+  responses: {
+    202: { description: 'Queued; Location holds the job\'s URL', schema: job }
+  }
+}, requireStorage, idempotency, chargeCharacters(req => req.body && req.body.count), jobController.createJob);
+
+router.get('/jobs/:id', {
+  operationId: 'getJob',
+  pathParameters,
+  summary: 'Get the status and progress of a job',
+  description: OWNER_NOTE,
+  tags: ['Jobs'],
+  responses: {
+    200: { description: 'The job', schema: job }
+  }
+}, requireStorage, jobController.getJob);
+
+router.get('/jobs/:id/result', {
+  operationId: 'getJobResult',
+  pathParameters,
+  summary: 'Download the output of a completed job',
+  description: OWNER_NOTE,
+  tags: ['Jobs'],
+  responses: {
+    200: {
+      description: 'The characters in the job\'s format, as an attachment',
+      content: Object.fromEntries(Object.values(FORMATS).map(({ contentType }) => [contentType, { schema: { type: 'string' } }]))
+    },
+    409: { description: 'The job hasn\'t completed', schema: schemaRef('Error') }
+  }
+}, requireStorage, jobController.getJobResult);
+
+router.delete('/jobs/:id', {
+  operationId: 'deleteJob',
+  pathParameters,
+  summary: 'Cancel a queued or running job, or remove a finished one',
+  description: OWNER_NOTE,
+  tags: ['Jobs'],
+  responses: {
+    200: {
+      description: 'The cancelled job, or the id of the removed one',
+      schema: {
+        oneOf: [
+          job,
+          envelope({ type: 'object', properties: { id: { type: 'string', format: 'uuid' }, deleted: { const: true } } })
+        ]
+      }
+    }
+  }
+}, requireStorage, jobController.deleteJob);
+
+module.exports = router;
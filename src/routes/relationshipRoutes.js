@@ -0,0 +1,86 @@
+const { createApiRouter, schemaRef, envelope } = require('./apiRouter');
+const router = createApiRouter();
+const relationshipController = require('../controllers/relationshipController');
+const requireStorage = require('../middleware/requireStorage');
+const loadTraitCatalogue = require('../middleware/loadTraitCatalogue');
+const chargeCharacters = require('../middleware/chargeCharacters');
+const { GROUP_SIZES } = require('../services/relationshipGenerator');
+
+const sizeParameter = ({ default: size, max }) => ({
+  name: 'size',
+  description: 'Number of characters in the group',
+  schema: { type: 'integer', minimum: 1, maximum: max, default: size }
+});
+
+const group = envelope({
+  type: 'object',
+  properties: {
+    members: {
+      type: 'array',
+      items: {
+        allOf: [schemaRef('Character')],
+        properties: { role: { type: 'string', description: 'e.g. parent, child, friend or coworker' } }
+      }
+    },
+    relationships: {
+      type: 'array',
+      items: {
+        type: 'object',
+        description: 'A Relationship, with the positions of its members; a dry run\'s members that aren\'t stored have null ids',
+        properties: {
+          character_id: { type: ['integer', 'null'] },
+          related_character_id: { type: ['integer', 'null'] },
+          type: { $ref: '#/components/schemas/Relationship/properties/type' },
+          member: { type: 'integer', description: 'Position of character_id\'s member in members' },
+          related_member: { type: 'integer', description: 'Position of related_character_id\'s member in members' }
+        }
+      }
+    }
+  }
+}, {
+  cached: { type: 'boolean', description: 'Whether every member was already stored' }
+});
+
+router.get('/family', {
+  operationId: 'generateFamily',
+  summary: 'Generate a family with shared surnames, plausible ages and typed relationships',
+  tags: ['Relationships'],
+  parameters: ['seed', sizeParameter(GROUP_SIZES.family), 'locale', 'generator_version', 'persist', 'dry_run'],
+  responses: {
+    200: { description: 'The family, stored unless persist=false', schema: group },
+    304: 'NotModified'
+  },
+  examples: ['/api/v1/family?seed=x&size=5', '/api/v1/family?locale=es-MX&size=6']
+}, chargeCharacters(req => (req.query.size !== undefined ? req.query.size : GROUP_SIZES.family.default)), loadTraitCatalogue, relationshipController.generateFamily);
+
+router.get('/social-circle', {
+  operationId: 'generateSocialCircle',
+  summary: 'Generate a character with their friends and coworkers',
+  tags: ['Relationships'],
+  parameters: ['seed', sizeParameter(GROUP_SIZES.social_circle), 'locale', 'generator_version', 'persist', 'dry_run'],
+  responses: {
+    200: { description: 'The social circle, stored unless persist=false', schema: group },
+    304: 'NotModified'
+  },
+  examples: ['/api/v1/social-circle?seed=x&size=10']
+}, chargeCharacters(req => (req.query.size !== undefined ? req.query.size : GROUP_SIZES.social_circle.default)), loadTraitCatalogue, relationshipController.generateSocialCircle);
+
+router.get('/character/id/:id/relationships', {
+  operationId: 'getCharacterRelationships',
+  summary: 'List the relationships of a stored character',
+  tags: ['Relationships'],
+  responses: {
+    200: {
+      description: 'The relationships the character is part of, either way round',
+      schema: envelope({
+        type: 'object',
+        properties: {
+          character_id: { type: 'integer' },
+          relationships: { type: 'array', items: schemaRef('Relationship') }
+        }
+      })
+    }
+  }
+}, requireStorage, relationshipController.getCharacterRelationships);
+
+module.exports = router;
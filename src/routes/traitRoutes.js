@@ -0,0 +1,79 @@
+const { createApiRouter, schemaRef, envelope } = require('./apiRouter');
+const router = createApiRouter();
+const traitController = require('../controllers/traitController');
+const requireStorage = require('../middleware/requireStorage');
+const requireAdmin = require('../middleware/requireAdmin');
+
+const values = { type: 'array', items: { type: 'string' } };
+
+router.get('/traits', {
+  operationId: 'getTraits',
+  summary: 'Get all available traits and options for a locale, with any non-default weights',
+  tags: ['Traits'],
+  parameters: ['locale'],
+  responses: {
+    200: {
+      description: 'The locale\'s catalogue',
+      schema: envelope({
+        type: 'object',
+        properties: {
+          locale: { type: 'string' },
+          personality_traits: values,
+          occupations: values,
+          hobbies: values,
+          appearance: {
+            type: 'object',
+            properties: { hair_colors: values, eye_colors: values, builds: values }
+          },
+          weights: {
+            type: 'object',
+            description: 'Values that don\'t weigh 1, keyed like the lists above',
+            additionalProperties: { type: 'object', additionalProperties: { type: 'number' } }
+          },
+          genders: values,
+          available_locales: { type: 'array', items: { type: 'object' } }
+        }
+      })
+    }
+  }
+}, traitController.getTraits);
+
+router.post('/traits/:category', {
+  operationId: 'saveTrait',
+  summary: 'Add a value to a trait category, or set the weight of an existing one',
+  tags: ['Traits'],
+  body: {
+    schema: {
+      type: 'object',
+      properties: {
+        value: { type: 'string', minLength: 1, maxLength: 100 },
+        weight: { type: 'number', exclusiveMinimum: 0, default: 1 },
+        locale: { type: 'string' }
+      },
+      required: ['value']
+    },
+    example: { value: 'Data Scientist', weight: 2, locale: 'en-US' }
+  },
+  responses: {
+    200: { description: 'The weight of an existing value was set', schema: envelope({ type: 'object' }) },
+    201: { description: 'The value was added', schema: envelope({ type: 'object' }) }
+  }
+}, requireStorage, requireAdmin, traitController.saveTrait);
+
+router.delete('/traits/:category', {
+  operationId: 'deleteTrait',
+  summary: 'Remove a value from a trait category',
+  tags: ['Traits'],
+  parameters: [
+    { name: 'value', required: true, description: 'The value to remove', schema: { type: 'string' } },
+    'locale'
+  ],
+  responses: {
+    200: { description: 'Removed', schema: { type: 'object', properties: { success: { const: true }, message: { type: 'string' } } } },
+    404: 'NotFound',
+    409: { description: 'The category would have too few values left', schema: schemaRef('Error') }
+  },
+  examples: ['/api/v1/traits/occupation?value=Farmer&locale=en-US']
+}, requireStorage, requireAdmin, traitController.deleteTrait);
+
+module.exports = router;
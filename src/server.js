@@ -1,15 +1,34 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { testConnection } = require('./config/database');
-const characterRoutes = require('./routes/characterRoutes');
+const { corsOptions } = require('./config/cors');
+const { getStorage } = require('./storage');
+const { pendingMigrations, migrationLabel } = require('./storage/migrator');
+const apiRouters = require('./routes');
+const docsRoutes = require('./routes/docsRoutes');
+const authenticate = require('./middleware/authenticate');
+const rateLimit = require('./middleware/rateLimit');
+const recordMetrics = require('./middleware/recordMetrics');
+const jobRunner = require('./services/jobRunner');
+const { listEndpoints } = require('./services/openapi');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const API_VERSION = process.env.API_VERSION || 'v1';
+const API_BASE_PATH = `/api/${API_VERSION}`;
+
+// Nested query parameters such as ?weights[occupation][Nurse]=5
+app.set('query parser', 'extended');
+
+// Behind a reverse proxy, TRUST_PROXY lets req.ip (which anonymous rate
+// limits are keyed on) come from X-Forwarded-For; see Express's "trust proxy"
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 
 // Middleware
-app.use(cors());
+app.use(cors(corsOptions()));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -19,8 +38,17 @@ app.use((req, res, next) => {
   next();
 });
 
+// Every API request is counted for /stats; API keys and rate limits apply
+// to every API route
+app.use(API_BASE_PATH, recordMetrics, authenticate, rateLimit);
+
 // API Routes
-app.use(`/api/${API_VERSION}`, characterRoutes);
+apiRouters.forEach(router => app.use(API_BASE_PATH, router));
+
+// OpenAPI document and Swagger UI
+app.use(docsRoutes);
+
+const endpoints = listEndpoints(apiRouters, { basePath: API_BASE_PATH });
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -29,64 +57,21 @@ app.get('/', (req, res) => {
     message: 'Fictional Profile Generation API',
     version: '1.0.0',
     api_version: API_VERSION,
-    database: 'MySQL',
+    database: getStorage().label,
     documentation: {
-      endpoints: {
-        random: {
-          url: `/api/${API_VERSION}/character/random`,
-          method: 'GET',
-          description: 'Generate a completely random character'
-        },
-        seeded: {
-          url: `/api/${API_VERSION}/character/{seed}`,
-          method: 'GET',
-          description: 'Generate a deterministic character based on seed',
-          example: `/api/${API_VERSION}/character/myseed123`
-        },
-        custom: {
-          url: `/api/${API_VERSION}/character`,
-          method: 'GET',
-          description: 'Generate a character with custom parameters',
-          parameters: {
-            gender: 'male, female, non-binary, other',
-            age: 'integer (1-120)',
-            occupation: 'string',
-            hair_color: 'string',
-            eye_color: 'string',
-            height_cm: 'integer',
-            build: 'string',
-            fields: 'comma-separated list of fields to return',
-            count: 'number of characters to generate (max 100)'
-          },
-          examples: [
-            `/api/${API_VERSION}/character?gender=male&age=25`,
-            `/api/${API_VERSION}/character?fields=name,age,gender`,
-            `/api/${API_VERSION}/character?count=10`
-          ]
-        },
-        traits: {
-          url: `/api/${API_VERSION}/traits`,
-          method: 'GET',
-          description: 'Get all available traits and options'
-        },
-        schema: {
-          url: `/api/${API_VERSION}/schema`,
-          method: 'GET',
-          description: 'Get JSON schema for character object'
-        },
-        stats: {
-          url: `/api/${API_VERSION}/stats`,
-          method: 'GET',
-          description: 'Get API usage statistics'
-        }
-      }
+      authentication: 'Send an API key as "X-API-Key: <key>" or "Authorization: Bearer <key>". '
+        + 'Requests without one are anonymous and get lower limits (or a 401 with REQUIRE_API_KEY=true). '
+        + 'Limits are reported in the RateLimit-* headers; DELETE endpoints and /api-keys need the admin role.',
+      openapi: '/openapi.json',
+      explorer: '/docs',
+      endpoints
     }
   });
 });
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
-  const dbConnected = await testConnection();
+  const dbConnected = await getStorage().testConnection();
   res.json({
     success: true,
     status: 'healthy',
@@ -117,13 +102,32 @@ app.use((err, req, res, next) => {
 // Start server
 const startServer = async () => {
   try {
-    // Test database connection
-    const connected = await testConnection();
+    // Open the configured storage and test its connection
+    const storage = getStorage();
+    const connected = await storage.testConnection();
     if (!connected) {
-      console.error('Failed to connect to database. Please check your configuration.');
+      console.error(`Failed to connect to ${storage.label} storage. Please check your configuration.`);
       process.exit(1);
     }
 
+    // Refuse to run against a schema the code doesn't match yet
+    if (storage.sql) {
+      const pending = await pendingMigrations(storage.sql);
+      if (pending.length > 0) {
+        console.error(`${pending.length} pending migration(s): ${pending.map(migrationLabel).join(', ')}`);
+        console.error('Run "npm run migrate" before starting the server.');
+        process.exit(1);
+      }
+    }
+
+    // Pick up jobs that were queued or interrupted before the last shutdown
+    if (storage.enabled) {
+      const resumedJobs = await jobRunner.start();
+      if (resumedJobs > 0) {
+        console.log(`Resumed ${resumedJobs} generation job(s)`);
+      }
+    }
+
     app.listen(PORT, () => {
       console.log('='.repeat(50));
       console.log(`🚀 Fictional Profile Generation API`);
@@ -131,17 +135,21 @@ const startServer = async () => {
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`Server running on: http://localhost:${PORT}`);
       console.log(`API Base URL: http://localhost:${PORT}/api/${API_VERSION}`);
-      console.log(`Database: MySQL (${process.env.DB_NAME})`);
+      console.log(`Storage: ${storage.label}${storage.location ? ` (${storage.location})` : ''}`);
       console.log('='.repeat(50));
       console.log('\nAvailable endpoints:');
       console.log(`  GET http://localhost:${PORT}/`);
       console.log(`  GET http://localhost:${PORT}/health`);
-      console.log(`  GET http://localhost:${PORT}/api/${API_VERSION}/character/random`);
-      console.log(`  GET http://localhost:${PORT}/api/${API_VERSION}/character/:seed`);
-      console.log(`  GET http://localhost:${PORT}/api/${API_VERSION}/character`);
-      console.log(`  GET http://localhost:${PORT}/api/${API_VERSION}/traits`);
-      console.log(`  GET http://localhost:${PORT}/api/${API_VERSION}/schema`);
-      console.log(`  GET http://localhost:${PORT}/api/${API_VERSION}/stats`);
+      console.log(`  GET http://localhost:${PORT}/openapi.json`);
+      console.log(`  GET http://localhost:${PORT}/docs`);
+      // One line per path, with its methods
+      const methodsByUrl = new Map();
+      endpoints.forEach(({ method, url }) => {
+        methodsByUrl.set(url, [...(methodsByUrl.get(url) || []), method]);
+      });
+      methodsByUrl.forEach((methods, url) => {
+        console.log(`  ${methods.join('|')} http://localhost:${PORT}${url}`);
+      });
       console.log('='.repeat(50));
     });
   } catch (error) {
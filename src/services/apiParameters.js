@@ -0,0 +1,149 @@
+const { DEFAULT_LOCALE, TRAIT_CATEGORIES, listLocales } = require('./locales');
+const { CURRENT_GENERATOR_VERSION, SUPPORTED_GENERATOR_VERSIONS } = require('./generatorVersions');
+const { GENDERS, generationParameterSchemas } = require('./characterSchema');
+const { FORMATS } = require('./exporters');
+const { listSections } = require('./profileSections');
+const { AVATAR_PARAMETERS } = require('./avatar');
+
+// Query parameters shared by several routes, as OpenAPI parameter objects
+// keyed by the name routes use for them (see routes/apiRouter). The
+// generation constraints come from the same schemas the requests are
+// validated against, so the documentation can't drift from the validation.
+
+const maxCharactersPerRequest = () => parseInt(process.env.MAX_CHARACTERS_PER_REQUEST) || 100;
+
+const query = (name, schema, description, extra = {}) => ({ name, in: 'query', description, schema, ...extra });
+
+// A comma-separated list such as ?include=contact,address
+const list = (name, items, description) => query(name, { type: 'array', items }, description, { style: 'form', explode: false });
+
+const CONSTRAINT_DESCRIPTIONS = {
+  name: 'Full name; the locale pack\'s name parts are used when left out',
+  age: 'Exact age',
+  gender: 'Exact gender',
+  occupation: 'Occupation from the locale catalogue (any value with strict=false)',
+  hair_color: 'Hair color from the locale catalogue (any value with strict=false)',
+  eye_color: 'Eye color from the locale catalogue (any value with strict=false)',
+  height_cm: 'Exact height in centimetres',
+  build: 'Build from the locale catalogue (any value with strict=false)',
+  age_min: 'Lower bound for random ages',
+  age_max: 'Upper bound for random ages',
+  height_cm_min: 'Lower bound for random heights',
+  height_cm_max: 'Upper bound for random heights',
+  age_dist: 'Distribution of random ages',
+  age_mean: 'Mean age with age_dist=normal',
+  age_sd: 'Standard deviation of ages with age_dist=normal',
+  gender_ratio: 'gender:share pairs a batch follows exactly',
+  background_length: 'Length of the background story; long stories have several paragraphs'
+};
+
+const constraintParameters = () => Object.fromEntries(
+  Object.entries(generationParameterSchemas()).map(([name, { example, ...schema }]) => [
+    name,
+    query(name, schema, CONSTRAINT_DESCRIPTIONS[name], example !== undefined ? { example } : {})
+  ])
+);
+
+const buildParameters = () => ({
+  locale: query(
+    'locale',
+    { type: 'string', enum: listLocales().map(locale => locale.code), default: DEFAULT_LOCALE },
+    'Locale pack for names, traits and backgrounds'
+  ),
+  generator_version: query(
+    'generator_version',
+    { type: 'integer', enum: SUPPORTED_GENERATOR_VERSIONS, default: CURRENT_GENERATOR_VERSION },
+    'Pins the data and algorithm a seed is replayed with'
+  ),
+  format: query(
+    'format',
+    { type: 'string', enum: Object.keys(FORMATS), default: 'json' },
+    'Response format; the Accept header is used when left out'
+  ),
+  fields: list('fields', { type: 'string' }, 'Fields to return, e.g. name,age,gender'),
+  include: list('include', { type: 'string', enum: listSections() }, 'Profile sections to add'),
+  seed: query('seed', { type: 'string' }, 'Makes the character or batch reproducible'),
+  count: query(
+    'count',
+    { type: 'integer', minimum: 1, maximum: maxCharactersPerRequest(), default: 1 },
+    'Number of characters to generate'
+  ),
+  strict: query(
+    'strict',
+    { type: 'boolean', default: true },
+    'false allows occupations and appearance values outside the locale pack'
+  ),
+  persist: query(
+    'persist',
+    { type: 'boolean', default: true },
+    'false generates the characters without saving anything'
+  ),
+  dry_run: query('dry_run', { type: 'boolean', default: false }, 'true is the same as persist=false'),
+  idempotency_key: {
+    name: 'Idempotency-Key',
+    in: 'header',
+    description: 'A unique value, such as a UUID, that makes retries safe: a repeated request with the same key '
+      + 'gets the first successful response back, marked Idempotent-Replayed: true, instead of running again',
+    schema: { type: 'string', minLength: 1, maxLength: 255 }
+  },
+  weights: query(
+    'weights',
+    {
+      type: 'object',
+      additionalProperties: { type: 'object', additionalProperties: { type: 'number', exclusiveMinimum: 0 } }
+    },
+    'How often catalogue values are drawn relative to the rest of their category, e.g. weights[occupation][Nurse]=5',
+    { style: 'deepObject', explode: true }
+  ),
+  ...constraintParameters(),
+
+  // Filters of stored characters
+  filter_gender: query('gender', { type: 'string', enum: GENDERS }, 'Only characters of this gender'),
+  filter_age_min: query('age_min', { type: 'integer' }, 'Youngest age, inclusive'),
+  filter_age_max: query('age_max', { type: 'integer' }, 'Oldest age, inclusive'),
+  filter_occupation: query('occupation', { type: 'string' }, 'Exact occupation'),
+  filter_hair_color: query('hair_color', { type: 'string' }, 'Exact hair color'),
+  filter_eye_color: query('eye_color', { type: 'string' }, 'Exact eye color'),
+  filter_build: query('build', { type: 'string' }, 'Exact build'),
+  filter_trait: query('trait', { type: 'string' }, 'Personality trait the character must have'),
+  filter_hobby: query('hobby', { type: 'string' }, 'Hobby the character must have'),
+  filter_locale: query('locale', { type: 'string' }, 'Locale the character was generated in'),
+  filter_generator_version: query('generator_version', { type: 'integer' }, 'Generator version the character was made with'),
+  created_from: query('created_from', { type: 'string', format: 'date-time' }, 'Created at or after'),
+  created_to: query('created_to', { type: 'string', format: 'date-time' }, 'Created at or before'),
+  page: query('page', { type: 'integer', minimum: 1, default: 1 }, 'Page number'),
+  limit: query('limit', { type: 'integer', minimum: 1, maximum: maxCharactersPerRequest(), default: 20 }, 'Page size'),
+
+  // Avatars
+  ...Object.fromEntries(Object.entries(AVATAR_PARAMETERS).map(([name, schema]) => [
+    `avatar_${name}`,
+    query(name, schema, {
+      size: 'Width and height in pixels',
+      style: 'shaded adds shadows and highlights',
+      shape: 'circle crops to a circle with a transparent outside',
+      skin_tone: 'Drawn with the locale pack\'s weights when left out'
+    }[name])
+  ]))
+});
+
+// Path parameters, by the name used in route paths
+const PATH_PARAMETERS = {
+  id: { type: 'integer', minimum: 1 },
+  seed: { type: 'string' },
+  category: { type: 'string', enum: Object.keys(TRAIT_CATEGORIES) }
+};
+
+let parameters = null;
+
+// The shared parameters, built once the locale packs are loaded
+const getParameters = () => {
+  if (!parameters) {
+    parameters = buildParameters();
+  }
+  return parameters;
+};
+
+module.exports = {
+  PATH_PARAMETERS,
+  getParameters
+};
@@ -0,0 +1,328 @@
+const { getLocale, isSupportedLocale } = require('./locales');
+const { createSeededRandom } = require('./random');
+const { renderPng } = require('./raster');
+
+// Illustrated head-and-shoulders avatars for stored characters, drawn from
+// their appearance. A scene is a list of shapes on a 100 x 100 canvas that is
+// written out as SVG or rasterised to PNG, so both formats show the same image.
+
+const AVATAR_FORMATS = {
+  svg: { contentType: 'image/svg+xml' },
+  png: { contentType: 'image/png' }
+};
+
+const AVATAR_STYLES = ['flat', 'shaded'];
+const AVATAR_SHAPES = ['square', 'circle'];
+
+// The profile has no skin tone, so each character gets one from this palette,
+// drawn with the weights in its locale pack's `avatar` block
+const SKIN_TONES = {
+  light: '#f6d8c4',
+  fair: '#eec3a3',
+  medium: '#dba67f',
+  olive: '#c38d5e',
+  tan: '#a66e45',
+  brown: '#7e4b2c',
+  dark: '#56331f'
+};
+
+// Query parameters of the avatar endpoints, as schema fragments
+const AVATAR_PARAMETERS = {
+  size: { type: 'integer', minimum: 32, maximum: 1024, default: 256 },
+  style: { type: 'string', enum: AVATAR_STYLES, default: 'flat' },
+  shape: { type: 'string', enum: AVATAR_SHAPES, default: 'square' },
+  skin_tone: { type: 'string', enum: Object.keys(SKIN_TONES) }
+};
+
+// Pack hair and eye colours are free text, and strict=false allows any value,
+// so colours are matched on the longest known name the value contains
+const HAIR_COLORS = {
+  black: '#1f1a17',
+  'dark brown': '#3b2417',
+  brown: '#5c3a21',
+  'light brown': '#8a5b32',
+  blonde: '#e1c16e',
+  'strawberry blonde': '#d99a62',
+  red: '#a13d1f',
+  'dyed red': '#c2273b',
+  auburn: '#873a1d',
+  gray: '#9b9b98',
+  grey: '#9b9b98',
+  'ash gray': '#b3b2a8',
+  'salt and pepper': '#7d7c78',
+  white: '#e9e7e2',
+  blue: '#2e5cb8',
+  pink: '#e27aa6',
+  purple: '#6d3fa0',
+  green: '#2f8a57',
+  highlighted: '#6b4427'
+};
+const DEFAULT_HAIR = HAIR_COLORS.brown;
+
+const EYE_COLORS = {
+  black: '#1d1816',
+  'dark brown': '#3b2314',
+  brown: '#6b4226',
+  amber: '#b07a16',
+  hazel: '#8a7432',
+  green: '#4c8a3b',
+  blue: '#3b79c3',
+  gray: '#8597a3',
+  grey: '#8597a3'
+};
+const DEFAULT_EYES = EYE_COLORS.brown;
+
+const BACKGROUNDS = ['#dbe8f4', '#f4e3d7', '#e2f0e0', '#efe1f1', '#f6efd3', '#dfeeee', '#e9e4dc'];
+const SHIRTS = ['#3f6e9e', '#a64b4b', '#4f7d5a', '#6d5a91', '#c9883a', '#2f3b4c', '#8a8f96', '#b85f86'];
+const MOUTH = '#9a4b48';
+
+// Builds get narrower or broader faces and shoulders; unknown values are average
+const BUILD_SHAPES = [
+  { words: ['petite', 'slim', 'lean'], face: 15, shoulders: 27 },
+  { words: ['athletic', 'muscular'], face: 16.5, shoulders: 35 },
+  { words: ['stocky', 'heavyset', 'robust'], face: 18.5, shoulders: 36 },
+  { words: [], face: 16.5, shoulders: 31 }
+];
+
+const HAIR_STYLES = {
+  male: ['short', 'short', 'side_part', 'buzz', 'curly'],
+  female: ['long', 'long', 'bob', 'bun', 'curly'],
+  other: ['short', 'side_part', 'long', 'bob', 'bun', 'curly', 'buzz']
+};
+
+const matchColor = (value, colors, fallback) => {
+  const text = String(value || '').toLowerCase();
+  const name = Object.keys(colors)
+    .filter(key => text.includes(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return name ? colors[name] : fallback;
+};
+
+// Mix a #rrggbb colour towards black (amount < 0) or white (amount > 0)
+const shade = (hex, amount) => {
+  const target = amount < 0 ? 0 : 255;
+  const channels = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16))
+    .map(c => Math.round(c + (target - c) * Math.abs(amount)));
+  return `#${channels.map(c => c.toString(16).padStart(2, '0')).join('')}`;
+};
+
+const ellipse = (cx, cy, rx, ry, fill, opacity) => ({ type: 'ellipse', cx, cy, rx, ry, fill, ...(opacity !== undefined && { opacity }) });
+const polygon = (points, fill, opacity) => ({ type: 'polygon', points, fill, ...(opacity !== undefined && { opacity }) });
+const rect = (x, y, width, height, fill) => polygon([[x, y], [x + width, y], [x + width, y + height], [x, y + height]], fill);
+
+// Points along an elliptical arc, angles in degrees (0 = right, 90 = down)
+const arc = (cx, cy, rx, ry, from, to, steps = 16) => Array.from({ length: steps + 1 }, (_, i) => {
+  const angle = ((from + ((to - from) * i) / steps) * Math.PI) / 180;
+  return [cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)];
+});
+
+// A curved stroke, as the band between two arcs
+const band = (cx, cy, rx, ry, from, to, width, fill) => polygon([
+  ...arc(cx, cy, rx + width / 2, ry + width / 2, from, to),
+  ...arc(cx, cy, rx - width / 2, ry - width / 2, to, from)
+], fill);
+
+const avatarSeed = (character) => `avatar_${character.id}_${character.name}`;
+
+// The locale pack's skin tone weights as a weighted draw
+const pickSkinTone = (random, locale) => {
+  const weights = (isSupportedLocale(locale) && getLocale(locale).avatar && getLocale(locale).avatar.skin_tones) || {};
+  const tones = Object.keys(SKIN_TONES);
+  const total = tones.reduce((sum, tone) => sum + (weights[tone] !== undefined ? weights[tone] : 1), 0);
+  let draw = random() * total;
+  return tones.find(tone => {
+    draw -= weights[tone] !== undefined ? weights[tone] : 1;
+    return draw < 0;
+  }) || tones[tones.length - 1];
+};
+
+const hairShapes = (hairStyle, hair, face, headY) => {
+  const top = headY - 20;
+  const back = [];
+  const front = [];
+
+  if (hairStyle === 'long') {
+    back.push(ellipse(50, headY + 2, face + 5, 24, hair), rect(50 - face - 5, headY + 2, (face + 5) * 2, 30, hair));
+  } else if (hairStyle === 'bob') {
+    back.push(ellipse(50, headY + 2, face + 4.5, 21, hair));
+  } else if (hairStyle === 'bun') {
+    back.push(ellipse(50, top - 3, 7, 6.5, hair));
+  }
+
+  if (hairStyle === 'buzz') {
+    front.push(polygon(arc(50, headY - 1, face + 0.6, 19.6, 180, 360), hair, 0.8));
+  } else if (hairStyle === 'curly') {
+    arc(50, headY - 3, face + 1, 17, 180, 360, 6).forEach(([x, y]) => front.push(ellipse(x, y, 5.2, 5.2, hair)));
+    front.push(polygon(arc(50, headY - 3, face + 1, 15, 180, 360), hair));
+  } else {
+    // A cap over the crown down to a hairline that curves up over the
+    // forehead; a side parting sweeps a fringe across to one temple
+    front.push(polygon([
+      ...arc(50, headY - 3, face + 1.2, 18, 180, 360),
+      ...arc(50, headY - 3, face + 1.2, 6, 360, 180)
+    ], hair));
+    if (hairStyle === 'side_part') {
+      front.push(polygon([[50 + 6, headY - 10], [50 - face * 0.3, headY - 6], [50 - face - 1.2, headY - 2], [50 - face, headY - 10]], hair));
+    }
+    if (hairStyle === 'long' || hairStyle === 'bob') {
+      const length = hairStyle === 'long' ? 26 : 16;
+      front.push(rect(50 - face - 1.5, headY - 4, 4, length, hair), rect(50 + face - 2.5, headY - 4, 4, length, hair));
+    }
+  }
+
+  return { back, front };
+};
+
+// Lighter or darker strands for highlighted and salt-and-pepper hair
+const strandShapes = (hairColor, hair, face, headY) => {
+  const text = String(hairColor || '').toLowerCase();
+  const tone = text.includes('highlight') ? '#d8b56f' : text.includes('salt and pepper') ? '#2d2a27' : null;
+  if (!tone) return [];
+  return [-0.6, -0.3, 0, 0.3, 0.6].map(offset => polygon([
+    [50 + offset * face - 0.4, headY - 19],
+    [50 + offset * face + 0.4, headY - 19],
+    [50 + offset * face * 1.3 + 0.4, headY - 8],
+    [50 + offset * face * 1.3 - 0.4, headY - 8]
+  ], tone, 0.5));
+};
+
+/**
+ * The avatar scene for a character: hair, eye colour and build follow its
+ * appearance, and everything the profile doesn't say (skin tone unless
+ * given, hairstyle, clothes, background, glasses) is drawn from a sequence
+ * seeded by the character's id and name, so the same character always gets
+ * the same avatar.
+ */
+const buildAvatar = (character, { style = 'flat', shape = 'square', skin_tone: skinTone } = {}) => {
+  const random = createSeededRandom(avatarSeed(character), 'xoshiro128**');
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const chance = (p) => random() < p;
+
+  const appearance = character.appearance || {};
+  const build = String(appearance.build || '').toLowerCase();
+  const { face, shoulders } = BUILD_SHAPES.find(b => b.words.length === 0 || b.words.some(w => build.includes(w)));
+  const age = Number(character.age) || 30;
+  const child = age < 13;
+
+  const skin = SKIN_TONES[skinTone] || SKIN_TONES[pickSkinTone(random, character.locale)];
+  const hair = matchColor(appearance.hair_color, HAIR_COLORS, DEFAULT_HAIR);
+  const eyes = matchColor(appearance.eye_color, EYE_COLORS, DEFAULT_EYES);
+  const hairStyle = pick(HAIR_STYLES[character.gender] || HAIR_STYLES.other);
+  const background = pick(BACKGROUNDS);
+  const shirt = pick(SHIRTS);
+  const beard = character.gender === 'male' && age >= 18 && chance(0.25);
+  const glasses = !child && chance(age >= 45 ? 0.45 : 0.2);
+  const shaded = style === 'shaded';
+
+  const headY = child ? 48 : 45;
+  const faceWidth = child ? face + 1 : face;
+  const faceHeight = child ? 18 : 20;
+  const neck = shoulders >= 35 ? 7.5 : 6;
+  const { back, front } = hairShapes(hairStyle, hair, faceWidth, headY);
+
+  const shapes = [rect(0, 0, 100, 100, background), ...back];
+
+  // Shoulders and neck
+  shapes.push(ellipse(50, 101, shoulders, child ? 25 : 29, shirt));
+  if (shaded) shapes.push(ellipse(50, 108, shoulders * 0.9, 22, shade(shirt, -0.25), 0.5));
+  shapes.push(rect(50 - neck, headY + 10, neck * 2, 65 - headY, skin));
+  shapes.push(polygon([[50 - neck - 2, 74], [50, 81], [50 + neck + 2, 74]], skin));
+  if (shaded) shapes.push(ellipse(50, headY + faceHeight - 1, neck + 1, 5, shade(skin, -0.25), 0.6));
+
+  // Head
+  shapes.push(ellipse(50 - faceWidth, headY + 2, 3.2, 5, skin), ellipse(50 + faceWidth, headY + 2, 3.2, 5, skin));
+  shapes.push(ellipse(50, headY, faceWidth, faceHeight, skin));
+  if (shaded) {
+    shapes.push(ellipse(50 - faceWidth * 0.55, headY + 7, 3.5, 2.2, '#e0707a', 0.25));
+    shapes.push(ellipse(50 + faceWidth * 0.55, headY + 7, 3.5, 2.2, '#e0707a', 0.25));
+  }
+  if (beard) {
+    shapes.push(polygon([
+      ...arc(50, headY, faceWidth, faceHeight, 0, 180),
+      ...arc(50, headY + 7, faceWidth * 0.6, 5, 180, 0)
+    ], hair, 0.9));
+  }
+
+  // Eyes and brows
+  const eyeY = headY + 2;
+  const eyeX = faceWidth * 0.42;
+  [-1, 1].forEach(side => {
+    const x = 50 + side * eyeX;
+    shapes.push(ellipse(x, eyeY, 3.1, 2.1, '#ffffff'));
+    shapes.push(ellipse(x, eyeY, 1.7, 1.7, eyes));
+    shapes.push(ellipse(x, eyeY, 0.8, 0.8, '#141111'));
+    shapes.push(ellipse(x + 0.6, eyeY - 0.6, 0.4, 0.4, '#ffffff'));
+    shapes.push(band(x, eyeY - 1, 3.4, 2.4, 200, 340, 0.9, shade(hair, -0.15)));
+  });
+
+  // Nose and mouth
+  shapes.push(ellipse(50, headY + 8, 1.4, 1, shade(skin, -0.2)));
+  shapes.push(band(50, headY + 10, 4, 2.5, 20, 160, 1, MOUTH));
+
+  shapes.push(...front, ...strandShapes(appearance.hair_color, hair, faceWidth, headY));
+  if (shaded) shapes.push(ellipse(50 - faceWidth * 0.35, headY - 14, 5, 2, '#ffffff', 0.18));
+
+  if (glasses) {
+    [-1, 1].forEach(side => {
+      shapes.push(band(50 + side * eyeX, eyeY, 4.2, 3.4, 0, 360, 0.8, '#2b2b2b'));
+    });
+    shapes.push(rect(50 - eyeX + 4.2, eyeY - 0.9, (eyeX - 4.2) * 2, 0.8, '#2b2b2b'));
+  }
+
+  return {
+    title: character.name ? `Avatar of ${character.name}` : 'Character avatar',
+    clip: shape === 'circle' ? { cx: 50, cy: 50, r: 50 } : null,
+    shapes
+  };
+};
+
+const number = (value) => String(Math.round(value * 100) / 100);
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderSvg = (scene, size) => {
+  const elements = scene.shapes.map(item => {
+    const opacity = item.opacity !== undefined ? ` fill-opacity="${item.opacity}"` : '';
+    return item.type === 'ellipse'
+      ? `<ellipse cx="${number(item.cx)}" cy="${number(item.cy)}" rx="${number(item.rx)}" ry="${number(item.ry)}" fill="${item.fill}"${opacity}/>`
+      : `<polygon points="${item.points.map(([x, y]) => `${number(x)},${number(y)}`).join(' ')}" fill="${item.fill}"${opacity}/>`;
+  });
+
+  const body = scene.clip
+    ? [
+        `<clipPath id="clip"><circle cx="${scene.clip.cx}" cy="${scene.clip.cy}" r="${scene.clip.r}"/></clipPath>`,
+        '<g clip-path="url(#clip)">',
+        ...elements,
+        '</g>'
+      ]
+    : elements;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 100 100" role="img">`,
+    `<title>${escapeXml(scene.title)}</title>`,
+    ...body,
+    '</svg>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Render a character's avatar as `format` (svg or png) at `size` pixels
+ * square. Returns the response body, a string for SVG and a Buffer for PNG.
+ */
+const renderAvatar = (character, format, { size = AVATAR_PARAMETERS.size.default, ...options } = {}) => {
+  const scene = buildAvatar(character, options);
+  return format === 'png' ? renderPng(scene, size) : renderSvg(scene, size);
+};
+
+module.exports = {
+  AVATAR_FORMATS,
+  AVATAR_PARAMETERS,
+  SKIN_TONES,
+  buildAvatar,
+  renderAvatar
+};
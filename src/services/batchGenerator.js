@@ -0,0 +1,38 @@
+const CharacterGenerator = require('./characterGenerator');
+const Character = require('../models/Character');
+
+/**
+ * Generate `count` characters in batches, yielding each batch as soon as it is
+ * ready instead of holding the whole result in memory. When `persist` is true
+ * each batch is written with one multi-row insert and carries its new ids.
+ * Seeded runs use the same sub-seeds as CharacterGenerator.generateMultiple,
+ * and `start` resumes a run part-way through. A `gender_ratio` option is
+ * planned over the whole run; pass a `planSeed` to keep an unseeded run's
+ * plan stable across resumes.
+ */
+async function* generateBatches({ count, start = 0, seed = null, planSeed = seed, version, options = {}, persist = true, batchSize = 500 }) {
+  const generator = new CharacterGenerator(seed, version);
+  const genders = generator.planGenders(count, options.gender_ratio, planSeed);
+
+  for (let from = start; from < count; from += batchSize) {
+    const end = Math.min(from + batchSize, count);
+
+    const batch = [];
+    for (let i = from; i < end; i++) {
+      batch.push(generator.generateAt(i, genders ? { ...options, gender: genders[i] } : options));
+    }
+
+    if (persist) {
+      const ids = await Character.createMany(batch);
+      yield batch.map((character, i) => ({ ...character, id: ids[i] }));
+    } else {
+      // Let pending I/O (client writes, disconnects) run between batches
+      await new Promise(resolve => setImmediate(resolve));
+      yield batch;
+    }
+  }
+}
+
+module.exports = {
+  generateBatches
+};
@@ -0,0 +1,113 @@
+// Background stories from the `biography` grammar in a locale pack (generator
+// version 6 and later). `lengths` lists the paragraphs for each length, and
+// `rules` the alternatives for every {#rule} a template refers to:
+//
+//   "rules": {
+//     "origin": ["{name} grew up in {#hometown}.", ...],
+//     "career": [{ "text": "{They} {has} nursed for years.", "occupations": ["Nurse"], "min_age": 25 }, ...]
+//   }
+//
+// An alternative is a template or { text, min_age, max_age, genders,
+// occupations, except_occupations, educations } and is only used for
+// characters matching every condition given; null in `educations` matches
+// characters without one. A rule with no matching alternative expands to
+// nothing. Each rule is expanded once per story, so a hometown mentioned twice
+// is the same place. Other slots:
+//   {name} {short_name}             full name, and the part used to refer back to it
+//   {age} {occupation} {a_occupation} {education}
+//   {they} {them} {their} {theirs} {themself} and {They} {Their}
+//   {is} {was} {has} {does} {s} {es} verb forms agreeing with {they}
+const BACKGROUND_LENGTHS = ['short', 'medium', 'long'];
+const DEFAULT_BACKGROUND_LENGTH = 'short';
+
+const PRONOUNS = {
+  male: { they: 'he', them: 'him', their: 'his', theirs: 'his', themself: 'himself', plural: false },
+  female: { they: 'she', them: 'her', their: 'her', theirs: 'hers', themself: 'herself', plural: false },
+  neutral: { they: 'they', them: 'them', their: 'their', theirs: 'theirs', themself: 'themself', plural: true }
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// "Registered Nurse" -> "registered nurse". Acronyms such as OFW and IT and
+// glosses in parentheses, as in "OFW (Overseas Filipino Worker)", keep their case.
+const lowerOccupation = (occupation) => occupation.replace(/\([^)]*\)|\S+/g, word => (
+  word.startsWith('(') || /^[A-Z]{2,}$/.test(word.replace(/[^A-Za-z]/g, '')) ? word : word.toLowerCase()
+));
+
+const slotValues = ({ name, age, gender, occupation, education }) => {
+  const pronouns = PRONOUNS[gender] || PRONOUNS.neutral;
+  const occupationText = occupation ? lowerOccupation(occupation) : '';
+  return {
+    name,
+    short_name: name.split(' ')[0],
+    age: String(age),
+    occupation: occupationText,
+    a_occupation: occupationText ? `${/^[aeiou]/i.test(occupationText) ? 'an' : 'a'} ${occupationText}` : '',
+    education: education || '',
+    they: pronouns.they,
+    them: pronouns.them,
+    their: pronouns.their,
+    theirs: pronouns.theirs,
+    themself: pronouns.themself,
+    They: capitalize(pronouns.they),
+    Their: capitalize(pronouns.their),
+    is: pronouns.plural ? 'are' : 'is',
+    was: pronouns.plural ? 'were' : 'was',
+    has: pronouns.plural ? 'have' : 'has',
+    does: pronouns.plural ? 'do' : 'does',
+    s: pronouns.plural ? '' : 's',
+    es: pronouns.plural ? '' : 'es'
+  };
+};
+
+const matches = (alternative, character) => {
+  if (typeof alternative === 'string') return true;
+  const { age, gender, occupation, education } = character;
+  return (alternative.min_age === undefined || age >= alternative.min_age)
+    && (alternative.max_age === undefined || age <= alternative.max_age)
+    && (!alternative.genders || alternative.genders.includes(gender))
+    && (!alternative.occupations || alternative.occupations.includes(occupation))
+    && (!alternative.except_occupations || !alternative.except_occupations.includes(occupation))
+    && (!alternative.educations || alternative.educations.includes(education || null));
+};
+
+/**
+ * Write a background story for `character` ({ name, age, gender, occupation,
+ * education }) from the grammar, drawing alternatives with `rng`, a
+ * CharacterGenerator. Paragraphs are separated by a blank line.
+ */
+const generateBiography = (rng, grammar, character, length = DEFAULT_BACKGROUND_LENGTH) => {
+  const slots = slotValues(character);
+  const expanded = {};
+
+  const expand = (template) => template.replace(/\{(#?)(\w+)\}/g, (token, isRule, key) => {
+    if (!isRule) {
+      if (slots[key] === undefined) {
+        throw new Error(`Unknown biography slot ${token}`);
+      }
+      return slots[key];
+    }
+
+    if (expanded[key] === undefined) {
+      const alternatives = grammar.rules[key];
+      if (!alternatives) {
+        throw new Error(`Unknown biography rule ${token}`);
+      }
+      const eligible = alternatives.filter(alternative => matches(alternative, character));
+      const chosen = eligible.length > 0 ? rng.randomChoice(eligible) : '';
+      expanded[key] = expand(typeof chosen === 'string' ? chosen : chosen.text);
+    }
+    return expanded[key];
+  });
+
+  return grammar.lengths[length]
+    .map(paragraph => expand(paragraph).replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+module.exports = {
+  BACKGROUND_LENGTHS,
+  DEFAULT_BACKGROUND_LENGTH,
+  generateBiography
+};
@@ -1,37 +1,62 @@
-const names = require('../data/names.json');
-const traits = require('../data/traits.json');
+const { DEFAULT_LOCALE, TRAIT_CATEGORIES, resolveWeights } = require('./locales');
+const { CURRENT_GENERATOR_VERSION, getVersionedLocale } = require('./generatorVersions');
+const { parseRatio, planAssignments } = require('./ratios');
+const { createSeededRandom, cryptoRandom } = require('./random');
+const { generateBiography } = require('./biography');
+const { generateProfileSections } = require('./profileSections');
 
-class CharacterGenerator {
-  constructor(seed = null) {
-    this.seed = seed;
-    if (seed) {
-      this.rng = this.seededRandom(seed);
-    } else {
-      // Wrap Math.random to ensure context safety
-      this.rng = () => Math.random();
-    }
-  }
+// Ranges used when a request gives no bounds, and the hard limits a one-sided
+// bound falls back to when the default would leave the range empty
+const DEFAULT_AGE_RANGE = { min: 18, max: 65 };
+const DEFAULT_HEIGHT_RANGE = { min: 150, max: 200 };
+const AGE_LIMITS = { min: 1, max: 120 };
+const HEIGHT_LIMITS = { min: 50, max: 250 };
 
-  // --- 1. Deterministic Random Generator (Mulberry32 + FNV-1a Hash) ---
-  seededRandom(seed) {
-    // Hash the string seed to get a unique starting integer
-    let h = 0x811c9dc5;
-    const strSeed = String(seed);
-    
-    for (let i = 0; i < strSeed.length; i++) {
-        h ^= strSeed.charCodeAt(i);
-        h = Math.imul(h, 0x01000193);
-    }
-    
-    let a = h >>> 0; // Force 32-bit unsigned integer
+// [min, max] from optional requested bounds
+const resolveRange = (min, max, defaults, limits) => {
+  const low = min !== undefined ? parseInt(min) : null;
+  const high = max !== undefined ? parseInt(max) : null;
+  return {
+    min: low !== null ? low : high !== null && high < defaults.min ? limits.min : defaults.min,
+    max: high !== null ? high : low !== null && low > defaults.max ? limits.max : defaults.max
+  };
+};
 
-    // Return the Mulberry32 function
-    return function() {
-      a += 0x6D2B79F5;
-      let t = Math.imul(a ^ (a >>> 15), 1 | a);
-      t = t + Math.imul(t ^ (t >>> 7), 61 | t) ^ t;
-      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-    }
+// Weight of each value in `array`; values missing from `weights` weigh 1
+const weightsOf = (array, weights) => array.map(value => (weights && weights[value] !== undefined ? weights[value] : 1));
+
+// { value: weight } for one of the locale's lists (occupations, hair_colors, ...)
+const listWeights = (locale, key) => resolveWeights(locale[key], locale.weights && locale.weights[key]);
+
+// The locale with request overrides such as { occupation: { Nurse: '5' } }
+// (from ?weights[occupation][Nurse]=5) layered over its own weights
+const withWeightOverrides = (locale, overrides) => {
+  if (!overrides) return locale;
+
+  const weights = { ...locale.weights };
+  Object.entries(overrides).forEach(([category, values]) => {
+    const key = TRAIT_CATEGORIES[category];
+    weights[key] = { ...listWeights(locale, key) };
+    Object.entries(values).forEach(([value, weight]) => {
+      weights[key][value] = Number(weight);
+    });
+  });
+  return { ...locale, weights };
+};
+
+// Seeded sequence each generator version draws from. Version 5 moved to
+// xoshiro128** along with the Fisher-Yates sample in randomSample.
+const seededAlgorithm = (version) => (version >= 5 ? 'xoshiro128**' : 'mulberry32');
+
+class CharacterGenerator {
+  // `algorithm` swaps the seeded random algorithm (see services/random) for
+  // this generator and the ones it derives for batches; unseeded generators
+  // always draw from crypto
+  constructor(seed = null, version = CURRENT_GENERATOR_VERSION, { algorithm = seededAlgorithm(version) } = {}) {
+    this.seed = seed;
+    this.version = version;
+    this.algorithm = algorithm;
+    this.rng = seed ? createSeededRandom(seed, algorithm) : cryptoRandom;
   }
 
   randomChoice(array) {
@@ -43,13 +68,87 @@ class CharacterGenerator {
     return Math.floor(this.rng() * (max - min + 1)) + min;
   }
 
+  // `count` distinct values. From version 5 this is a partial Fisher-Yates
+  // shuffle; earlier versions shuffled with a random sort comparator, which
+  // is biased and depends on the engine's sort, and is kept only so their
+  // seeds replay.
   randomSample(array, count) {
     if (!array || array.length === 0) return [];
-    const shuffled = [...array].sort(() => this.rng() - 0.5);
-    return shuffled.slice(0, Math.min(count, array.length));
+    const size = Math.min(count, array.length);
+
+    if (this.version < 5) {
+      const shuffled = [...array].sort(() => this.rng() - 0.5);
+      return shuffled.slice(0, size);
+    }
+
+    const values = [...array];
+    for (let i = 0; i < size; i++) {
+      const j = i + Math.floor(this.rng() * (values.length - i));
+      [values[i], values[j]] = [values[j], values[i]];
+    }
+    return values.slice(0, size);
+  }
+
+  // Like randomChoice, with `weights` mapping values to relative weights
+  // (missing values weigh 1). Equal weights make the same draw as randomChoice.
+  weightedChoice(array, weights) {
+    if (!array || array.length === 0) return null;
+    const values = weightsOf(array, weights);
+    if (values.every(weight => weight === values[0])) {
+      return this.randomChoice(array);
+    }
+
+    const total = values.reduce((sum, weight) => sum + weight, 0);
+    let target = this.rng() * total;
+    for (let i = 0; i < array.length; i++) {
+      target -= values[i];
+      if (target < 0) return array[i];
+    }
+    return array[array.length - 1];
+  }
+
+  // Like randomSample, drawing weighted values one at a time without
+  // replacement. Equal weights make the same draws as randomSample.
+  weightedSample(array, count, weights) {
+    if (!array || array.length === 0) return [];
+    if (new Set(weightsOf(array, weights)).size === 1) {
+      return this.randomSample(array, count);
+    }
+
+    const remaining = [...array];
+    const sample = [];
+    while (sample.length < count && remaining.length > 0) {
+      const value = this.weightedChoice(remaining, weights);
+      sample.push(value);
+      remaining.splice(remaining.indexOf(value), 1);
+    }
+    return sample;
+  }
+
+  // Draw from one of the locale's lists (occupations, hair_colors, ...), or
+  // from `array` when only some of its values fit, using the list's weights
+  pick(locale, key, array = locale[key]) {
+    return this.weightedChoice(array, listWeights(locale, key));
+  }
+
+  // Draw `count` distinct values from one of the locale's lists, or from
+  // `array` when only some of its values fit
+  pickSample(locale, key, count, array = locale[key]) {
+    return this.weightedSample(array, count, listWeights(locale, key));
+  }
+
+  // Draw from one of the locale's name lists (male, female or surnames)
+  pickName(locale, list) {
+    const weights = locale.weights && locale.weights.names;
+    return this.weightedChoice(locale.names[list], resolveWeights(locale.names[list], weights && weights[list]));
   }
 
   generate(options = {}) {
+    const locale = withWeightOverrides(
+      getVersionedLocale(options.locale || DEFAULT_LOCALE, this.version),
+      options.weights
+    );
+
     // Determine gender
     let gender = options.gender;
     if (!gender || !['male', 'female', 'non-binary', 'other'].includes(gender)) {
@@ -57,82 +156,321 @@ class CharacterGenerator {
     }
     
     // --- 2. Name Logic (Prioritizes user input) ---
-    let fullName;
+    const fullName = options.name || this.generateName(locale, gender, options.surnames);
 
-    if (options.name) {
-      // Use the name provided in the API request
-      fullName = options.name;
-    } else {
-      // Generate a random name
-      let firstName;
-      if (gender === 'male') {
-        firstName = this.randomChoice(names.male);
-      } else if (gender === 'female') {
-        firstName = this.randomChoice(names.female);
-      } else {
-        firstName = this.randomChoice([...names.male, ...names.female]);
-      }
-      
-      const lastName = this.randomChoice(names.surnames);
-      fullName = `${firstName} ${lastName}`;
-    }
+    // From v3 the locale pack's rules tie attributes to each other;
+    // older versions roll every attribute independently
+    const coherent = this.version >= 3;
+
+    // Generate age and occupation
+    const { age, occupation } = coherent
+      ? this.generateAgeAndOccupation(locale, options)
+      : {
+          age: options.age
+            ? parseInt(options.age)
+            : this.sampleAge(this.requestedAgeDistribution(options, DEFAULT_AGE_RANGE) || DEFAULT_AGE_RANGE),
+          occupation: options.occupation || this.pick(locale, 'occupations')
+        };
 
-    // Generate age
-    const age = options.age 
-      ? parseInt(options.age) 
-      : this.randomInt(18, 65);
+    const educationAndIncome = coherent ? this.generateEducationAndIncome(locale.rules, occupation) : {};
+    const stage = coherent ? this.childhoodStage(locale.rules, age) : null;
 
     // Generate character object
     const character = {
       name: fullName,
       age: age,
       gender: gender,
-      occupation: options.occupation || this.randomChoice(traits.occupations),
-      background: this.generateBackground(fullName, age, gender),
+      occupation: occupation,
+      ...educationAndIncome,
+      background: this.generateBackground(locale, fullName, age, gender, occupation, {
+        education: educationAndIncome.education,
+        length: options.background_length
+      }),
       appearance: {
-        hair_color: options.hair_color || this.randomChoice(traits.hair_colors),
-        eye_color: options.eye_color || this.randomChoice(traits.eye_colors),
+        hair_color: options.hair_color || this.pick(locale, 'hair_colors'),
+        eye_color: options.eye_color || this.pick(locale, 'eye_colors'),
         height_cm: options.height_cm 
           ? parseInt(options.height_cm)
-          : this.randomInt(150, 200),
-        build: options.build || this.randomChoice(traits.builds)
+          : this.generateHeightWithin(coherent ? locale.rules.height_cm : null, gender, options),
+        build: options.build || this.pick(locale, 'builds')
       },
-      personality_traits: this.randomSample(traits.personality_traits, 3),
-      hobbies: this.randomSample(traits.hobbies, this.randomInt(2, 4)),
+      personality_traits: stage
+        ? this.randomSample(stage.personality_traits, 3)
+        : this.pickSample(locale, 'personality_traits', 3),
+      hobbies: stage
+        ? this.randomSample(stage.hobbies, this.randomInt(2, 4))
+        : this.pickSample(locale, 'hobbies', this.randomInt(2, 4), this.hobbiesForAge(locale, age)),
+      ...generateProfileSections(this, locale, {
+        name: fullName,
+        age,
+        occupation,
+        education: educationAndIncome.education || null
+      }, options.include),
+      locale: locale.code,
+      generator_version: this.version,
       seed: this.seed
     };
 
     return character;
   }
 
-  generateBackground(name, age, gender) {
-    const backgrounds = [
-      `Grew up in a small coastal town, ${name} learned early on to be self-reliant and resourceful.`,
-      `Raised in a bustling metropolitan area, ${name} was always surrounded by diverse cultures and perspectives.`,
-      `Coming from a family of artists, creativity has always been a central part of ${name}'s life.`,
-      `With a military background, ${name} developed strong discipline and a structured approach to life.`,
-      `${name} spent childhood years in university libraries, fostering a deep love for learning and knowledge.`,
-      `Growing up on a farm, ${name} learned the value of hard work and connection to nature.`,
-      `As a first-generation immigrant, ${name} brings a unique perspective shaped by multiple cultures.`,
-      `${name} was raised by a single parent who instilled values of perseverance and independence.`,
-      `Moving frequently as a child, ${name} became adaptable and skilled at making new friends.`,
-      `${name} grew up in a tight-knit community where everyone looked out for one another.`
-    ];
-    
-    return this.randomChoice(backgrounds);
+  // Build a full name following the locale's naming conventions. `surnames`
+  // fixes the family name parts, e.g. so relatives share a surname.
+  generateName(locale, gender, surnames = null) {
+    const { names, naming } = locale;
+    const nameWeights = (locale.weights && locale.weights.names) || {};
+    const maleWeights = resolveWeights(names.male, nameWeights.male);
+    const femaleWeights = resolveWeights(names.female, nameWeights.female);
+
+    const givenPool = gender === 'male' ? names.male
+      : gender === 'female' ? names.female
+      : [...names.male, ...names.female];
+    const givenWeights = gender === 'male' ? maleWeights
+      : gender === 'female' ? femaleWeights
+      : maleWeights || femaleWeights ? { ...femaleWeights, ...maleWeights } : null;
+    const givenName = this.weightedChoice(givenPool, givenWeights);
+
+    // Compound surnames (e.g. paternal + maternal) draw one surname per part
+    if (!surnames) {
+      surnames = [];
+      for (let i = 0; i < (naming.surname_count || 1); i++) {
+        surnames.push(this.pickName(locale, 'surnames'));
+      }
+    }
+    const familyName = surnames.join(' ');
+
+    if (naming.order === 'family-first') {
+      return `${familyName} ${givenName}`;
+    }
+
+    // Only roll for a middle initial when the locale uses them, so other
+    // locales consume the same random sequence as before
+    if (naming.middle_initial_probability > 0 && this.rng() < naming.middle_initial_probability) {
+      const middleInitial = this.weightedChoice(givenPool, givenWeights).charAt(0);
+      return `${givenName} ${middleInitial}. ${familyName}`;
+    }
+
+    return `${givenName} ${familyName}`;
+  }
+
+  // From v6 the background is a story of `length` (short, medium or long)
+  // written from the locale's biography grammar. Seeded stories draw from
+  // `${seed}_background`, so the length doesn't change the rest of the
+  // character. Before v6 it is one of the pack's `backgrounds`: plain
+  // templates or { template, occupations, min_age } objects that only fit
+  // some characters.
+  generateBackground(locale, name, age, gender, occupation, { education = null, length } = {}) {
+    if (this.version >= 6) {
+      return generateBiography(this.derive('background'), locale.biography, { name, age, gender, occupation, education }, length);
+    }
+
+    const eligible = locale.backgrounds.filter(background => typeof background === 'string'
+      || ((!background.occupations || background.occupations.includes(occupation))
+        && (!background.min_age || age >= background.min_age)));
+    const background = this.randomChoice(eligible);
+    const template = typeof background === 'string' ? background : background.template;
+    return template.replace(/\{name\}/g, name);
+  }
+
+  // Age range an occupation allows, falling back to the locale's default range
+  occupationAgeRange(rules, occupation) {
+    const rule = rules.occupations[occupation] || {};
+    return {
+      min: rule.min_age || rules.age.min,
+      max: rule.max_age || rules.age.max
+    };
+  }
+
+  // Occupations in the locale pack that someone of `age` could plausibly have
+  occupationsForAge(locale, age) {
+    return locale.occupations.filter(occupation => {
+      const range = this.occupationAgeRange(locale.rules, occupation);
+      return age >= range.min && age <= range.max;
+    });
+  }
+
+  // From v7 the pack's `childhood` stages give young children an occupation
+  // and hobbies and personality traits of their own. Null for older
+  // characters and earlier versions.
+  childhoodStage(rules, age) {
+    if (this.version < 7 || !rules.childhood) return null;
+    return rules.childhood.find(stage => age <= stage.max_age) || null;
+  }
+
+  // The locale's hobbies someone of `age` may have; from v7 `hobby_min_ages`
+  // keeps e.g. brewing beer from teenagers
+  hobbiesForAge(locale, age) {
+    const minAges = this.version >= 7 && locale.rules && locale.rules.hobby_min_ages;
+    if (!minAges) return locale.hobbies;
+    return locale.hobbies.filter(hobby => minAges[hobby] === undefined || age >= minAges[hobby]);
+  }
+
+  // An occupation for someone of `age`: their childhood stage's, else one
+  // the pack allows at that age, else the pack's fallback for minors or seniors
+  occupationForAge(locale, age) {
+    const { rules } = locale;
+    const stage = this.childhoodStage(rules, age);
+    if (stage) return stage.occupation;
+    const eligible = this.occupationsForAge(locale, age);
+    return eligible.length > 0
+      ? this.pick(locale, 'occupations', eligible)
+      : rules.fallback_occupations[age < rules.age.min ? 'minor' : 'senior'];
+  }
+
+  // A requested occupation narrows the age and a requested age narrows the
+  // occupations; with neither, the occupation is picked first
+  generateAgeAndOccupation(locale, options) {
+    const { rules } = locale;
+
+    const distribution = this.requestedAgeDistribution(options, rules.age);
+
+    // An age range or distribution is sampled first, so the batch follows it
+    // exactly and occupations adapt
+    if ((options.age || distribution) && !options.occupation) {
+      const age = options.age ? parseInt(options.age) : this.sampleAge(distribution);
+      return { age, occupation: this.occupationForAge(locale, age) };
+    }
+
+    const occupation = options.occupation || this.pick(locale, 'occupations');
+    const range = this.occupationAgeRange(rules, occupation);
+    let age;
+    if (options.age) {
+      age = parseInt(options.age);
+    } else if (distribution) {
+      // Keep to the occupation's ages where they overlap the requested range
+      const min = Math.max(range.min, distribution.min);
+      const max = Math.min(range.max, distribution.max);
+      age = this.sampleAge(min <= max ? { ...distribution, min, max } : distribution);
+    } else {
+      age = this.randomInt(range.min, range.max);
+    }
+    return { age, occupation };
+  }
+
+  // Age range and distribution from age_min, age_max and age_dist=normal
+  // (with age_mean and age_sd), or null when the request sets none of them
+  requestedAgeDistribution(options, defaults) {
+    if (options.age_min === undefined && options.age_max === undefined && options.age_dist !== 'normal') {
+      return null;
+    }
+    return {
+      ...resolveRange(options.age_min, options.age_max, defaults, AGE_LIMITS),
+      normal: options.age_dist === 'normal'
+        ? { mean: parseFloat(options.age_mean), sd: parseFloat(options.age_sd) }
+        : null
+    };
+  }
+
+  sampleAge(distribution) {
+    const { min, max, normal } = distribution;
+    return normal ? this.truncatedNormalInt(normal.mean, normal.sd, min, max) : this.randomInt(min, max);
+  }
+
+  // Education and annual income (in the locale's currency) for an occupation.
+  // Occupations without a rule, such as custom ones, get neither.
+  generateEducationAndIncome(rules, occupation) {
+    const rule = rules.occupations[occupation];
+    if (!rule) {
+      return { education: null, annual_income: null };
+    }
+
+    const step = rules.income.round_to;
+    const [min, max] = rule.income;
+    return {
+      education: this.randomChoice(rule.education || rules.education_levels),
+      annual_income: Math.round(this.randomInt(min, max) / step) * step
+    };
+  }
+
+  // Normally distributed height for the gender, clamped to the pack's range
+  generateHeight(heights, gender) {
+    const { mean, sd } = heights[gender] || heights.default;
+    return Math.min(heights.max, Math.max(heights.min, Math.round(this.normal(mean, sd))));
+  }
+
+  // Height honouring height_cm_min/height_cm_max. `heights` is the pack's
+  // distribution (v3+), or null for the uniform range of older versions.
+  generateHeightWithin(heights, gender, options) {
+    const bounded = options.height_cm_min !== undefined || options.height_cm_max !== undefined;
+    if (!heights) {
+      const range = resolveRange(options.height_cm_min, options.height_cm_max, DEFAULT_HEIGHT_RANGE, HEIGHT_LIMITS);
+      return this.randomInt(range.min, range.max);
+    }
+    if (!bounded) {
+      return this.generateHeight(heights, gender);
+    }
+
+    const { mean, sd } = heights[gender] || heights.default;
+    const range = resolveRange(options.height_cm_min, options.height_cm_max, heights, HEIGHT_LIMITS);
+    return this.truncatedNormalInt(mean, sd, range.min, range.max);
+  }
+
+  // Normal sample (Box-Muller)
+  normal(mean, sd) {
+    const u = 1 - this.rng(); // (0, 1], so the log stays finite
+    const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.rng());
+    return mean + z * sd;
+  }
+
+  // Normal sample rounded into [min, max] by rejection. A range far out in a
+  // tail falls back to a uniform pick rather than looping.
+  truncatedNormalInt(mean, sd, min, max) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const value = Math.round(this.normal(mean, sd));
+      if (value >= min && value <= max) return value;
+    }
+    return this.randomInt(min, max);
+  }
+
+  // A generator seeded with `${seed}_${name}`, for draws that mustn't shift
+  // the rest of the character's sequence. Unseeded generators return themselves.
+  derive(name) {
+    return this.seed ? new CharacterGenerator(`${this.seed}_${name}`, this.version, { algorithm: this.algorithm }) : this;
+  }
+
+  // Character number `index` of a batch. Seeded batches derive a sub-seed per
+  // index so every character is unique but deterministic.
+  generateAt(index, options = {}) {
+    const subSeed = this.seed ? `${this.seed}_${index}` : null;
+    const gen = new CharacterGenerator(subSeed, this.version, { algorithm: this.algorithm });
+    return gen.generate(options);
+  }
+
+  // The characters of a request for `count`: a single character is generated
+  // from the seed itself, as /character/{seed} does, more from the batch's
+  // sub-seeds. A gender_ratio applies either way.
+  generateCount(count, options = {}) {
+    if (count === 1) {
+      const genders = this.planGenders(1, options.gender_ratio);
+      return [this.generate(genders ? { ...options, gender: genders[0] } : options)];
+    }
+    return this.generateMultiple(count, options);
   }
 
   generateMultiple(count, options = {}) {
+    const genders = this.planGenders(count, options.gender_ratio);
     const characters = [];
     for (let i = 0; i < count; i++) {
-      // Create sub-seed to ensure every character is unique but deterministic
-      const subSeed = this.seed ? `${this.seed}_${i}` : null;
-      const gen = new CharacterGenerator(subSeed);
-      characters.push(gen.generate(options));
+      characters.push(this.generateAt(i, genders ? { ...options, gender: genders[i] } : options));
     }
     return characters;
   }
 
+  // Genders for every position of a `count`-sized batch matching
+  // `genderRatio` exactly, or null without a ratio. Seeded batches shuffle
+  // with `${planSeed}_gender_ratio` so the same positions get the same genders.
+  planGenders(count, genderRatio, planSeed = this.seed) {
+    if (!genderRatio) {
+      return null;
+    }
+    const { ratio, error } = parseRatio(genderRatio);
+    if (error) {
+      throw new Error(`Invalid gender_ratio: ${error}`);
+    }
+    const shuffler = new CharacterGenerator(planSeed ? `${planSeed}_gender_ratio` : null, this.version, { algorithm: this.algorithm });
+    return planAssignments(count, ratio, shuffler.rng);
+  }
+
   // --- 3. Filter Fields Helper ---
   filterFields(data, fields) {
     if (!fields || fields.length === 0) {
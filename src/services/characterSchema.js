@@ -0,0 +1,509 @@
+const { DEFAULT_LOCALE, TRAIT_CATEGORIES } = require('./locales');
+const {
+  CURRENT_GENERATOR_VERSION,
+  SUPPORTED_GENERATOR_VERSIONS,
+  getVersionedLocale,
+  listVersionLocales
+} = require('./generatorVersions');
+
+const { parseRatio } = require('./ratios');
+const { BACKGROUND_LENGTHS, DEFAULT_BACKGROUND_LENGTH } = require('./biography');
+const { PROFILE_SECTIONS, listSections } = require('./profileSections');
+
+const GENDERS = ['male', 'female', 'non-binary', 'other'];
+
+// Generator version that writes multi-paragraph backgrounds and profile sections
+const PROFILE_VERSION = 6;
+
+// Schemas of the optional profile sections (?include=), keyed by include name
+const SECTION_SCHEMAS = {
+  contact: {
+    type: "object",
+    description: "Null email and phone for characters under 13",
+    properties: {
+      email: { type: "string", format: "email", nullable: true },
+      phone: { type: "string", nullable: true }
+    }
+  },
+  address: {
+    type: "object",
+    properties: {
+      street: { type: "string" },
+      city: { type: "string" },
+      region: { type: "string" },
+      postal_code: { type: "string" },
+      country: { type: "string" }
+    }
+  },
+  education: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: { level: { type: "string" }, institution: { type: "string" }, graduation_year: { type: "integer" } }
+    }
+  },
+  employment: {
+    type: "array",
+    description: "Oldest job first; the current one has a null end_year",
+    items: {
+      type: "object",
+      properties: {
+        title: { type: "string" },
+        employer: { type: "string" },
+        start_year: { type: "integer" },
+        end_year: { type: "integer", nullable: true }
+      }
+    }
+  },
+  social: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: { network: { type: "string" }, handle: { type: "string" }, url: { type: "string", format: "uri" } }
+    }
+  }
+};
+
+// Section properties, present on a character only when included
+const sectionProperties = () => {
+  const properties = {};
+  listSections().forEach(name => {
+    properties[PROFILE_SECTIONS[name].property] = SECTION_SCHEMAS[name];
+  });
+  return properties;
+};
+
+/**
+ * JSON schema for a character. With a locale, the catalogue fields (occupation,
+ * appearance options, traits and hobbies) are limited to the values that
+ * locale's pack offers in the given generator version, as advertised by /traits.
+ */
+const buildCharacterSchema = ({ locale = null, version = CURRENT_GENERATOR_VERSION } = {}) => {
+  const pack = locale ? getVersionedLocale(locale, version) : null;
+  const catalogue = (values) => (pack ? { enum: values } : {});
+
+  return {
+    type: "object",
+    properties: {
+      id: { type: "integer", nullable: true, description: "null for characters that aren't stored (dry runs, STORAGE_DRIVER=none)" },
+      name: { type: "string", minLength: 1 },
+      age: { type: "integer", minimum: 1, maximum: 120 },
+      gender: { type: "string", enum: GENDERS },
+      occupation: { type: "string", ...catalogue(pack && pack.occupations) },
+      education: { type: "string", nullable: true },
+      annual_income: { type: "integer", nullable: true, description: "Yearly income in the locale's currency" },
+      background: { type: "string" },
+      appearance: {
+        type: "object",
+        properties: {
+          hair_color: { type: "string", ...catalogue(pack && pack.hair_colors) },
+          eye_color: { type: "string", ...catalogue(pack && pack.eye_colors) },
+          height_cm: { type: "integer", minimum: 1 },
+          build: { type: "string", ...catalogue(pack && pack.builds) }
+        },
+        required: ["hair_color", "eye_color", "height_cm", "build"]
+      },
+      personality_traits: { type: "array", items: { type: "string", ...catalogue(pack && pack.personality_traits) } },
+      hobbies: { type: "array", items: { type: "string", ...catalogue(pack && pack.hobbies) } },
+      ...(version >= PROFILE_VERSION ? sectionProperties() : {}),
+      locale: { type: "string", enum: listVersionLocales(version), default: DEFAULT_LOCALE },
+      generator_version: { type: "integer", enum: SUPPORTED_GENERATOR_VERSIONS, default: CURRENT_GENERATOR_VERSION },
+      seed: { type: "string", nullable: true },
+      created_at: { type: "string", format: "date-time" }
+    },
+    required: ["name", "age", "gender", "appearance", "personality_traits", "hobbies"]
+  };
+};
+
+// The character schema as published by /schema and in the OpenAPI document:
+// JSON Schema 2020-12, where a nullable property's type is [type, "null"].
+// buildCharacterSchema keeps the `nullable` flag the validation and GraphQL
+// code read.
+const publishedSchema = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(publishedSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  const { nullable, ...rest } = schema;
+  const published = Object.fromEntries(Object.entries(rest).map(([key, value]) => [key, publishedSchema(value)]));
+  if (nullable) {
+    published.type = [published.type, 'null'];
+  }
+  return published;
+};
+
+const buildPublishedCharacterSchema = (options) => publishedSchema(buildCharacterSchema(options));
+
+// Generation query parameters and where each one lives in the character schema
+const GENERATION_PARAMETERS = {
+  name: ['name'],
+  age: ['age'],
+  gender: ['gender'],
+  occupation: ['occupation'],
+  hair_color: ['appearance', 'hair_color'],
+  eye_color: ['appearance', 'eye_color'],
+  height_cm: ['appearance', 'height_cm'],
+  build: ['appearance', 'build'],
+  age_min: ['age'],
+  age_max: ['age'],
+  height_cm_min: ['appearance', 'height_cm'],
+  height_cm_max: ['appearance', 'height_cm']
+};
+
+// Parameters that shape how ages and genders are distributed
+const DISTRIBUTION_PARAMETERS = {
+  age_dist: { type: 'string', enum: ['uniform', 'normal'] },
+  age_mean: { type: 'number', minimum: 1, maximum: 120 },
+  age_sd: { type: 'number', exclusiveMinimum: 0 },
+  gender_ratio: { type: 'string', format: 'gender:share,...', example: 'male:0.4,female:0.4,non-binary:0.2' }
+};
+
+// Length of the background story
+const BACKGROUND_PARAMETERS = {
+  background_length: { type: 'string', enum: BACKGROUND_LENGTHS, default: DEFAULT_BACKGROUND_LENGTH }
+};
+
+// A seed is one non-empty string; ?seed=a&seed=b or ?seed[x]=a are refused
+const SEED_PARAMETER = { type: 'string' };
+
+// Parameters only the newer generator versions understand
+const VERSIONED_PARAMETERS = {
+  background_length: PROFILE_VERSION,
+  include: PROFILE_VERSION
+};
+
+// Pairs that can't be used together: an exact value and its range or ratio
+const CONFLICTS = [
+  ['age', 'age_min'], ['age', 'age_max'], ['age', 'age_dist'],
+  ['height_cm', 'height_cm_min'], ['height_cm', 'height_cm_max'],
+  ['gender', 'gender_ratio']
+];
+
+const propertySchema = (schema, path) => path.reduce((node, key) => node.properties[key], schema);
+
+// Names accepted by ?fields=: top-level properties plus the appearance keys
+const fieldNames = (schema) => [
+  ...Object.keys(schema.properties),
+  ...Object.keys(schema.properties.appearance.properties)
+];
+
+// Check one query-string value against a schema fragment.
+// Returns an error detail, or null when the value is valid.
+const checkValue = (parameter, raw, schema) => {
+  const expected = { type: schema.type };
+  ['enum', 'minimum', 'maximum', 'exclusiveMinimum', 'format'].forEach(key => {
+    if (schema[key] !== undefined) expected[key] = schema[key];
+  });
+  const invalid = (message) => ({ parameter, message, expected, received: raw });
+
+  if (typeof raw !== 'string') {
+    return invalid(`${parameter} must be given once, as a single value`);
+  }
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const pattern = schema.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+    if (!pattern.test(raw.trim())) {
+      return invalid(`${parameter} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+    }
+    const value = Number(raw);
+    if ((schema.minimum !== undefined && value < schema.minimum)
+      || (schema.maximum !== undefined && value > schema.maximum)) {
+      return invalid(schema.maximum !== undefined
+        ? `${parameter} must be between ${schema.minimum} and ${schema.maximum}`
+        : `${parameter} must be at least ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      return invalid(`${parameter} must be greater than ${schema.exclusiveMinimum}`);
+    }
+  } else if (schema.type === 'boolean') {
+    if (raw !== 'true' && raw !== 'false') {
+      return invalid(`${parameter} must be true or false`);
+    }
+  } else if (raw.trim() === '') {
+    return invalid(`${parameter} must not be empty`);
+  }
+
+  if (schema.enum && !schema.enum.includes(raw)) {
+    return invalid(`${parameter} must be one of the allowed values`);
+  }
+
+  if (parameter === 'gender_ratio') {
+    const { error } = parseRatio(raw, GENDERS);
+    if (error) return invalid(`gender_ratio ${error}`);
+  }
+
+  return null;
+};
+
+// ?weights[category][value]=n overrides how often a catalogue value is drawn.
+// With a locale pack, values must come from its lists.
+const WEIGHT_SCHEMA = { type: 'number', exclusiveMinimum: 0 };
+
+const checkWeights = (weights, pack) => {
+  const isMap = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+  if (!isMap(weights)) {
+    return [{
+      parameter: 'weights',
+      message: 'weights must be given per category and value, e.g. weights[occupation][Nurse]=5',
+      expected: { type: 'object', propertyNames: { enum: Object.keys(TRAIT_CATEGORIES) } },
+      received: weights
+    }];
+  }
+
+  const details = [];
+  Object.entries(weights).forEach(([category, values]) => {
+    const parameter = `weights[${category}]`;
+    const key = TRAIT_CATEGORIES[category];
+    if (!Object.prototype.hasOwnProperty.call(TRAIT_CATEGORIES, category)) {
+      details.push({
+        parameter,
+        message: `${category} is not a trait category`,
+        expected: { enum: Object.keys(TRAIT_CATEGORIES) },
+        received: category
+      });
+    } else if (!isMap(values)) {
+      details.push({
+        parameter,
+        message: `${parameter} must be given per value, e.g. ${parameter}[${pack ? pack[key][0] : 'value'}]=5`,
+        expected: { type: 'object', additionalProperties: WEIGHT_SCHEMA },
+        received: values
+      });
+    } else {
+      Object.entries(values).forEach(([value, weight]) => {
+        if (pack && !pack[key].includes(value)) {
+          details.push({
+            parameter: `${parameter}[${value}]`,
+            message: `${value} is not one of the locale's ${key}`,
+            expected: { enum: pack[key] },
+            received: value
+          });
+          return;
+        }
+
+        const detail = checkValue(`${parameter}[${value}]`, typeof weight === 'number' ? String(weight) : weight, WEIGHT_SCHEMA);
+        if (detail) details.push(detail);
+      });
+    }
+  });
+
+  return details;
+};
+
+// Checks that involve more than one parameter, run once each value is valid on its own
+const checkCombinations = (query, invalid) => {
+  const details = [];
+  const given = (parameter) => query[parameter] !== undefined && !invalid.has(parameter);
+
+  CONFLICTS.forEach(([exact, other]) => {
+    if (given(exact) && given(other)) {
+      details.push({
+        parameter: other,
+        message: `${other} cannot be combined with ${exact}`,
+        expected: { conflicts_with: exact },
+        received: query[other]
+      });
+    }
+  });
+
+  [['age_min', 'age_max'], ['height_cm_min', 'height_cm_max']].forEach(([min, max]) => {
+    if (given(min) && given(max) && Number(query[min]) > Number(query[max])) {
+      details.push({
+        parameter: min,
+        message: `${min} must not be greater than ${max}`,
+        expected: { type: 'integer', maximum: Number(query[max]) },
+        received: query[min]
+      });
+    }
+  });
+
+  const normal = given('age_dist') && query.age_dist === 'normal';
+  ['age_mean', 'age_sd'].forEach(parameter => {
+    if (normal && query[parameter] === undefined) {
+      details.push({
+        parameter,
+        message: `${parameter} is required with age_dist=normal`,
+        expected: DISTRIBUTION_PARAMETERS[parameter],
+        received: null
+      });
+    } else if (!normal && given(parameter) && !invalid.has('age_dist')) {
+      details.push({
+        parameter,
+        message: `${parameter} is only used with age_dist=normal`,
+        expected: { requires: 'age_dist=normal' },
+        received: query[parameter]
+      });
+    }
+  });
+
+  return details;
+};
+
+// The ages a pack's rules allow for an occupation, or null when the pack has
+// no rule for it (older versions, custom occupations)
+const occupationAges = (pack, occupation) => {
+  const rule = pack.rules && pack.rules.occupations[occupation];
+  if (!rule) {
+    return null;
+  }
+  return { min: rule.min_age || pack.rules.age.min, max: rule.max_age || pack.rules.age.max };
+};
+
+// A requested age or age range has to fit the requested occupation, so
+// there are no 18-year-old doctors or 22-year-old retirees
+const checkOccupationAges = (query, pack, invalid) => {
+  const given = (parameter) => query[parameter] !== undefined && !invalid.has(parameter);
+  const ages = given('occupation') ? occupationAges(pack, query.occupation) : null;
+  if (!ages) {
+    return [];
+  }
+
+  const details = [];
+  const expected = { type: 'integer', minimum: ages.min, maximum: ages.max };
+  const forOccupation = `for occupation ${query.occupation}`;
+  if (given('age') && (Number(query.age) < ages.min || Number(query.age) > ages.max)) {
+    details.push({
+      parameter: 'age',
+      message: `age must be between ${ages.min} and ${ages.max} ${forOccupation}`,
+      expected,
+      received: query.age
+    });
+  }
+  if (given('age_min') && Number(query.age_min) > ages.max) {
+    details.push({
+      parameter: 'age_min',
+      message: `age_min must not be greater than ${ages.max} ${forOccupation}`,
+      expected: { type: 'integer', maximum: ages.max },
+      received: query.age_min
+    });
+  }
+  if (given('age_max') && Number(query.age_max) < ages.min) {
+    details.push({
+      parameter: 'age_max',
+      message: `age_max must not be less than ${ages.min} ${forOccupation}`,
+      expected: { type: 'integer', minimum: ages.min },
+      received: query.age_max
+    });
+  }
+  return details;
+};
+
+/**
+ * Schemas of the generation constraints, keyed by query parameter: the
+ * character properties they set, taken from `schema` (the character schema
+ * for a locale, or without one for the API docs), and the distribution and
+ * background parameters
+ */
+const generationParameterSchemas = (schema = buildCharacterSchema()) => {
+  const parameters = {};
+  Object.entries(GENERATION_PARAMETERS).forEach(([parameter, path]) => {
+    parameters[parameter] = propertySchema(schema, path);
+  });
+  return { ...parameters, ...DISTRIBUTION_PARAMETERS, ...BACKGROUND_PARAMETERS };
+};
+
+/**
+ * Validate query parameters against schema fragments keyed by parameter
+ * name, e.g. { size: { type: 'integer', minimum: 32 } }. Parameters the
+ * query leaves out are skipped unless listed in `required`. Returns a list
+ * of { parameter, message, expected, received }; empty when all are valid.
+ */
+const validateParameters = (query, parameters, required = []) => Object.entries(parameters)
+  .map(([parameter, parameterSchema]) => {
+    if (query[parameter] === undefined) {
+      return required.includes(parameter)
+        ? { parameter, message: `${parameter} is required`, expected: { type: parameterSchema.type }, received: null }
+        : null;
+    }
+    return checkValue(parameter, query[parameter], parameterSchema);
+  })
+  .filter(Boolean);
+
+/**
+ * Validate the constraints of a generation request against the character
+ * schema. `strict: false` validates against the schema without the locale
+ * catalogue, so free-text values such as a custom occupation are kept, and
+ * doesn't hold a requested age to the occupation's rules.
+ * `extra` adds schemas for request parameters that aren't character
+ * properties, such as count, and `required` lists parameters that must be
+ * present. Returns a list of { parameter, message, expected, received };
+ * empty when the query is valid.
+ */
+const validateGenerationQuery = (query, { locale, version, strict = true, extra = {}, required = [] }) => {
+  const schema = buildCharacterSchema(strict ? { locale, version } : { version });
+  const parameters = { seed: SEED_PARAMETER, ...extra, ...generationParameterSchemas(schema) };
+
+  const details = validateParameters(query, parameters, required);
+  const invalid = new Set(details.map(detail => detail.parameter));
+  details.push(...checkCombinations(query, invalid));
+  if (strict) {
+    details.push(...checkOccupationAges(query, getVersionedLocale(locale, version), invalid));
+  }
+
+  if (query.include !== undefined) {
+    // A comma-separated list, or an array from ?include=a&include=b or a job body
+    const names = typeof query.include === 'string'
+      ? query.include.split(',').map(name => name.trim())
+      : [].concat(query.include);
+    if (names.length === 0 || names.some(name => !listSections().includes(name))) {
+      details.push({
+        parameter: 'include',
+        message: `include must list sections from: ${listSections().join(', ')}`,
+        expected: { type: 'array', items: { type: 'string', enum: listSections() } },
+        received: query.include
+      });
+    }
+  }
+
+  Object.entries(VERSIONED_PARAMETERS).forEach(([parameter, minimum]) => {
+    if (query[parameter] !== undefined && version < minimum
+      && !details.some(detail => detail.parameter === parameter)) {
+      details.push({
+        parameter,
+        message: `${parameter} needs generator_version ${minimum} or later`,
+        expected: { requires: `generator_version>=${minimum}` },
+        received: query[parameter]
+      });
+    }
+  });
+
+  if (query.weights !== undefined) {
+    details.push(...checkWeights(query.weights, strict ? getVersionedLocale(locale, version) : null));
+  }
+
+  if (query.fields !== undefined) {
+    const allowed = fieldNames(schema);
+    if (typeof query.fields !== 'string') {
+      // ?fields=a&fields=b arrives as an array
+      details.push({
+        parameter: 'fields',
+        message: 'fields must be given once, as a comma-separated list',
+        expected: { type: 'string', format: 'field,field,...' },
+        received: query.fields
+      });
+    } else {
+      const unknown = query.fields.split(',').map(f => f.trim()).filter(f => !allowed.includes(f));
+      if (unknown.length > 0) {
+        details.push({
+          parameter: 'fields',
+          message: `Unknown fields: ${unknown.join(', ')}`,
+          expected: { type: 'array', items: { type: 'string', enum: allowed } },
+          received: query.fields
+        });
+      }
+    }
+  }
+
+  return details;
+};
+
+module.exports = {
+  GENDERS,
+  SEED_PARAMETER,
+  buildCharacterSchema,
+  buildPublishedCharacterSchema,
+  generationParameterSchemas,
+  validateParameters,
+  validateGenerationQuery
+};
@@ -0,0 +1,301 @@
+const yaml = require('js-yaml');
+const { splitName } = require('./locales');
+const { PROFILE_SECTIONS, listSections } = require('./profileSections');
+
+// Output formats, in the order used for Accept header negotiation
+const FORMATS = {
+  json: { contentType: 'application/json' },
+  csv: { contentType: 'text/csv' },
+  ndjson: { contentType: 'application/x-ndjson' },
+  yaml: { contentType: 'application/yaml' },
+  sql: { contentType: 'application/sql' },
+  vcard: { contentType: 'text/vcard' }
+};
+
+// Flat column order shared by CSV and SQL; appearance keys are lifted to the top level
+const COLUMNS = [
+  'id', 'name', 'age', 'gender', 'occupation', 'education', 'annual_income', 'background',
+  'hair_color', 'eye_color', 'height_cm', 'build',
+  'personality_traits', 'hobbies', 'locale', 'generator_version', 'seed', 'created_at'
+];
+const APPEARANCE_COLUMNS = ['hair_color', 'eye_color', 'height_cm', 'build'];
+const LIST_COLUMNS = ['personality_traits', 'hobbies'];
+
+// Profile section columns, exported after hobbies for the included sections:
+// a column per contact and address field, and one per history holding all
+// of its entries
+const SECTION_COLUMNS = {};
+Object.entries(PROFILE_SECTIONS).forEach(([section, { property, list, fields }]) => {
+  (list ? [null] : fields).forEach(field => {
+    SECTION_COLUMNS[field || property] = { section, property, field };
+  });
+});
+
+const EVENT_STREAM_CONTENT_TYPE = 'text/event-stream';
+
+const isSupportedFormat = (format) => Object.prototype.hasOwnProperty.call(FORMATS, format);
+
+// Pick a format from ?format= first, then the Accept header. Returns null when
+// the client accepts none of them.
+const resolveFormat = (req) => {
+  if (req.query.format) {
+    return String(req.query.format).toLowerCase();
+  }
+
+  const byType = {};
+  Object.entries(FORMATS).forEach(([format, { contentType }]) => {
+    byType[contentType] = format;
+  });
+
+  const accepted = req.accepts(Object.keys(byType));
+  return accepted ? byType[accepted] : null;
+};
+
+// Columns to export, with those of the given profile sections, narrowed to
+// the requested fields when there are any
+const selectColumns = (fields, sections = []) => {
+  const after = COLUMNS.indexOf('hobbies') + 1;
+  const columns = [
+    ...COLUMNS.slice(0, after),
+    ...Object.keys(SECTION_COLUMNS).filter(column => sections.includes(SECTION_COLUMNS[column].section)),
+    ...COLUMNS.slice(after)
+  ];
+  if (!fields || fields.length === 0) {
+    return columns;
+  }
+  return columns.filter(column => fields.includes(column)
+    || (APPEARANCE_COLUMNS.includes(column) && fields.includes('appearance'))
+    || (SECTION_COLUMNS[column] && fields.includes(SECTION_COLUMNS[column].property)));
+};
+
+const columnValue = (character, column) => {
+  if (APPEARANCE_COLUMNS.includes(column)) {
+    return character.appearance ? character.appearance[column] : undefined;
+  }
+  const section = SECTION_COLUMNS[column];
+  if (section && section.field) {
+    return character[section.property] ? character[section.property][section.field] : undefined;
+  }
+  return character[column];
+};
+
+// The profile sections a set of characters carries
+const includedSections = (characters) => listSections()
+  .filter(name => characters.some(character => character[PROFILE_SECTIONS[name].property] !== undefined));
+
+// --- CSV (RFC 4180) ---
+const LIST_SEPARATOR = '; ';
+
+// Backslash-escape the separator inside list items, so lists can be split back
+const csvListItem = (value) => String(value).replace(/[\\;]/g, '\\$&');
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  // Histories are lists of objects, kept as JSON
+  if (Array.isArray(value)) {
+    value = value.some(v => typeof v === 'object') ? JSON.stringify(value) : value.map(csvListItem).join(LIST_SEPARATOR);
+  }
+  if (value instanceof Date) value = value.toISOString();
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// --- SQL (MySQL string literals: quotes doubled, backslashes escaped) ---
+const sqlValue = (value) => {
+  if (value === undefined || value === null) return 'NULL';
+  if (typeof value === 'number') return String(value);
+  if (value instanceof Date) value = value.toISOString().slice(0, 19).replace('T', ' ');
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+};
+
+const sqlInserts = (character, columns) => {
+  // Sections go to their own tables; profile_sections records which ones the
+  // character has, as the storage drivers expect
+  const sections = [...new Set(columns.filter(c => SECTION_COLUMNS[c]).map(c => SECTION_COLUMNS[c].section))]
+    .filter(name => character[PROFILE_SECTIONS[name].property] !== undefined);
+  const scalarColumns = columns.filter(column => !LIST_COLUMNS.includes(column) && !SECTION_COLUMNS[column]);
+  const values = scalarColumns.map(c => sqlValue(columnValue(character, c)));
+  if (sections.length > 0) {
+    scalarColumns.push('profile_sections');
+    values.push(sqlValue(sections.join(',')));
+  }
+  const statements = [
+    `INSERT INTO characters (${scalarColumns.join(', ')}) VALUES (${values.join(', ')});`
+  ];
+
+  // Child rows need the character id to point at
+  const children = [];
+  [['personality_traits', 'trait'], ['hobbies', 'hobby']].forEach(([table, column]) => {
+    if (columns.includes(table) && Array.isArray(character[table])) {
+      children.push({ table, columns: [column], rows: character[table].map(value => [value]) });
+    }
+  });
+  sections.forEach(name => {
+    const { property, table, list, fields } = PROFILE_SECTIONS[name];
+    const entries = (list ? character[property] : [character[property]]).filter(Boolean);
+    children.push({ table, columns: fields, rows: entries.map(entry => fields.map(field => entry[field])) });
+  });
+
+  children.forEach(({ table, columns: childColumns, rows }) => {
+    if (rows.length === 0) return;
+    if (character.id === undefined || character.id === null) {
+      statements.push(`-- ${table} omitted: include the id field to export them`);
+      return;
+    }
+    statements.push(
+      `INSERT INTO ${table} (character_id, ${childColumns.join(', ')}) VALUES ${rows.map(row => `(${[character.id, ...row].map(sqlValue).join(', ')})`).join(', ')};`
+    );
+  });
+
+  return statements.join('\n') + '\n';
+};
+
+// --- vCard 4.0 (RFC 6350) ---
+const VCARD_GENDERS = { male: 'M', female: 'F', 'non-binary': 'O', other: 'O' };
+
+const vcardText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/,/g, '\\,')
+  .replace(/;/g, '\\;');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const vcard = (character) => {
+  const fullName = character.name || (character.id !== undefined ? `Character ${character.id}` : 'Unnamed character');
+  const lines = ['BEGIN:VCARD', 'VERSION:4.0'];
+
+  if (character.id !== undefined && character.id !== null) {
+    lines.push(`UID:urn:fictional-profile:character:${character.id}`);
+  }
+  lines.push(`FN:${vcardText(fullName)}`);
+  if (character.name) {
+    const { family, given, additional } = splitName(character.name, character.locale);
+    lines.push(`N:${[family, given, additional, '', ''].map(vcardText).join(';')}`);
+  }
+  if (character.gender) lines.push(`GENDER:${VCARD_GENDERS[character.gender] || 'U'}`);
+  if (character.locale) lines.push(`LANG:${character.locale}`);
+  if (character.occupation) lines.push(`TITLE:${vcardText(character.occupation)}`);
+  const currentJob = (character.employment_history || []).find(job => job.end_year === null);
+  if (currentJob && currentJob.employer !== 'Self-employed') lines.push(`ORG:${vcardText(currentJob.employer)}`);
+  if (character.contact && character.contact.email) lines.push(`EMAIL:${vcardText(character.contact.email)}`);
+  if (character.contact && character.contact.phone) {
+    lines.push(`TEL;VALUE=uri;TYPE=cell:tel:${character.contact.phone.replace(/ /g, '-')}`);
+  }
+  if (character.address) {
+    const { street, city, region, postal_code: postalCode, country } = character.address;
+    lines.push(`ADR:${['', '', street, city, region, postalCode, country].map(v => vcardText(v || '')).join(';')}`);
+  }
+  (character.social_profiles || []).forEach(profile => {
+    // SOCIALPROFILE comes from RFC 9554
+    lines.push(`SOCIALPROFILE;SERVICE-TYPE=${vcardText(profile.network)}:${profile.url}`);
+  });
+  if (character.hobbies && character.hobbies.length > 0) {
+    lines.push(`CATEGORIES:${character.hobbies.map(vcardText).join(',')}`);
+  }
+  if (character.background) lines.push(`NOTE:${vcardText(character.background)}`);
+  if (character.age !== undefined) lines.push(`X-AGE:${character.age}`);
+  if (character.personality_traits && character.personality_traits.length > 0) {
+    lines.push(`X-PERSONALITY-TRAITS:${character.personality_traits.map(vcardText).join(',')}`);
+  }
+  lines.push('END:VCARD');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Build a serializer that turns characters into chunks of text one at a time,
+ * so callers can stream large result sets. `fields` selects CSV/SQL columns and
+ * should match whatever filterFields was applied to the characters; `sections`
+ * names the profile sections they were generated with, which add columns.
+ */
+const createSerializer = (format, { fields = null, sections = [] } = {}) => {
+  const columns = selectColumns(fields, sections);
+
+  switch (format) {
+    case 'json':
+      return {
+        header: () => '[',
+        item: (character, index) => (index > 0 ? ',' : '') + JSON.stringify(character),
+        footer: () => ']\n'
+      };
+    case 'csv':
+      return {
+        header: () => columns.join(',') + '\r\n',
+        item: (character) => columns.map(c => csvCell(columnValue(character, c))).join(',') + '\r\n',
+        footer: () => ''
+      };
+    case 'ndjson':
+      return {
+        header: () => '',
+        item: (character) => JSON.stringify(character) + '\n',
+        footer: () => ''
+      };
+    case 'yaml':
+      return {
+        header: () => '',
+        item: (character) => yaml.dump([character]),
+        footer: () => ''
+      };
+    case 'sql':
+      return {
+        header: () => '',
+        item: (character) => sqlInserts(character, columns),
+        footer: () => ''
+      };
+    case 'vcard':
+      return {
+        header: () => '',
+        item: (character) => vcard(character),
+        footer: () => ''
+      };
+    case 'sse':
+      // Server-sent events, only offered by the streaming endpoint
+      return {
+        header: () => '',
+        item: (character, index) => `id: ${index}\nevent: character\ndata: ${JSON.stringify(character)}\n\n`,
+        footer: (count) => `event: end\ndata: ${JSON.stringify({ count })}\n\n`
+      };
+    default:
+      throw new Error(`Unsupported format: ${format}`);
+  }
+};
+
+// Write characters to an Express response in a non-JSON format
+const sendExport = (res, format, characters, { fields = null } = {}) => {
+  const serializer = createSerializer(format, { fields, sections: includedSections(characters) });
+
+  res.status(200);
+  res.type(FORMATS[format].contentType);
+  res.write(serializer.header());
+  characters.forEach((character, index) => {
+    res.write(serializer.item(character, index));
+  });
+  res.end(serializer.footer(characters.length));
+};
+
+module.exports = {
+  FORMATS,
+  EVENT_STREAM_CONTENT_TYPE,
+  isSupportedFormat,
+  resolveFormat,
+  createSerializer,
+  sendExport
+};
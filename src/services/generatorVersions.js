@@ -0,0 +1,95 @@
+const { DEFAULT_LOCALE, isSupportedLocale, listLocales } = require('./locales');
+const { getCataloguePack } = require('./traitCatalogue');
+
+// Seeded output depends on the exact order and length of every data array and
+// on the order the generator draws random numbers. Any change to either must
+// bump CURRENT_GENERATOR_VERSION: copy the packs the old version used into
+// src/data/versions/v<N>/ and gate algorithm changes on `this.version`, so
+// stored seeds keep reproducing under the version they were created with.
+// The exception is the trait catalogue: the current version draws from it
+// (see traitCatalogue), so editing it through the admin API changes what
+// current-version seeds produce, by design.
+const CURRENT_GENERATOR_VERSION = 7;
+
+// Frozen locale packs for past versions. Never edit these files.
+const FROZEN_LOCALES = {
+  // v1: the original Filipino-only pool
+  1: {
+    'fil-PH': require('../data/versions/v1/fil-PH.json')
+  },
+  // v2: locale packs, attributes rolled independently
+  2: {
+    'fil-PH': require('../data/versions/v2/fil-PH.json'),
+    'en-US': require('../data/versions/v2/en-US.json'),
+    'ja-JP': require('../data/versions/v2/ja-JP.json'),
+    'es-MX': require('../data/versions/v2/es-MX.json')
+  },
+  // v3: coherent attributes, every value equally likely
+  3: {
+    'fil-PH': require('../data/versions/v3/fil-PH.json'),
+    'en-US': require('../data/versions/v3/en-US.json'),
+    'ja-JP': require('../data/versions/v3/ja-JP.json'),
+    'es-MX': require('../data/versions/v3/es-MX.json')
+  },
+  // v4: weighted draws; Mulberry32 and sort-based sampling
+  4: {
+    'fil-PH': require('../data/versions/v4/fil-PH.json'),
+    'en-US': require('../data/versions/v4/en-US.json'),
+    'ja-JP': require('../data/versions/v4/ja-JP.json'),
+    'es-MX': require('../data/versions/v4/es-MX.json')
+  },
+  // v5: xoshiro128** and Fisher-Yates sampling; one-sentence backgrounds
+  5: {
+    'fil-PH': require('../data/versions/v5/fil-PH.json'),
+    'en-US': require('../data/versions/v5/en-US.json'),
+    'ja-JP': require('../data/versions/v5/ja-JP.json'),
+    'es-MX': require('../data/versions/v5/es-MX.json')
+  },
+  // v6: background stories from a grammar; children share adults' hobbies and traits
+  6: {
+    'fil-PH': require('../data/versions/v6/fil-PH.json'),
+    'en-US': require('../data/versions/v6/en-US.json'),
+    'ja-JP': require('../data/versions/v6/ja-JP.json'),
+    'es-MX': require('../data/versions/v6/es-MX.json')
+  }
+};
+
+const SUPPORTED_GENERATOR_VERSIONS = [...Object.keys(FROZEN_LOCALES).map(Number), CURRENT_GENERATOR_VERSION];
+
+const isSupportedVersion = (version) => SUPPORTED_GENERATOR_VERSIONS.includes(version);
+
+const isLocaleAvailable = (code, version = CURRENT_GENERATOR_VERSION) => {
+  if (version === CURRENT_GENERATOR_VERSION) {
+    return isSupportedLocale(code);
+  }
+  return Boolean(FROZEN_LOCALES[version] && FROZEN_LOCALES[version][code]);
+};
+
+const getVersionedLocale = (code = DEFAULT_LOCALE, version = CURRENT_GENERATOR_VERSION) => {
+  if (version === CURRENT_GENERATOR_VERSION) {
+    if (!isSupportedLocale(code)) {
+      throw new Error(`Unsupported locale: ${code}`);
+    }
+    return getCataloguePack(code);
+  }
+  if (!isLocaleAvailable(code, version)) {
+    throw new Error(`Locale ${code} is not available in generator version ${version}`);
+  }
+  return FROZEN_LOCALES[version][code];
+};
+
+const listVersionLocales = (version = CURRENT_GENERATOR_VERSION) => {
+  if (version === CURRENT_GENERATOR_VERSION) {
+    return listLocales().map(l => l.code);
+  }
+  return Object.keys(FROZEN_LOCALES[version] || {});
+};
+
+module.exports = {
+  CURRENT_GENERATOR_VERSION,
+  SUPPORTED_GENERATOR_VERSIONS,
+  isSupportedVersion,
+  isLocaleAvailable,
+  getVersionedLocale,
+  listVersionLocales
+};
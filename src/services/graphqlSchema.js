@@ -0,0 +1,417 @@
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLEnumType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLBoolean,
+  GraphQLError
+} = require('graphql');
+const CharacterGenerator = require('./characterGenerator');
+const Character = require('../models/Character');
+const Trait = require('../models/Trait');
+const traitCatalogue = require('./traitCatalogue');
+const { getStorage } = require('../storage');
+const { DEFAULT_LOCALE, TRAIT_CATEGORIES, isSupportedLocale, listLocales } = require('./locales');
+const { GENDERS, buildCharacterSchema, validateGenerationQuery } = require('./characterSchema');
+const { BACKGROUND_LENGTHS } = require('./biography');
+const { listSections } = require('./profileSections');
+const { parseGeneratorOptions, asQuery } = require('../utils/generationParams');
+const { checkCharacters, recordCharacters } = require('./quotas');
+
+// The GraphQL schema served at /graphql. Its Character type is built from the
+// same JSON schema as GET /schema, so the two can't drift apart; the
+// resolvers apply the same validation, storage rules and quotas as the REST
+// routes, for the client in context.auth (see middleware/authenticate).
+
+// GraphQL type names for the object properties of the character schema
+const TYPE_NAMES = {
+  appearance: 'Appearance',
+  contact: 'Contact',
+  address: 'Address',
+  education_history: 'Education',
+  employment_history: 'Employment',
+  social_profiles: 'SocialProfile'
+};
+
+const SCALARS = {
+  string: GraphQLString,
+  integer: GraphQLInt,
+  number: GraphQLFloat,
+  boolean: GraphQLBoolean
+};
+
+// Convert one property of the JSON schema into a GraphQL output type
+const outputType = (key, schema) => {
+  if (schema.type === 'array') {
+    return new GraphQLList(new GraphQLNonNull(outputType(key, schema.items)));
+  }
+  if (schema.type === 'object') {
+    return objectType(TYPE_NAMES[key], schema);
+  }
+  return SCALARS[schema.type];
+};
+
+const objectType = (name, schema) => new GraphQLObjectType({
+  name,
+  description: schema.description,
+  fields: () => {
+    const required = schema.required || [];
+    const fields = {};
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      const type = outputType(key, property);
+      fields[key] = {
+        type: required.includes(key) && !property.nullable ? new GraphQLNonNull(type) : type,
+        description: property.description
+      };
+      // MySQL hands back DATETIME columns as Date objects
+      if (property.format === 'date-time') {
+        fields[key].resolve = (source) => (source[key] instanceof Date ? source[key].toISOString() : source[key]);
+      }
+    });
+    return fields;
+  }
+});
+
+const CharacterType = objectType('Character', {
+  ...buildCharacterSchema(),
+  description: `A fictional character. gender is one of: ${GENDERS.join(', ')}. `
+    + 'The profile sections are null unless the character was generated with them.'
+});
+
+const SectionEnum = new GraphQLEnumType({
+  name: 'Section',
+  description: 'Optional profile sections, as in ?include=',
+  values: Object.fromEntries(listSections().map(name => [name, { value: name }]))
+});
+
+const BackgroundLengthEnum = new GraphQLEnumType({
+  name: 'BackgroundLength',
+  values: Object.fromEntries(BACKGROUND_LENGTHS.map(length => [length, { value: length }]))
+});
+
+const PaginationType = new GraphQLObjectType({
+  name: 'Pagination',
+  fields: {
+    page: { type: new GraphQLNonNull(GraphQLInt) },
+    limit: { type: new GraphQLNonNull(GraphQLInt) },
+    total: { type: new GraphQLNonNull(GraphQLInt) },
+    total_pages: { type: new GraphQLNonNull(GraphQLInt) }
+  }
+});
+
+const CharacterPageType = new GraphQLObjectType({
+  name: 'CharacterPage',
+  fields: {
+    items: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(CharacterType))) },
+    pagination: { type: new GraphQLNonNull(PaginationType) }
+  }
+});
+
+const CharacterFilterInput = new GraphQLInputObjectType({
+  name: 'CharacterFilter',
+  description: 'Filters for stored characters, as in GET /characters',
+  fields: {
+    gender: { type: GraphQLString },
+    age_min: { type: GraphQLInt },
+    age_max: { type: GraphQLInt },
+    occupation: { type: GraphQLString },
+    hair_color: { type: GraphQLString },
+    eye_color: { type: GraphQLString },
+    build: { type: GraphQLString },
+    trait: { type: GraphQLString, description: 'Personality trait the character must have' },
+    hobby: { type: GraphQLString, description: 'Hobby the character must have' },
+    locale: { type: GraphQLString },
+    generator_version: { type: GraphQLInt },
+    created_from: { type: GraphQLString, description: 'ISO 8601 date' },
+    created_to: { type: GraphQLString, description: 'ISO 8601 date' }
+  }
+});
+
+const stringList = () => new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLString)));
+
+const TraitsType = new GraphQLObjectType({
+  name: 'Traits',
+  fields: {
+    locale: { type: new GraphQLNonNull(GraphQLString) },
+    personality_traits: { type: stringList() },
+    occupations: { type: stringList() },
+    hobbies: { type: stringList() },
+    appearance: {
+      type: new GraphQLNonNull(new GraphQLObjectType({
+        name: 'AppearanceTraits',
+        fields: { hair_colors: { type: stringList() }, eye_colors: { type: stringList() }, builds: { type: stringList() } }
+      }))
+    },
+    weights: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(new GraphQLObjectType({
+        name: 'TraitWeight',
+        fields: {
+          category: { type: new GraphQLNonNull(GraphQLString) },
+          value: { type: new GraphQLNonNull(GraphQLString) },
+          weight: { type: new GraphQLNonNull(GraphQLFloat) }
+        }
+      })))),
+      description: 'Values that don\'t weigh 1, keyed like the lists above'
+    },
+    genders: { type: stringList() },
+    available_locales: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(new GraphQLObjectType({
+        name: 'Locale',
+        fields: { code: { type: new GraphQLNonNull(GraphQLString) }, name: { type: new GraphQLNonNull(GraphQLString) } }
+      }))))
+    }
+  }
+});
+
+// Arguments every generating field accepts
+const GENERATION_ARGS = {
+  locale: { type: GraphQLString, description: `Defaults to ${DEFAULT_LOCALE}` },
+  generator_version: { type: GraphQLInt, description: 'Defaults to the current generator' },
+  background_length: { type: BackgroundLengthEnum },
+  include: { type: new GraphQLList(new GraphQLNonNull(SectionEnum)) }
+};
+
+const PERSIST_ARG = {
+  type: new GraphQLNonNull(GraphQLBoolean),
+  defaultValue: true,
+  description: 'false generates without saving anything; new characters then have a null id'
+};
+
+const READ_ONLY_NOTE = 'Queries never save anything, so characters that aren\'t stored yet have a null id; '
+  + 'use the generateCharacters mutation to save them.';
+
+const GenerateCharactersInput = new GraphQLInputObjectType({
+  name: 'GenerateCharactersInput',
+  description: 'Constraints for generated characters, as in GET /character',
+  fields: {
+    count: { type: GraphQLInt, defaultValue: 1 },
+    seed: { type: GraphQLString },
+    strict: { type: GraphQLBoolean, defaultValue: true, description: 'false allows values outside the locale catalogue' },
+    persist: PERSIST_ARG,
+    name: { type: GraphQLString },
+    gender: { type: GraphQLString },
+    age: { type: GraphQLInt },
+    occupation: { type: GraphQLString },
+    hair_color: { type: GraphQLString },
+    eye_color: { type: GraphQLString },
+    height_cm: { type: GraphQLInt },
+    build: { type: GraphQLString },
+    age_min: { type: GraphQLInt },
+    age_max: { type: GraphQLInt },
+    age_dist: { type: GraphQLString },
+    age_mean: { type: GraphQLFloat },
+    age_sd: { type: GraphQLFloat },
+    height_cm_min: { type: GraphQLInt },
+    height_cm_max: { type: GraphQLInt },
+    gender_ratio: { type: GraphQLString },
+    ...GENERATION_ARGS
+  }
+});
+
+const badInput = (message, details) => new GraphQLError(message, {
+  extensions: { code: 'BAD_USER_INPUT', ...(details && { details }) }
+});
+
+const requireAdmin = (auth) => {
+  if (auth.role !== 'admin') {
+    throw new GraphQLError('This operation needs an admin API key or the ADMIN_TOKEN', { extensions: { code: 'FORBIDDEN' } });
+  }
+};
+
+// The daily character quota, as chargeCharacters applies it to REST routes
+const checkQuota = async (auth, count) => {
+  const quota = await checkCharacters(auth, count);
+  if (!quota.allowed) {
+    throw new GraphQLError('Daily character quota exceeded', {
+      extensions: {
+        code: 'QUOTA_EXCEEDED',
+        limit: quota.limit,
+        used: quota.used,
+        remaining: quota.remaining,
+        retry_after: quota.retry_after
+      }
+    });
+  }
+};
+
+const requireStorage = () => {
+  if (!getStorage().enabled) {
+    throw new GraphQLError('Storage is disabled', { extensions: { code: 'STORAGE_DISABLED' } });
+  }
+};
+
+// Resolve locale and generator_version and validate the other arguments.
+// Also loads the locale's trait catalogue, as loadTraitCatalogue does for
+// the REST routes. Returns { locale, version, query }.
+const prepareGeneration = async (args, { strict = true, extra = {} } = {}) => {
+  const query = asQuery(args);
+  const { error, locale, version } = parseGeneratorOptions(query);
+  if (error) {
+    throw badInput(error.error);
+  }
+
+  const details = validateGenerationQuery(query, { locale, version, strict, extra });
+  if (details.length > 0) {
+    throw badInput('Invalid parameters', details);
+  }
+
+  try {
+    await traitCatalogue.refresh(locale);
+  } catch (error) {
+    console.error(`Error loading the ${locale} trait catalogue:`, error.message);
+  }
+  return { locale, version, query };
+};
+
+// Queries can be sent with GET, so they generate without saving
+const generateCharacter = async (seed, args, auth) => {
+  const { locale, version } = await prepareGeneration(args);
+  await checkQuota(auth, 1);
+  const { background_length, include } = args;
+  const character = new CharacterGenerator(seed, version).generate({ locale, background_length, include });
+
+  let data;
+  if (seed === null) {
+    data = { ...character, id: null };
+  } else {
+    // The stored copy if this seed and version were saved before
+    [{ data }] = await Character.saveGenerated([character], { persist: false });
+  }
+  await recordCharacters(auth, 1);
+  return data;
+};
+
+const QueryType = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    randomCharacter: {
+      type: new GraphQLNonNull(CharacterType),
+      description: `Generate a random character. ${READ_ONLY_NOTE}`,
+      args: GENERATION_ARGS,
+      resolve: (_, args, { auth }) => generateCharacter(null, args, auth)
+    },
+    character: {
+      type: new GraphQLNonNull(CharacterType),
+      description: `The character for a seed, or its stored copy. ${READ_ONLY_NOTE}`,
+      args: { seed: { type: new GraphQLNonNull(GraphQLString) }, ...GENERATION_ARGS },
+      resolve: (_, { seed, ...args }, { auth }) => generateCharacter(seed, args, auth)
+    },
+    characters: {
+      type: new GraphQLNonNull(CharacterPageType),
+      description: 'Stored characters, newest first',
+      args: {
+        filter: { type: CharacterFilterInput },
+        page: { type: GraphQLInt, defaultValue: 1 },
+        limit: { type: GraphQLInt, defaultValue: 20 }
+      },
+      resolve: async (_, { filter, page, limit }) => {
+        requireStorage();
+        const maxLimit = parseInt(process.env.MAX_CHARACTERS_PER_REQUEST) || 100;
+        if (page < 1) throw badInput('page must be a positive integer');
+        if (limit < 1 || limit > maxLimit) throw badInput(`limit must be an integer between 1 and ${maxLimit}`);
+
+        const filters = { ...filter };
+        if (filters.gender && !GENDERS.includes(filters.gender)) {
+          throw badInput(`gender must be one of: ${GENDERS.join(', ')}`);
+        }
+        if (filters.locale && !isSupportedLocale(filters.locale)) {
+          throw badInput(`locale must be one of: ${listLocales().map(l => l.code).join(', ')}`);
+        }
+        ['created_from', 'created_to'].forEach(field => {
+          if (filters[field] === undefined) return;
+          const date = new Date(filters[field]);
+          if (isNaN(date.getTime())) throw badInput(`${field} must be an ISO 8601 date`);
+          filters[field] = date;
+        });
+
+        const { characters, total } = await Character.findAll(filters, { page, limit });
+        return {
+          items: characters,
+          pagination: { page, limit, total, total_pages: Math.ceil(total / limit) }
+        };
+      }
+    },
+    traits: {
+      type: new GraphQLNonNull(TraitsType),
+      description: 'The trait catalogue of a locale',
+      args: { locale: { type: GraphQLString, defaultValue: DEFAULT_LOCALE } },
+      resolve: async (_, { locale }) => {
+        if (!isSupportedLocale(locale)) {
+          throw badInput(`Unsupported locale: ${locale}`);
+        }
+        const { traits, weights } = await Trait.getAvailableTraits(locale);
+        return {
+          locale,
+          personality_traits: traits.personality_trait || [],
+          occupations: traits.occupation || [],
+          hobbies: traits.hobby || [],
+          appearance: {
+            hair_colors: traits.hair_color || [],
+            eye_colors: traits.eye_color || [],
+            builds: traits.build || []
+          },
+          weights: Object.entries(weights).flatMap(([category, values]) => Object.entries(values)
+            .map(([value, weight]) => ({ category: TRAIT_CATEGORIES[category] || category, value, weight }))),
+          genders: GENDERS,
+          available_locales: listLocales()
+        };
+      }
+    }
+  }
+});
+
+const MutationType = new GraphQLObjectType({
+  name: 'Mutation',
+  fields: {
+    generateCharacters: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(CharacterType))),
+      description: 'Generate and save characters matching the given constraints',
+      args: { input: { type: GenerateCharactersInput, defaultValue: {} } },
+      resolve: async (_, { input }, { auth }) => {
+        const { count, seed, strict, persist, ...constraints } = input;
+        const maxCount = parseInt(process.env.MAX_CHARACTERS_PER_REQUEST) || 100;
+        const { locale, version, query } = await prepareGeneration({ count, ...constraints }, {
+          strict,
+          extra: { count: { type: 'integer', minimum: 1, maximum: maxCount } }
+        });
+
+        await checkQuota(auth, count);
+
+        const options = { ...query, locale };
+        delete options.count;
+        delete options.generator_version;
+
+        const characters = new CharacterGenerator(seed || null, version).generateCount(count, options);
+
+        const results = await Character.saveGenerated(characters, { persist });
+        await recordCharacters(auth, count);
+        return results.map(result => result.data);
+      }
+    },
+    deleteCharacter: {
+      type: new GraphQLNonNull(GraphQLBoolean),
+      description: 'Delete a stored character; false if there was none with this id. Needs the admin role.',
+      args: { id: { type: new GraphQLNonNull(GraphQLInt) } },
+      resolve: async (_, { id }, { auth }) => {
+        requireAdmin(auth);
+        requireStorage();
+        if (id < 1) throw badInput('Character id must be a positive integer');
+        return Boolean(await Character.delete(id));
+      }
+    }
+  }
+});
+
+const schema = new GraphQLSchema({
+  query: QueryType,
+  mutation: MutationType
+});
+
+module.exports = {
+  schema
+};
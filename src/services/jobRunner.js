@@ -0,0 +1,128 @@
+const Job = require('../models/Job');
+const CharacterGenerator = require('./characterGenerator');
+const { generateBatches } = require('./batchGenerator');
+const { createSerializer } = require('./exporters');
+const { parseInclude } = require('./profileSections');
+const traitCatalogue = require('./traitCatalogue');
+
+// Jobs run in this process, a few at a time; their state lives in storage so
+// unfinished jobs are picked up again after a restart (except with the
+// in-memory driver, where they go with the process)
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+const BATCH_SIZE = parseInt(process.env.JOB_BATCH_SIZE) || 1000;
+
+// Options a job may pass through to CharacterGenerator.generate
+const CONSTRAINT_KEYS = [
+  'name', 'gender', 'age', 'occupation', 'hair_color', 'eye_color', 'height_cm', 'build',
+  'age_min', 'age_max', 'age_dist', 'age_mean', 'age_sd', 'height_cm_min', 'height_cm_max', 'gender_ratio',
+  'weights', 'background_length', 'include'
+];
+
+const queue = [];
+const cancelled = new Set();
+let running = 0;
+
+const runJob = async (id) => {
+  const job = await Job.findById(id);
+  if (!job || !['queued', 'running'].includes(job.status)) {
+    return;
+  }
+
+  await Job.markRunning(id);
+
+  const { spec } = job;
+  await traitCatalogue.refresh(spec.locale).catch(error => {
+    console.error(`Error loading the ${spec.locale} trait catalogue:`, error.message);
+  });
+  const serializer = createSerializer(spec.format, {
+    fields: spec.fields,
+    sections: parseInclude(spec.constraints.include)
+  });
+  const generator = new CharacterGenerator();
+
+  // Resume after the last stored chunk; each chunk holds exactly one batch
+  let chunkIndex = await Job.countChunks(id);
+  let generated = job.progress;
+
+  try {
+    const batches = generateBatches({
+      count: spec.count,
+      start: generated,
+      seed: spec.seed,
+      // Unseeded jobs still need the same gender_ratio plan when they resume
+      planSeed: spec.seed || id,
+      version: spec.generator_version,
+      options: { ...spec.constraints, locale: spec.locale },
+      persist: spec.persist,
+      batchSize: BATCH_SIZE
+    });
+
+    for await (const batch of batches) {
+      if (cancelled.has(id)) {
+        return;
+      }
+
+      let content = chunkIndex === 0 ? serializer.header() : '';
+      batch.forEach(character => {
+        const data = spec.fields ? generator.filterFields(character, spec.fields) : character;
+        content += serializer.item(data, generated);
+        generated++;
+      });
+      if (generated === spec.count) {
+        content += serializer.footer(generated);
+      }
+
+      await Job.appendChunk(id, chunkIndex, content, generated);
+      chunkIndex++;
+    }
+
+    await Job.markFinished(id, 'completed');
+  } catch (error) {
+    console.error(`Job ${id} failed:`, error);
+    await Job.markFinished(id, 'failed', error.message);
+  }
+};
+
+const drain = () => {
+  while (running < CONCURRENCY && queue.length > 0) {
+    const id = queue.shift();
+    running++;
+
+    runJob(id)
+      .catch(error => console.error(`Error running job ${id}:`, error))
+      .finally(() => {
+        running--;
+        cancelled.delete(id);
+        drain();
+      });
+  }
+};
+
+const enqueue = (id) => {
+  queue.push(id);
+  drain();
+};
+
+// Stop a queued or running job at the next batch boundary
+const cancel = (id) => {
+  const index = queue.indexOf(id);
+  if (index !== -1) {
+    queue.splice(index, 1);
+  } else {
+    cancelled.add(id);
+  }
+};
+
+// Requeue jobs that were queued or interrupted when the server last stopped
+const start = async () => {
+  const jobs = await Job.findUnfinished();
+  jobs.forEach(job => enqueue(job.id));
+  return jobs.length;
+};
+
+module.exports = {
+  CONSTRAINT_KEYS,
+  enqueue,
+  cancel,
+  start
+};
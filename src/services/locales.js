@@ -0,0 +1,100 @@
+// Locale packs: each one provides its own names, naming conventions,
+// trait vocabulary and background grammar
+const LOCALES = {
+  'fil-PH': require('../data/locales/fil-PH.json'),
+  'en-US': require('../data/locales/en-US.json'),
+  'ja-JP': require('../data/locales/ja-JP.json'),
+  'es-MX': require('../data/locales/es-MX.json')
+};
+
+const DEFAULT_LOCALE = 'fil-PH';
+
+// Trait categories a locale pack provides, keyed by their available_traits category
+const TRAIT_CATEGORIES = {
+  personality_trait: 'personality_traits',
+  occupation: 'occupations',
+  hobby: 'hobbies',
+  hair_color: 'hair_colors',
+  eye_color: 'eye_colors',
+  build: 'builds'
+};
+
+// A pack's optional `weights` say how often each value of a list is drawn,
+// e.g. weights.hair_colors = { "black": 60, "brown": 20 }; values left out
+// weigh 1. "rank" instead of a map means the list is in order of popularity
+// and its nth value weighs 1/√n, which roughly matches how common the top
+// few dozen given names and surnames are relative to each other.
+const resolveWeights = (values, weights) => {
+  if (weights !== 'rank') {
+    return weights || null;
+  }
+
+  const ranked = {};
+  values.forEach((value, i) => {
+    if (ranked[value] === undefined) {
+      ranked[value] = 1 / Math.sqrt(i + 1);
+    }
+  });
+  return ranked;
+};
+
+const isSupportedLocale = (code) => Object.prototype.hasOwnProperty.call(LOCALES, code);
+
+const getLocale = (code = DEFAULT_LOCALE) => {
+  if (!isSupportedLocale(code)) {
+    throw new Error(`Unsupported locale: ${code}`);
+  }
+  return LOCALES[code];
+};
+
+// Split a full name into family and given parts using the locale's surname list,
+// so multi-word surnames such as "dela Cruz" stay together
+const splitName = (name, localeCode) => {
+  const locale = isSupportedLocale(localeCode) ? getLocale(localeCode) : null;
+  const familyFirst = Boolean(locale) && locale.naming.order === 'family-first';
+  const surnameCount = locale ? locale.naming.surname_count || 1 : 1;
+  const surnames = locale
+    ? [...locale.names.surnames].sort((a, b) => b.split(' ').length - a.split(' ').length)
+    : [];
+
+  let remaining = name.trim().split(/\s+/);
+  const family = [];
+
+  for (let i = 0; i < surnameCount && remaining.length > 1; i++) {
+    const edge = (n) => (familyFirst ? remaining.slice(0, n) : remaining.slice(remaining.length - n)).join(' ');
+    const known = surnames.find(surname => {
+      const length = surname.split(' ').length;
+      return length < remaining.length && edge(length) === surname;
+    });
+    const taken = known ? known.split(' ').length : 1;
+
+    if (familyFirst) {
+      family.push(edge(taken));
+      remaining = remaining.slice(taken);
+    } else {
+      family.unshift(edge(taken));
+      remaining = remaining.slice(0, remaining.length - taken);
+    }
+  }
+
+  return {
+    family: family.join(' '),
+    given: remaining[0] || '',
+    additional: remaining.slice(1).join(' ')
+  };
+};
+
+const listLocales = () => Object.values(LOCALES).map(locale => ({
+  code: locale.code,
+  name: locale.name
+}));
+
+module.exports = {
+  DEFAULT_LOCALE,
+  TRAIT_CATEGORIES,
+  resolveWeights,
+  isSupportedLocale,
+  getLocale,
+  listLocales,
+  splitName
+};
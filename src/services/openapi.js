@@ -0,0 +1,378 @@
+const { version: packageVersion } = require('../../package.json');
+const { buildPublishedCharacterSchema } = require('./characterSchema');
+const { PATH_PARAMETERS, getParameters } = require('./apiParameters');
+const { FORMATS } = require('./exporters');
+const requireAdmin = require('../middleware/requireAdmin');
+const requireStorage = require('../middleware/requireStorage');
+
+// The OpenAPI 3.1 document served at /openapi.json, built from the
+// operations the routers collect (see routes/apiRouter). The root endpoint
+// and the startup log list the same operations.
+
+const TAGS = {
+  Characters: 'Generate, store and read characters',
+  Relationships: 'Families, social circles and the relationships between stored characters',
+  Jobs: 'Background generation of large batches',
+  Traits: 'The trait catalogue characters are drawn from',
+  GraphQL: 'The GraphQL endpoint',
+  'API keys': 'Keys, roles and quotas',
+  Meta: 'Schema and usage statistics'
+};
+
+const RATE_LIMIT_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'];
+
+const headerRefs = (names) => Object.fromEntries(names.map(name => [name, { $ref: `#/components/headers/${name}` }]));
+
+const errorSchema = (extra = {}) => ({
+  type: 'object',
+  properties: {
+    success: { const: false },
+    error: { type: 'string' },
+    message: { type: 'string' },
+    ...extra
+  },
+  required: ['success', 'error']
+});
+
+// Character properties a PUT or PATCH body may set
+const EDITABLE_PROPERTIES = [
+  'name', 'age', 'gender', 'occupation', 'education', 'annual_income', 'background',
+  'appearance', 'personality_traits', 'hobbies'
+];
+
+const characterInputSchemas = (character) => {
+  const properties = Object.fromEntries(EDITABLE_PROPERTIES.map(name => [name, character.properties[name]]));
+  const { required, ...partialAppearance } = properties.appearance;
+  return {
+    CharacterInput: { type: 'object', properties, required: character.required },
+    CharacterUpdate: {
+      type: 'object',
+      description: 'Only the properties given are changed; personality_traits and hobbies are replaced as a whole',
+      properties: { ...properties, appearance: partialAppearance }
+    }
+  };
+};
+
+const buildComponents = () => {
+  const character = buildPublishedCharacterSchema();
+  const timestamp = { type: ['string', 'null'], format: 'date-time' };
+
+  return {
+    schemas: {
+      Character: character,
+      ...characterInputSchemas(character),
+      Pagination: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          total: { type: 'integer' },
+          total_pages: { type: 'integer' }
+        }
+      },
+      Relationship: {
+        type: 'object',
+        properties: {
+          character_id: { type: 'integer' },
+          related_character_id: { type: 'integer' },
+          type: { type: 'string', enum: ['parent', 'grandparent', 'sibling', 'spouse', 'friend', 'coworker'] }
+        }
+      },
+      Job: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+          spec: { type: 'object', description: 'The job as requested, with defaults filled in' },
+          progress: {
+            type: 'object',
+            properties: {
+              generated: { type: 'integer' },
+              total: { type: 'integer' },
+              percent: { type: 'integer' }
+            }
+          },
+          error: { type: ['string', 'null'] },
+          created_at: { type: 'string', format: 'date-time' },
+          started_at: timestamp,
+          finished_at: timestamp,
+          links: {
+            type: 'object',
+            properties: { self: { type: 'string' }, result: { type: 'string' } }
+          }
+        }
+      },
+      ApiKey: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          key_prefix: { type: 'string', description: 'The first characters of the key' },
+          role: { type: 'string', enum: ['user', 'admin'] },
+          requests_per_minute: { type: ['integer', 'null'], description: 'null uses the default' },
+          characters_per_day: { type: ['integer', 'null'], description: 'null uses the default' },
+          created_at: { type: 'string', format: 'date-time' },
+          revoked_at: timestamp,
+          limits: {
+            type: 'object',
+            description: 'The limits that apply, null meaning unlimited',
+            properties: {
+              requests_per_minute: { type: ['integer', 'null'] },
+              characters_per_day: { type: ['integer', 'null'] }
+            }
+          },
+          usage_today: {
+            type: 'object',
+            properties: { requests: { type: 'integer' }, characters: { type: 'integer' } }
+          }
+        }
+      },
+      Error: errorSchema(),
+      InvalidParameters: errorSchema({
+        details: {
+          type: 'array',
+          items: {
+            oneOf: [
+              { type: 'string' },
+              {
+                type: 'object',
+                properties: {
+                  parameter: { type: 'string' },
+                  message: { type: 'string' },
+                  expected: { type: 'object' },
+                  received: {}
+                }
+              }
+            ]
+          }
+        }
+      })
+    },
+    parameters: getParameters(),
+    headers: {
+      'RateLimit-Limit': { description: 'Requests allowed per window', schema: { type: 'integer' } },
+      'RateLimit-Remaining': { description: 'Requests left in the current window', schema: { type: 'integer' } },
+      'RateLimit-Reset': { description: 'Seconds until the window resets', schema: { type: 'integer' } },
+      'RateLimit-Policy': { description: 'The limit and window, e.g. 120;w=60', schema: { type: 'string' } },
+      'Retry-After': { description: 'Seconds to wait before trying again', schema: { type: 'integer' } }
+    },
+    responses: {
+      BadRequest: {
+        description: 'Invalid parameters or body',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/InvalidParameters' } } }
+      },
+      Unauthorized: {
+        description: 'Unknown or revoked API key, or none where one is needed',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      Forbidden: {
+        description: 'The API key doesn\'t have the admin role',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      NotFound: {
+        description: 'Not found',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      TooManyRequests: {
+        description: 'Request rate limit or daily character quota exceeded',
+        headers: headerRefs([...RATE_LIMIT_HEADERS, 'Retry-After']),
+        content: {
+          'application/json': {
+            schema: errorSchema({
+              quota: {
+                type: 'object',
+                properties: { limit: { type: 'integer' }, used: { type: 'integer' }, remaining: { type: 'integer' } }
+              }
+            })
+          }
+        }
+      },
+      NotModified: {
+        description: 'The ETag given in If-None-Match is still current'
+      },
+      IdempotencyInProgress: {
+        description: 'A request with the same Idempotency-Key is still being handled',
+        headers: headerRefs(['Retry-After']),
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      IdempotencyKeyReused: {
+        description: 'The Idempotency-Key was already used for a different request',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      StorageDisabled: {
+        description: 'The endpoint needs stored data and STORAGE_DRIVER is none',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }
+    },
+    securitySchemes: {
+      ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      BearerAuth: { type: 'http', scheme: 'bearer', description: 'An API key, or the ADMIN_TOKEN' }
+    }
+  };
+};
+
+// Express's /character/:seed is OpenAPI's /character/{seed}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const pathParameterNames = (path) => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+// An operation's parameters: its path parameters, then references to shared
+// query parameters or inline ones
+const buildParameters = ({ path, operation }, shared) => [
+  ...pathParameterNames(path).map(name => {
+    const schema = (operation.pathParameters || {})[name] || PATH_PARAMETERS[name];
+    if (!schema) {
+      throw new Error(`No schema for the path parameter ${name} of ${path}`);
+    }
+    return { name, in: 'path', required: true, schema };
+  }),
+  ...(operation.parameters || []).map(parameter => {
+    if (typeof parameter !== 'string') {
+      return { in: 'query', ...parameter };
+    }
+    if (!shared[parameter]) {
+      throw new Error(`Unknown parameter ${parameter} in ${path}`);
+    }
+    return { $ref: `#/components/parameters/${parameter}` };
+  })
+];
+
+const buildResponse = (status, response) => {
+  if (typeof response === 'string') {
+    return { $ref: `#/components/responses/${response}` };
+  }
+
+  const { description, schema, formats, content } = response;
+  const built = { description };
+  if (Number(status) < 400) {
+    built.headers = headerRefs(RATE_LIMIT_HEADERS);
+  }
+  if (content || schema) {
+    built.content = content || { 'application/json': { schema } };
+  }
+  if (formats) {
+    // The export formats of ?format= and the Accept header
+    Object.values(FORMATS)
+      .filter(({ contentType }) => !built.content[contentType])
+      .forEach(({ contentType }) => {
+        built.content[contentType] = { schema: { type: 'string' } };
+      });
+  }
+  return built;
+};
+
+const buildOperation = (route, shared) => {
+  const { path, operation, handlers } = route;
+  const admin = handlers.includes(requireAdmin);
+  const idempotent = handlers.some(handler => handler.idempotent);
+  const parameters = buildParameters(route, shared);
+  if (idempotent) {
+    parameters.push({ $ref: '#/components/parameters/idempotency_key' });
+  }
+
+  const description = [operation.description];
+  if (admin) {
+    description.push('Needs the admin role: an admin API key or the ADMIN_TOKEN.');
+  }
+  if (handlers.some(handler => handler.chargesCharacters)) {
+    description.push('The characters generated count toward the API key\'s daily character quota.');
+  }
+  if (operation.examples) {
+    description.push(`Examples:\n${operation.examples.map(example => `- \`${example}\``).join('\n')}`);
+  }
+
+  const responses = {};
+  Object.entries(operation.responses).forEach(([status, response]) => {
+    responses[status] = buildResponse(status, response);
+  });
+  const addResponse = (status, name) => {
+    if (!responses[status]) {
+      responses[status] = { $ref: `#/components/responses/${name}` };
+    }
+  };
+  if (parameters.length > 0 || operation.body) addResponse(400, 'BadRequest');
+  addResponse(401, 'Unauthorized');
+  if (admin) addResponse(403, 'Forbidden');
+  if (pathParameterNames(path).includes('id')) addResponse(404, 'NotFound');
+  if (idempotent) {
+    addResponse(409, 'IdempotencyInProgress');
+    addResponse(422, 'IdempotencyKeyReused');
+  }
+  addResponse(429, 'TooManyRequests');
+  if (handlers.includes(requireStorage)) addResponse(503, 'StorageDisabled');
+
+  const built = {
+    operationId: operation.operationId,
+    summary: operation.summary,
+    description: description.filter(Boolean).join('\n\n') || undefined,
+    tags: operation.tags,
+    parameters: parameters.length > 0 ? parameters : undefined
+  };
+  if (operation.body) {
+    built.requestBody = {
+      required: operation.body.required !== false,
+      content: { 'application/json': { schema: operation.body.schema, example: operation.body.example } }
+    };
+  }
+  built.responses = Object.fromEntries(Object.entries(responses).sort(([a], [b]) => Number(a) - Number(b)));
+  if (admin) {
+    built.security = [{ ApiKeyHeader: [] }, { BearerAuth: [] }];
+  }
+  return built;
+};
+
+// Every documented route of the given routers, in the order they were added
+const listRoutes = (routers) => routers.flatMap(router => router.operations);
+
+/**
+ * The OpenAPI document for the routes of `routers`, mounted at `basePath`
+ */
+const buildOpenApiDocument = (routers, { basePath }) => {
+  const components = buildComponents();
+  const paths = {};
+  const tags = new Set();
+
+  listRoutes(routers).forEach(route => {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(route, components.parameters);
+    (route.operation.tags || []).forEach(tag => tags.add(tag));
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Fictional Profile Generation API',
+      version: packageVersion,
+      description: 'Generates fictional characters for fixtures and test data. '
+        + 'Send an API key as X-API-Key or a bearer token; without one, requests are anonymous and get lower limits. '
+        + 'Every response reports the request limit in RateLimit-* headers.'
+    },
+    servers: [{ url: basePath }],
+    security: [{}, { ApiKeyHeader: [] }, { BearerAuth: [] }],
+    tags: [...tags].map(name => ({ name, description: TAGS[name] })),
+    paths,
+    components
+  };
+};
+
+/**
+ * The routes as listed by the root endpoint:
+ * [{ method, url, summary, parameters }] with the parameters' names
+ */
+const listEndpoints = (routers, { basePath }) => {
+  const shared = getParameters();
+  return listRoutes(routers).map(({ method, path, operation }) => ({
+    method: method.toUpperCase(),
+    url: `${basePath}${toOpenApiPath(path)}`,
+    summary: operation.summary,
+    parameters: (operation.parameters || []).map(parameter => (
+      typeof parameter === 'string' ? shared[parameter].name : parameter.name
+    ))
+  }));
+};
+
+module.exports = {
+  buildOpenApiDocument,
+  listEndpoints
+};
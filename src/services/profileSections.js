@@ -0,0 +1,295 @@
+const { splitName } = require('./locales');
+
+// Optional parts of a character requested with ?include=, keyed by their
+// include name. `property` is where the section sits on the character,
+// `fields` the keys of its object (or of every entry, for `list` sections)
+// and `table` where the SQL drivers and the SQL export keep it.
+const PROFILE_SECTIONS = {
+  contact: { property: 'contact', table: 'character_contacts', fields: ['email', 'phone'] },
+  address: {
+    property: 'address',
+    table: 'character_addresses',
+    fields: ['street', 'city', 'region', 'postal_code', 'country']
+  },
+  education: {
+    property: 'education_history',
+    table: 'character_education',
+    list: true,
+    fields: ['level', 'institution', 'graduation_year']
+  },
+  employment: {
+    property: 'employment_history',
+    table: 'character_employment',
+    list: true,
+    fields: ['title', 'employer', 'start_year', 'end_year']
+  },
+  social: {
+    property: 'social_profiles',
+    table: 'character_social_profiles',
+    list: true,
+    fields: ['network', 'handle', 'url']
+  }
+};
+
+// Social networks are made up and live under the reserved .example domain
+const SOCIAL_NETWORKS = [
+  { network: 'Chirp', url: 'https://chirp.example/@{handle}', min_age: 13 },
+  { network: 'Snapshot', url: 'https://snapshot.example/{handle}', min_age: 13 },
+  { network: 'LinkUp', url: 'https://linkup.example/in/{handle}', min_age: 18 }
+];
+
+// Below this age a character has no email, phone or social profiles
+const MIN_CONTACT_AGE = 13;
+
+const NOT_WORKING = ['Student', 'Retiree'];
+
+const listSections = () => Object.keys(PROFILE_SECTIONS);
+
+const isProfileSection = (name) => Object.prototype.hasOwnProperty.call(PROFILE_SECTIONS, name);
+
+// "address,contact" or ['address', 'contact'] -> ['contact', 'address'];
+// unknown names are dropped, so validate the request first
+const parseInclude = (include) => {
+  if (include === undefined || include === null || include === '') {
+    return [];
+  }
+  const names = (Array.isArray(include) ? include : String(include).split(',')).map(name => String(name).trim());
+  return listSections().filter(name => names.includes(name));
+};
+
+// Replace every # in a pattern with a random digit
+const fillDigits = (rng, pattern) => pattern.replace(/#/g, () => String(rng.randomInt(0, 9)));
+
+// Replace every run of #s with a number of that many digits and no leading
+// zero, e.g. house and block numbers: "#-##" -> "3-14"
+const fillNumbers = (rng, pattern) => pattern.replace(/#+/g, run => String(
+  rng.randomInt(run.length === 1 ? 1 : 10 ** (run.length - 1), 10 ** run.length - 1)
+));
+
+const fillTemplate = (template, values) => template.replace(/\{(\w+)\}/g, (token, key) => (
+  values[key] !== undefined ? values[key] : token
+));
+
+// Lower-case ASCII for emails and handles: "José dela Cruz" -> "jose", "delacruz"
+const asciiSlug = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+// A username built from the character's name, e.g. maria.santos or msantos87
+const username = (rng, character, localeCode) => {
+  const { given, family } = splitName(character.name, localeCode);
+  const first = asciiSlug(given) || 'user';
+  const last = asciiSlug(family) || asciiSlug(character.name);
+  const birthYear = String(character.referenceYear - character.age);
+  const styles = [
+    () => `${first}.${last}`,
+    () => `${first}${last}`,
+    () => `${first}_${last}${birthYear.slice(-2)}`,
+    () => `${first.charAt(0)}${last}${rng.randomInt(1, 99)}`,
+    () => `${first}${rng.randomInt(100, 999)}`
+  ];
+  return rng.randomChoice(styles)();
+};
+
+// A region and one of its cities from the pack's address data
+const pickPlace = (rng, address) => {
+  const region = rng.randomChoice(address.regions);
+  return { region, city: rng.randomChoice(region.cities) };
+};
+
+const generateContact = (rng, profile, character, localeCode) => {
+  if (character.age < MIN_CONTACT_AGE) {
+    return { email: null, phone: null };
+  }
+  return {
+    email: `${username(rng, character, localeCode)}@${rng.randomChoice(profile.email_domains)}`,
+    phone: fillDigits(rng, rng.randomChoice(profile.phone_patterns))
+  };
+};
+
+const generateAddress = (rng, profile) => {
+  const { address } = profile;
+  const { region, city } = pickPlace(rng, address);
+  return {
+    street: fillTemplate(address.street_format, {
+      number: fillNumbers(rng, rng.randomChoice(address.number_patterns)),
+      street: rng.randomChoice(address.streets)
+    }),
+    city: city.city,
+    region: region.region,
+    postal_code: fillDigits(rng, city.postal_code),
+    country: address.country
+  };
+};
+
+// The levels that lead up to `education`, first one first, following each
+// level's `after`
+const educationChain = (levels, education) => {
+  const chain = [];
+  let level = education;
+  while (level && levels[level] && !chain.includes(level)) {
+    chain.unshift(level);
+    level = levels[level].after;
+  }
+  return chain;
+};
+
+// Schools attended, each finished at the level's graduation_age. Minors list
+// the school stages (levels with `from_age`) they have reached, the current
+// one with the year they are due to graduate.
+const generateEducationHistory = (rng, profile, character) => {
+  const { levels } = profile.schools;
+  const birthYear = character.referenceYear - character.age;
+  const place = pickPlace(rng, profile.address);
+  const school = (level) => fillTemplate(rng.randomChoice(levels[level].institutions), {
+    city: place.city.city,
+    region: place.region.region
+  });
+
+  if (character.age < 18 && !character.education) {
+    return Object.keys(levels)
+      .filter(level => levels[level].from_age !== undefined && levels[level].from_age <= character.age)
+      .sort((a, b) => levels[a].from_age - levels[b].from_age)
+      .map(level => ({
+        level,
+        institution: school(level),
+        graduation_year: birthYear + levels[level].graduation_age
+      }));
+  }
+
+  const history = educationChain(levels, character.education).map(level => ({
+    level,
+    institution: school(level),
+    graduation_year: birthYear + levels[level].graduation_age
+  }));
+
+  // Nobody graduates in the future: someone younger than the usual age for
+  // their level finished this year, and each earlier level at least a year
+  // before the next
+  let latest = character.referenceYear;
+  for (let i = history.length - 1; i >= 0; i--) {
+    history[i].graduation_year = Math.min(history[i].graduation_year, latest);
+    latest = history[i].graduation_year - 1;
+  }
+  return history;
+};
+
+// Employers for a job title: the first group listing it, else the catch-all group
+const employersFor = (employment, title) => {
+  const group = employment.employers.find(g => g.occupations && g.occupations.includes(title))
+    || employment.employers.find(g => !g.occupations);
+  return group.names;
+};
+
+// Jobs from the end of school up to the current occupation, which is still
+// held (end_year null). Retirees' history ends at their retirement.
+const generateEmploymentHistory = (rng, profile, rules, character) => {
+  if (character.age < 18 || character.occupation === 'Student') {
+    return [];
+  }
+
+  const { employment, schools } = profile;
+  const birthYear = character.referenceYear - character.age;
+  const lastLevel = character.education && schools.levels[character.education];
+  const startAge = Math.max(18, lastLevel ? lastLevel.graduation_age : 18);
+  const retired = character.occupation === 'Retiree';
+
+  let title = character.occupation;
+  let endYear = character.referenceYear;
+  if (retired) {
+    const fitting = Object.entries(rules.occupations)
+      .filter(([occupation, rule]) => !NOT_WORKING.includes(occupation)
+        && (!rule.education || !character.education || rule.education.includes(character.education)))
+      .map(([occupation]) => occupation);
+    title = rng.randomChoice(fitting);
+    endYear = Math.min(character.referenceYear, birthYear + rng.randomInt(60, 67));
+  }
+  const startYear = Math.min(endYear, birthYear + startAge + rng.randomInt(0, 1));
+
+  // Up to four jobs, one more for every five years or so of working life
+  const span = endYear - startYear;
+  const count = 1 + rng.randomInt(0, Math.min(3, Math.floor(span / 5)));
+  const changes = rng.randomSample(Array.from({ length: span }, (_, i) => startYear + i + 1), count - 1)
+    .sort((a, b) => a - b);
+  const starts = [startYear, ...changes];
+
+  // Half of those with more than one job started out in an entry-level one,
+  // which they left within a few years
+  const titles = starts.map(() => title);
+  if (count > 1 && rng.randomInt(0, 1) === 0) {
+    titles[0] = rng.randomChoice(employment.entry_titles);
+    starts[1] = Math.min(starts[1], startYear + rng.randomInt(1, 4));
+  }
+
+  // A job change keeps the title but moves to another employer
+  let previous = null;
+  return starts.map((start, i) => {
+    const last = i === starts.length - 1;
+    const selfEmployed = last && employment.self_employed.includes(title);
+    const names = employersFor(employment, titles[i]);
+    const others = names.filter(name => name !== previous);
+    previous = selfEmployed ? 'Self-employed' : rng.randomChoice(others.length > 0 ? others : names);
+    return {
+      title: titles[i],
+      employer: previous,
+      start_year: start,
+      end_year: last ? (retired ? endYear : null) : starts[i + 1]
+    };
+  });
+};
+
+const generateSocialProfiles = (rng, character, localeCode) => {
+  const networks = SOCIAL_NETWORKS.filter(network => character.age >= network.min_age);
+  if (networks.length === 0) {
+    return [];
+  }
+  return rng.randomSample(networks, rng.randomInt(1, networks.length))
+    .sort((a, b) => SOCIAL_NETWORKS.indexOf(a) - SOCIAL_NETWORKS.indexOf(b))
+    .map(({ network, url }) => {
+      const handle = username(rng, character, localeCode);
+      return { network, handle, url: fillTemplate(url, { handle }) };
+    });
+};
+
+/**
+ * The requested sections for a character ({ name, age, occupation,
+ * education }), keyed by property. Each section draws from `generator`'s
+ * derived sequence for its name, so adding a section never changes the rest
+ * of the character or the other sections. Years count back from the pack's
+ * `reference_year` rather than the current one, so seeded sections stay the
+ * same from one year to the next; moving it on needs a new generator version.
+ */
+const generateProfileSections = (generator, locale, character, include) => {
+  const sections = parseInclude(include);
+  if (sections.length === 0) {
+    return {};
+  }
+  if (!locale.profile) {
+    throw new Error(`Profile sections are not available in generator version ${generator.version}`);
+  }
+
+  const subject = { ...character, referenceYear: locale.profile.reference_year };
+  const build = {
+    contact: (rng) => generateContact(rng, locale.profile, subject, locale.code),
+    address: (rng) => generateAddress(rng, locale.profile),
+    education: (rng) => generateEducationHistory(rng, locale.profile, subject),
+    employment: (rng) => generateEmploymentHistory(rng, locale.profile, locale.rules, subject),
+    social: (rng) => generateSocialProfiles(rng, subject, locale.code)
+  };
+
+  const result = {};
+  sections.forEach(name => {
+    result[PROFILE_SECTIONS[name].property] = build[name](generator.derive(name));
+  });
+  return result;
+};
+
+module.exports = {
+  PROFILE_SECTIONS,
+  listSections,
+  isProfileSection,
+  parseInclude,
+  generateProfileSections
+};
@@ -0,0 +1,157 @@
+const ApiKey = require('../models/ApiKey');
+
+// Per-client quotas: requests per minute and generated characters per UTC
+// day. A client (req.auth, see middleware/authenticate) is an API key, the
+// ADMIN_TOKEN, which has no limits, or an anonymous caller identified by IP.
+// Request windows are kept in this process; daily character counts of API
+// keys are stored with the key so they survive restarts, while anonymous
+// ones are kept in this process too.
+
+const WINDOW_SECONDS = 60;
+
+// Environment variables with the default limits, and their fallbacks; 0
+// turns a limit off. A key's own quota overrides the key default.
+const DEFAULT_LIMITS = {
+  key: {
+    requests_per_minute: ['DEFAULT_REQUESTS_PER_MINUTE', 120],
+    characters_per_day: ['DEFAULT_CHARACTERS_PER_DAY', 100000]
+  },
+  anonymous: {
+    requests_per_minute: ['ANONYMOUS_REQUESTS_PER_MINUTE', 30],
+    characters_per_day: ['ANONYMOUS_CHARACTERS_PER_DAY', 1000]
+  }
+};
+
+const envLimit = ([name, fallback]) => {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * The limits that apply to a client as { requests_per_minute,
+ * characters_per_day }, null meaning unlimited.
+ */
+const limitsFor = (auth) => {
+  if (auth.type === 'admin_token') {
+    return { requests_per_minute: null, characters_per_day: null };
+  }
+
+  const defaults = DEFAULT_LIMITS[auth.type === 'key' ? 'key' : 'anonymous'];
+  const limit = (name) => {
+    const own = auth.key ? auth.key[name] : null;
+    const value = own !== null && own !== undefined ? own : envLimit(defaults[name]);
+    return value > 0 ? value : null;
+  };
+  return {
+    requests_per_minute: limit('requests_per_minute'),
+    characters_per_day: limit('characters_per_day')
+  };
+};
+
+// client -> { start, count } for the current minute
+const windows = new Map();
+
+/**
+ * Count a request against the client's per-minute limit. Returns null when
+ * it has none, else { allowed, limit, remaining, reset } with reset in
+ * seconds until the window ends.
+ */
+const consumeRequest = (auth, now = Date.now()) => {
+  const { requests_per_minute: limit } = limitsFor(auth);
+  if (!limit) {
+    return null;
+  }
+
+  const windowMs = WINDOW_SECONDS * 1000;
+  const start = now - (now % windowMs);
+  let window = windows.get(auth.client);
+  if (!window || window.start !== start) {
+    // Forget clients whose window has ended, so the map only holds active ones
+    if (windows.size > 10000) {
+      windows.forEach((entry, client) => {
+        if (entry.start !== start) windows.delete(client);
+      });
+    }
+    window = { start, count: 0 };
+    windows.set(auth.client, window);
+  }
+  window.count++;
+
+  return {
+    allowed: window.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - window.count),
+    reset: Math.ceil((start + windowMs - now) / 1000)
+  };
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const secondsUntilTomorrow = () => {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime()) / 1000);
+};
+
+// Characters generated today by anonymous clients, by client
+let anonymousUsage = { day: today(), characters: new Map() };
+
+const anonymousCharacters = () => {
+  if (anonymousUsage.day !== today()) {
+    anonymousUsage = { day: today(), characters: new Map() };
+  }
+  return anonymousUsage.characters;
+};
+
+const charactersUsed = async (auth) => {
+  if (auth.type === 'key') {
+    return (await ApiKey.getUsage(auth.key.id)).characters;
+  }
+  return anonymousCharacters().get(auth.client) || 0;
+};
+
+/**
+ * Check whether a client may generate `count` more characters today.
+ * Returns { allowed } and, when it has a daily limit, { limit, used,
+ * remaining, retry_after } with retry_after in seconds until the next UTC day.
+ */
+const checkCharacters = async (auth, count) => {
+  const { characters_per_day: limit } = limitsFor(auth);
+  if (!limit) {
+    return { allowed: true };
+  }
+
+  const used = await charactersUsed(auth);
+  return {
+    allowed: used + count <= limit,
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    retry_after: secondsUntilTomorrow()
+  };
+};
+
+// Add generated characters to the client's usage for today
+const recordCharacters = async (auth, count) => {
+  if (auth.type === 'key') {
+    await ApiKey.addUsage(auth.key.id, { characters: count });
+  } else if (auth.type === 'anonymous') {
+    const usage = anonymousCharacters();
+    usage.set(auth.client, (usage.get(auth.client) || 0) + count);
+  }
+};
+
+// Add a request to an API key's usage for today
+const recordRequest = async (auth) => {
+  if (auth.type === 'key') {
+    await ApiKey.addUsage(auth.key.id, { requests: 1 });
+  }
+};
+
+module.exports = {
+  WINDOW_SECONDS,
+  limitsFor,
+  consumeRequest,
+  checkCharacters,
+  recordCharacters,
+  recordRequest
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+// Random sources. A source is a function returning a float in [0, 1), like
+// Math.random; CharacterGenerator draws everything through one. Seeded
+// algorithms must give the same sequence for a seed on every platform and
+// Node version, since stored seeds are replayed from them.
+
+const UINT32 = 4294967296;
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+// Mulberry32 on a 32-bit FNV-1a hash of the seed; generator versions 1-4
+const mulberry32 = (seed) => {
+  let h = 0x811c9dc5;
+  const strSeed = String(seed);
+  for (let i = 0; i < strSeed.length; i++) {
+    h ^= strSeed.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+
+  let a = h >>> 0;
+  return () => {
+    a += 0x6D2B79F5;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = t + Math.imul(t ^ (t >>> 7), 61 | t) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+  };
+};
+
+// xoshiro128** with its 128-bit state taken from the SHA-256 of the seed, so
+// similar seeds don't start from similar states
+const xoshiro128ss = (seed) => {
+  const digest = crypto.createHash('sha256').update(String(seed)).digest();
+  let s0 = digest.readUInt32LE(0);
+  let s1 = digest.readUInt32LE(4);
+  let s2 = digest.readUInt32LE(8);
+  let s3 = digest.readUInt32LE(12);
+  if ((s0 | s1 | s2 | s3) === 0) {
+    s0 = 1; // the all-zero state would only ever produce zeros
+  }
+
+  return () => {
+    const result = Math.imul(rotl(Math.imul(s1, 5), 7), 9) >>> 0;
+    const t = s1 << 9;
+    s2 ^= s0;
+    s3 ^= s1;
+    s1 ^= s2;
+    s0 ^= s3;
+    s2 ^= t;
+    s3 = rotl(s3, 11);
+    return result / UINT32;
+  };
+};
+
+const SEEDED_ALGORITHMS = {
+  mulberry32,
+  'xoshiro128**': xoshiro128ss
+};
+
+const isSeededAlgorithm = (name) => Object.prototype.hasOwnProperty.call(SEEDED_ALGORITHMS, name);
+
+const createSeededRandom = (seed, algorithm) => {
+  if (!isSeededAlgorithm(algorithm)) {
+    throw new Error(`Unknown random algorithm "${algorithm}"; use one of: ${Object.keys(SEEDED_ALGORITHMS).join(', ')}`);
+  }
+  return SEEDED_ALGORITHMS[algorithm](seed);
+};
+
+// Unseeded draws come from the OS CSPRNG, fetched a block at a time and
+// shared by every unseeded generator
+const cryptoBlock = new Uint32Array(1024);
+let cryptoIndex = cryptoBlock.length;
+
+const cryptoRandom = () => {
+  if (cryptoIndex === cryptoBlock.length) {
+    crypto.randomFillSync(cryptoBlock);
+    cryptoIndex = 0;
+  }
+  return cryptoBlock[cryptoIndex++] / UINT32;
+};
+
+module.exports = {
+  SEEDED_ALGORITHMS,
+  isSeededAlgorithm,
+  createSeededRandom,
+  cryptoRandom
+};
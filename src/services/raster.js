@@ -0,0 +1,194 @@
+const zlib = require('zlib');
+
+// A small software rasteriser for avatar scenes (see avatar.js), so PNGs are
+// drawn locally without an image library. Shapes are filled with the nonzero
+// rule and anti-aliased by sampling four sub-scanlines per pixel row with
+// exact horizontal coverage; ellipses are drawn as polygons fine enough that
+// the difference from a true curve stays under a tenth of a pixel.
+
+const CANVAS = 100;
+const SUBSAMPLES = 4;
+
+const parseColor = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+
+const ellipsePoints = (cx, cy, rx, ry, scale) => {
+  const segments = Math.min(256, Math.max(24, Math.ceil(8 * Math.sqrt(Math.max(rx, ry) * scale))));
+  return Array.from({ length: segments }, (_, i) => {
+    const angle = (2 * Math.PI * i) / segments;
+    return [cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)];
+  });
+};
+
+const shapePoints = (shape, scale) => {
+  const points = shape.type === 'ellipse'
+    ? ellipsePoints(shape.cx, shape.cy, shape.rx, shape.ry, scale)
+    : shape.points;
+  return points.map(([x, y]) => [x * scale, y * scale]);
+};
+
+// Add `weight` of horizontal coverage for the span [from, to) to a row
+const addSpan = (row, from, to, weight) => {
+  const start = Math.max(0, from);
+  const end = Math.min(row.length, to);
+  if (end <= start) return;
+
+  const first = Math.floor(start);
+  const last = Math.floor(end);
+  if (first === last) {
+    row[first] += (end - start) * weight;
+    return;
+  }
+  row[first] += (first + 1 - start) * weight;
+  for (let x = first + 1; x < last; x++) {
+    row[x] += weight;
+  }
+  if (last < row.length) {
+    row[last] += (end - last) * weight;
+  }
+};
+
+// Call visit(x, y, coverage) for every pixel a closed polygon (in pixel
+// coordinates) covers, coverage in (0, 1]
+const fillPolygon = (points, size, visit) => {
+  const edges = points.map((from, i) => [from, points[(i + 1) % points.length]])
+    .filter(([from, to]) => from[1] !== to[1]);
+  if (edges.length === 0) return;
+
+  const ys = points.map(([, y]) => y);
+  const top = Math.max(0, Math.floor(Math.min(...ys)));
+  const bottom = Math.min(size, Math.ceil(Math.max(...ys)));
+  const row = new Float32Array(size);
+
+  for (let y = top; y < bottom; y++) {
+    row.fill(0);
+    let touched = false;
+
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const scanY = y + (s + 0.5) / SUBSAMPLES;
+      const crossings = [];
+      edges.forEach(([[x0, y0], [x1, y1]]) => {
+        if ((y0 <= scanY && y1 > scanY) || (y1 <= scanY && y0 > scanY)) {
+          crossings.push({ x: x0 + ((scanY - y0) * (x1 - x0)) / (y1 - y0), winding: y1 > y0 ? 1 : -1 });
+        }
+      });
+      crossings.sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      let spanStart = 0;
+      crossings.forEach(({ x, winding: step }) => {
+        const inside = winding !== 0;
+        winding += step;
+        if (!inside && winding !== 0) {
+          spanStart = x;
+        } else if (inside && winding === 0) {
+          addSpan(row, spanStart, x, 1 / SUBSAMPLES);
+          touched = true;
+        }
+      });
+    }
+
+    if (touched) {
+      for (let x = 0; x < size; x++) {
+        if (row[x] > 0) visit(x, y, Math.min(1, row[x]));
+      }
+    }
+  }
+};
+
+// Draw a scene into a premultiplied RGBA float buffer
+const rasterise = (scene, size) => {
+  const scale = size / CANVAS;
+  const pixels = new Float32Array(size * size * 4);
+
+  scene.shapes.forEach(shape => {
+    const [r, g, b] = parseColor(shape.fill);
+    const opacity = shape.opacity !== undefined ? shape.opacity : 1;
+    fillPolygon(shapePoints(shape, scale), size, (x, y, coverage) => {
+      const alpha = coverage * opacity;
+      const i = (y * size + x) * 4;
+      pixels[i] = r * alpha + pixels[i] * (1 - alpha);
+      pixels[i + 1] = g * alpha + pixels[i + 1] * (1 - alpha);
+      pixels[i + 2] = b * alpha + pixels[i + 2] * (1 - alpha);
+      pixels[i + 3] = alpha + pixels[i + 3] * (1 - alpha);
+    });
+  });
+
+  if (scene.clip) {
+    const mask = new Float32Array(size * size);
+    const { cx, cy, r } = scene.clip;
+    fillPolygon(shapePoints({ type: 'ellipse', cx, cy, rx: r, ry: r }, scale), size, (x, y, coverage) => {
+      mask[y * size + x] = coverage;
+    });
+    for (let i = 0; i < mask.length; i++) {
+      for (let c = 0; c < 4; c++) {
+        pixels[i * 4 + c] *= mask[i];
+      }
+    }
+  }
+
+  return pixels;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Encode a premultiplied float buffer as an 8-bit RGBA PNG
+const encodePng = (pixels, size) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // colour type: RGBA
+
+  // Each scanline starts with its filter type, 0 (none)
+  const stride = size * 4 + 1;
+  const raw = Buffer.alloc(stride * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = (y * size + x) * 4;
+      const o = y * stride + 1 + x * 4;
+      const alpha = pixels[i + 3];
+      for (let c = 0; c < 3; c++) {
+        raw[o + c] = alpha > 0 ? Math.round(Math.min(1, pixels[i + c] / alpha) * 255) : 0;
+      }
+      raw[o + 3] = Math.round(Math.min(1, alpha) * 255);
+    }
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+const renderPng = (scene, size) => encodePng(rasterise(scene, size), size);
+
+module.exports = {
+  renderPng
+};
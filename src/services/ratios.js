@@ -0,0 +1,85 @@
+// Target proportions for a batch, e.g. "male:0.4,female:0.4,non-binary:0.2".
+// Shares are relative, so "male:2,female:1" is two thirds male.
+
+/**
+ * Parse a ratio string into [{ value, share }] with shares normalised to sum
+ * to 1. Returns { ratio } on success or { error } describing the problem;
+ * `allowed` restricts the values that may appear.
+ */
+const parseRatio = (text, allowed = null) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { error: 'must be a comma-separated list of value:share pairs' };
+  }
+
+  const ratio = [];
+  for (const part of text.split(',')) {
+    const separator = part.lastIndexOf(':');
+    const value = part.slice(0, separator).trim();
+    const share = Number(part.slice(separator + 1));
+
+    if (separator === -1 || value === '' || !Number.isFinite(share) || share < 0) {
+      return { error: `"${part.trim()}" is not a value:share pair with a non-negative share` };
+    }
+    if (allowed && !allowed.includes(value)) {
+      return { error: `${value} is not one of: ${allowed.join(', ')}` };
+    }
+    if (ratio.some(entry => entry.value === value)) {
+      return { error: `${value} appears more than once` };
+    }
+    ratio.push({ value, share });
+  }
+
+  const total = ratio.reduce((sum, entry) => sum + entry.share, 0);
+  if (total <= 0) {
+    return { error: 'at least one share must be greater than 0' };
+  }
+
+  return { ratio: ratio.map(entry => ({ value: entry.value, share: entry.share / total })) };
+};
+
+/**
+ * Split `count` into whole numbers that follow the ratio as closely as
+ * possible and add up to exactly `count` (largest remainder method; ties go
+ * to the value listed first).
+ */
+const allocate = (count, ratio) => {
+  const exact = ratio.map(entry => entry.share * count);
+  const counts = exact.map(Math.floor);
+  let remaining = count - counts.reduce((sum, n) => sum + n, 0);
+
+  exact
+    .map((value, i) => ({ i, remainder: value - counts[i] }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i)
+    .forEach(({ i }) => {
+      if (remaining > 0) {
+        counts[i]++;
+        remaining--;
+      }
+    });
+
+  return ratio.map((entry, i) => ({ value: entry.value, count: counts[i] }));
+};
+
+/**
+ * One value per batch position, with exactly the allocated number of each,
+ * shuffled (Fisher-Yates) with `rng` so they don't come in runs.
+ */
+const planAssignments = (count, ratio, rng) => {
+  const values = [];
+  allocate(count, ratio).forEach(({ value, count: n }) => {
+    for (let i = 0; i < n; i++) values.push(value);
+  });
+
+  for (let i = values.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [values[i], values[j]] = [values[j], values[i]];
+  }
+
+  return values;
+};
+
+module.exports = {
+  parseRatio,
+  allocate,
+  planAssignments
+};
@@ -0,0 +1,203 @@
+const CharacterGenerator = require('./characterGenerator');
+const { getVersionedLocale } = require('./generatorVersions');
+
+const MAX_SPOUSE_AGE_GAP = 8;
+const MIN_PARENT_AGE_AT_BIRTH = 18;
+const MAX_PARENT_AGE_AT_BIRTH = 42;
+
+// Rough height for a growing child, so a 6-year-old isn't 190 cm tall
+const childHeight = (age, rng) => Math.round(
+  (age < 2 ? 50 + age * 25 : age <= 16 ? 75 + age * 6 : 165) + rng.randomInt(-5, 5)
+);
+
+// Surnames for everyone in a family, following the locale's convention:
+// "shared" gives the whole family the father's surname; "paternal_maternal"
+// (e.g. es-MX) keeps each spouse's own surnames and gives children the father's
+// first surname followed by the mother's first surname
+const familySurnames = (locale, rng) => {
+  const rule = locale.naming.family_surnames || 'shared';
+  const count = locale.naming.surname_count || 1;
+  const roll = () => Array.from({ length: count }, () => rng.pickName(locale, 'surnames'));
+
+  if (rule === 'paternal_maternal') {
+    const father = roll();
+    const mother = roll();
+    return {
+      father,
+      mother,
+      child: [father[0], mother[0]],
+      grandparent: [father[0], rng.pickName(locale, 'surnames')]
+    };
+  }
+
+  const shared = roll();
+  return { father: shared, mother: shared, child: shared, grandparent: shared };
+};
+
+/**
+ * Plan a family of `size` members: one or two parents, children with plausible
+ * age gaps and, in larger families, sometimes a paternal grandparent.
+ * Returns member specs (generate options plus a role) and typed edges between
+ * member indexes. `rng` is a CharacterGenerator used only for the structure.
+ */
+const planFamily = (size, locale, rng) => {
+  const surnames = familySurnames(locale, rng);
+  const members = [];
+  const edges = [];
+
+  if (size === 1) {
+    members.push({ role: 'parent', options: { age: rng.randomInt(25, 60), surnames: surnames.father } });
+    return { members, edges };
+  }
+
+  const hasGrandparent = size >= 5 && rng.rng() < 0.5;
+  const childCount = size - 2 - (hasGrandparent ? 1 : 0);
+
+  // Parents must be old enough to have had every child after turning 18
+  const minParentAge = childCount > 0 ? MIN_PARENT_AGE_AT_BIRTH + childCount : 22;
+  const fatherAge = rng.randomInt(Math.max(minParentAge, 25), 60);
+  const motherAge = Math.max(minParentAge, Math.min(75, fatherAge + rng.randomInt(-MAX_SPOUSE_AGE_GAP, 3)));
+
+  members.push({ role: 'parent', options: { gender: 'male', age: fatherAge, surnames: surnames.father } });
+  members.push({ role: 'parent', options: { gender: 'female', age: motherAge, surnames: surnames.mother } });
+  edges.push({ from: 0, to: 1, type: 'spouse' });
+
+  if (hasGrandparent) {
+    const grandparentAge = Math.min(100, fatherAge + rng.randomInt(20, 35));
+    members.push({
+      role: 'grandparent',
+      options: { gender: rng.randomChoice(['male', 'female']), age: grandparentAge, surnames: surnames.grandparent }
+    });
+    edges.push({ from: members.length - 1, to: 0, type: 'parent' });
+  }
+
+  // Oldest child first, born while the parents were 18-42; each sibling is
+  // 1-5 years younger (or a twin where the mother's age leaves no room), and
+  // every child is at least 1 year old
+  const youngestParent = Math.min(fatherAge, motherAge);
+  const children = [];
+  let age = rng.randomInt(
+    Math.max(childCount, motherAge - MAX_PARENT_AGE_AT_BIRTH),
+    youngestParent - MIN_PARENT_AGE_AT_BIRTH
+  );
+
+  for (let i = 0; i < childCount; i++) {
+    if (i > 0) {
+      age = Math.max(childCount - i, motherAge - MAX_PARENT_AGE_AT_BIRTH, age - rng.randomInt(1, 5));
+    }
+
+    const options = { age, surnames: surnames.child };
+    if (age < 18) {
+      // From v7 the generator picks an occupation that suits the child's age
+      if (rng.version < 7) {
+        options.occupation = 'Student';
+      }
+      options.height_cm = childHeight(age, rng);
+    }
+
+    members.push({ role: 'child', options });
+    children.push(members.length - 1);
+  }
+
+  children.forEach((child, i) => {
+    edges.push({ from: 0, to: child, type: 'parent' });
+    edges.push({ from: 1, to: child, type: 'parent' });
+    if (hasGrandparent) {
+      edges.push({ from: 2, to: child, type: 'grandparent' });
+    }
+    children.slice(i + 1).forEach(sibling => {
+      edges.push({ from: child, to: sibling, type: 'sibling' });
+    });
+  });
+
+  return { members, edges };
+};
+
+/**
+ * Plan a social circle around one person: friends of a similar age and
+ * coworkers who share the person's occupation. Friends know each other with
+ * some probability; coworkers all know each other.
+ */
+const planSocialCircle = (size, locale, rng) => {
+  const centerAge = rng.randomInt(20, 60);
+  // From v3 the shared occupation has to suit the center's age, and so do the coworkers' ages
+  const occupation = rng.version >= 3
+    ? rng.pick(locale, 'occupations', rng.occupationsForAge(locale, centerAge))
+    : rng.randomChoice(locale.occupations);
+  const coworkerAges = rng.version >= 3 ? rng.occupationAgeRange(locale.rules, occupation) : { min: 18, max: 80 };
+
+  const members = [{ role: 'self', options: { age: centerAge, occupation } }];
+  const edges = [];
+  const friends = [];
+  const coworkers = [];
+
+  for (let i = 1; i < size; i++) {
+    const isCoworker = rng.rng() < 0.4;
+    const age = Math.max(18, Math.min(80, centerAge + rng.randomInt(-10, 10)));
+
+    if (isCoworker) {
+      const coworkerAge = Math.max(coworkerAges.min, Math.min(coworkerAges.max, age));
+      members.push({ role: 'coworker', options: { age: coworkerAge, occupation } });
+      edges.push({ from: 0, to: i, type: 'coworker' });
+      coworkers.push(i);
+    } else {
+      members.push({ role: 'friend', options: { age } });
+      edges.push({ from: 0, to: i, type: 'friend' });
+      friends.push(i);
+    }
+  }
+
+  friends.forEach((friend, i) => {
+    friends.slice(i + 1).forEach(other => {
+      if (rng.rng() < 0.3) {
+        edges.push({ from: friend, to: other, type: 'friend' });
+      }
+    });
+  });
+  coworkers.forEach((coworker, i) => {
+    coworkers.slice(i + 1).forEach(other => {
+      edges.push({ from: coworker, to: other, type: 'coworker' });
+    });
+  });
+
+  return { members, edges };
+};
+
+const PLANNERS = {
+  family: planFamily,
+  social_circle: planSocialCircle
+};
+
+// Members in a group, including its center, when not given and at most
+const GROUP_SIZES = {
+  family: { default: 4, max: 12 },
+  social_circle: { default: 6, max: 30 }
+};
+
+/**
+ * Generate a connected group of characters. Seeded groups are deterministic:
+ * the structure comes from `${seed}_${kind}` and member i from `${seed}_${kind}_${i}`.
+ * Returns { members: [{ role, character }], edges: [{ from, to, type }] } with
+ * edges pointing at member indexes.
+ */
+const generateGroup = (kind, { size, seed = null, version, locale: localeCode }) => {
+  const locale = getVersionedLocale(localeCode, version);
+  const rng = new CharacterGenerator(seed ? `${seed}_${kind}` : null, version);
+  const { members, edges } = PLANNERS[kind](size, locale, rng);
+
+  return {
+    members: members.map((member, i) => {
+      const generator = new CharacterGenerator(seed ? `${seed}_${kind}_${i}` : null, version);
+      return {
+        role: member.role,
+        character: generator.generate({ ...member.options, locale: locale.code })
+      };
+    }),
+    edges
+  };
+};
+
+module.exports = {
+  GROUP_SIZES,
+  generateGroup
+};
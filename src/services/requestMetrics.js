@@ -0,0 +1,224 @@
+const RequestMetric = require('../models/RequestMetric');
+const ApiKey = require('../models/ApiKey');
+const { getStorage } = require('../storage');
+const { METRIC_COUNTER_COLUMNS } = require('../storage/rows');
+
+// Request metrics for /stats. Each finished request is added to a counter for
+// its hour, endpoint, status and client; the counters are kept in this
+// process and written to storage every METRICS_FLUSH_SECONDS (default 10)
+// and before /stats reads them. Without storage nothing is recorded.
+
+const INTERVALS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Longest series /stats returns, e.g. about six weeks of hours
+const MAX_SERIES_BUCKETS = 1000;
+
+// Most values /stats lists per category of stored characters with ?top=
+const MAX_TOP_VALUES = 50;
+
+const FLUSH_SECONDS = parseInt(process.env.METRICS_FLUSH_SECONDS) || 10;
+
+// Start of the UTC hour or day a time falls in
+const bucketStart = (date, interval = 'hour') => new Date(date.getTime() - (date.getTime() % INTERVALS[interval]));
+
+let pending = new Map();
+let flushTimer = null;
+
+const addCounters = (into, row) => {
+  METRIC_COUNTER_COLUMNS.forEach(column => {
+    into[column] += row[column];
+  });
+};
+
+const merge = (rows) => {
+  rows.forEach(row => {
+    const key = [row.bucket.getTime(), row.method, row.route, row.status, row.client_type, row.api_key_id].join('|');
+    const counted = pending.get(key);
+    if (counted) {
+      addCounters(counted, row);
+    } else {
+      pending.set(key, { ...row });
+    }
+  });
+};
+
+/**
+ * Write the counters recorded so far to storage
+ */
+const flush = async () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  const rows = [...pending.values()];
+  pending = new Map();
+  if (rows.length === 0 || !getStorage().metrics) {
+    return;
+  }
+
+  try {
+    await RequestMetric.add(rows);
+  } catch (error) {
+    // Keep them for the next attempt
+    console.error('Error saving request metrics:', error.message);
+    merge(rows);
+  }
+};
+
+/**
+ * Count one finished request. `auth` is req.auth (see middleware/authenticate),
+ * missing for requests turned away before the client was known; `route` is
+ * the Express route pattern, or * when the request didn't reach one.
+ */
+const record = ({ method, route, status, auth, duration_ms, characters = 0, seed_cache = null }) => {
+  if (!getStorage().metrics) {
+    return;
+  }
+
+  merge([{
+    bucket: bucketStart(new Date()),
+    method,
+    route: route.slice(0, 191),
+    status,
+    client_type: auth ? auth.type : 'anonymous',
+    api_key_id: auth && auth.key ? auth.key.id : 0,
+    requests: 1,
+    characters,
+    seed_cache_hits: seed_cache === 'hit' ? 1 : 0,
+    seed_cache_misses: seed_cache === 'miss' ? 1 : 0,
+    duration_ms: Math.round(duration_ms)
+  }]);
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(flush, FLUSH_SECONDS * 1000);
+    flushTimer.unref();
+  }
+};
+
+const emptyCounters = () => Object.fromEntries(METRIC_COUNTER_COLUMNS.map(column => [column, 0]));
+
+// Add a row to the entry for `key` in a Map of totals, plus its errors
+const tally = (totals, key, row, fields = {}) => {
+  if (!totals.has(key)) {
+    totals.set(key, { ...fields, ...emptyCounters(), errors: 0 });
+  }
+  const entry = totals.get(key);
+  addCounters(entry, row);
+  if (row.status >= 400) {
+    entry.errors += row.requests;
+  }
+};
+
+const averageDuration = ({ duration_ms, requests }) => (requests > 0 ? Math.round(duration_ms / requests) : null);
+
+const describeClient = (entry, keyNames) => {
+  if (entry.client_type !== 'key') {
+    return { client: entry.client_type, api_key_id: null, name: null };
+  }
+  return { client: 'key', api_key_id: entry.api_key_id, name: keyNames.get(entry.api_key_id) || null };
+};
+
+/**
+ * Sum the metrics for the hours from the start of the `interval` that holds
+ * `from` up to `to`: totals, per endpoint, per status, the seed cache hit
+ * rate and a series with one zero-filled entry per interval. Per-client
+ * totals are only included with `includeClients`, as they name API keys.
+ * Returns null without storage.
+ */
+const summarize = async ({ from, to, interval = 'hour', includeClients = false }) => {
+  if (!getStorage().metrics) {
+    return null;
+  }
+
+  await flush();
+  const start = bucketStart(from, interval);
+  const rows = await RequestMetric.findInRange(start, to);
+
+  const totals = { ...emptyCounters(), errors: 0 };
+  const endpoints = new Map();
+  const statuses = {};
+  const clients = new Map();
+  const series = new Map();
+  for (let time = start.getTime(); time < to.getTime(); time += INTERVALS[interval]) {
+    series.set(time, { start: new Date(time).toISOString(), ...emptyCounters(), errors: 0 });
+  }
+
+  rows.forEach(row => {
+    addCounters(totals, row);
+    if (row.status >= 400) {
+      totals.errors += row.requests;
+    }
+    tally(endpoints, `${row.method} ${row.route}`, row, { method: row.method, route: row.route });
+    statuses[row.status] = (statuses[row.status] || 0) + row.requests;
+    tally(clients, `${row.client_type}:${row.api_key_id}`, row, { client_type: row.client_type, api_key_id: row.api_key_id });
+
+    const point = series.get(bucketStart(row.bucket, interval).getTime());
+    if (point) {
+      addCounters(point, row);
+      if (row.status >= 400) {
+        point.errors += row.requests;
+      }
+    }
+  });
+
+  const byRequests = (a, b) => b.requests - a.requests;
+  const summary = {
+    from: start.toISOString(),
+    to: to.toISOString(),
+    interval,
+    total: {
+      requests: totals.requests,
+      errors: totals.errors,
+      characters: totals.characters,
+      avg_duration_ms: averageDuration(totals)
+    },
+    seed_cache: {
+      hits: totals.seed_cache_hits,
+      misses: totals.seed_cache_misses,
+      hit_rate: totals.seed_cache_hits + totals.seed_cache_misses > 0
+        ? Number((totals.seed_cache_hits / (totals.seed_cache_hits + totals.seed_cache_misses)).toFixed(4))
+        : null
+    },
+    by_endpoint: [...endpoints.values()].sort(byRequests).map(entry => ({
+      method: entry.method,
+      route: entry.route,
+      requests: entry.requests,
+      errors: entry.errors,
+      characters: entry.characters,
+      avg_duration_ms: averageDuration(entry)
+    })),
+    by_status: statuses,
+    series: [...series.values()].map(({ start: bucket, requests, errors, characters }) => ({
+      start: bucket,
+      requests,
+      errors,
+      characters
+    }))
+  };
+
+  if (includeClients) {
+    const keyNames = getStorage().apiKeys
+      ? new Map((await ApiKey.findAll()).map(key => [key.id, key.name]))
+      : new Map();
+    summary.by_client = [...clients.values()].sort(byRequests).map(entry => ({
+      ...describeClient(entry, keyNames),
+      requests: entry.requests,
+      errors: entry.errors,
+      characters: entry.characters
+    }));
+  }
+
+  return summary;
+};
+
+module.exports = {
+  INTERVALS,
+  MAX_SERIES_BUCKETS,
+  MAX_TOP_VALUES,
+  bucketStart,
+  record,
+  flush,
+  summarize
+};
@@ -0,0 +1,109 @@
+const Trait = require('../models/Trait');
+const { TRAIT_CATEGORIES, getLocale } = require('./locales');
+
+// The current generator version draws its trait vocabulary from the trait
+// catalogue in storage rather than straight from the locale packs, so values
+// added, removed or reweighted through the admin API take effect without a
+// deploy. Generation is synchronous, so each locale's catalogue is loaded
+// ahead of time (see middleware/loadTraitCatalogue) and kept for
+// TRAIT_CACHE_TTL seconds; the admin endpoints invalidate it on every change.
+const DEFAULT_TTL_SECONDS = 60;
+
+const cacheTtl = () => {
+  const seconds = parseFloat(process.env.TRAIT_CACHE_TTL);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_TTL_SECONDS) * 1000;
+};
+
+// locale code -> { pack, loadedAt } once loaded, { loading } while loading
+const cache = new Map();
+
+// The locale pack with its trait lists replaced by the catalogue's, which
+// is the pack merged with the stored changes (see models/Trait). Values the
+// pack ships with keep the pack's order, so an untouched catalogue
+// reproduces the pack exactly, and additions follow in the order they were
+// made. Weights come from the catalogue too, except for lists it doesn't
+// hold such as names. A category left empty falls back to the pack's list.
+const overlayPack = (pack, rows) => {
+  const overlaid = { ...pack, weights: { ...pack.weights } };
+
+  Object.entries(TRAIT_CATEGORIES).forEach(([category, key]) => {
+    const categoryRows = rows.filter(row => row.category === category);
+    if (categoryRows.length === 0) {
+      return;
+    }
+
+    const packOrder = (value) => {
+      const index = pack[key].indexOf(value);
+      return index === -1 ? pack[key].length : index;
+    };
+    overlaid[key] = categoryRows
+      .map(row => row.value)
+      .sort((a, b) => packOrder(a) - packOrder(b));
+
+    overlaid.weights[key] = {};
+    categoryRows
+      .filter(row => row.weight !== 1)
+      .forEach(row => {
+        overlaid.weights[key][row.value] = row.weight;
+      });
+  });
+
+  return overlaid;
+};
+
+/**
+ * Make sure the cached catalogue for a locale is no older than the TTL,
+ * reloading it from storage if needed. Concurrent callers share one load.
+ */
+const refresh = async (code) => {
+  const entry = cache.get(code);
+  if (entry && entry.loading) {
+    return entry.loading;
+  }
+  if (entry && entry.pack && Date.now() - entry.loadedAt < cacheTtl()) {
+    return entry.pack;
+  }
+
+  const loading = Trait.findByLocale(code).then(
+    rows => {
+      const pack = overlayPack(getLocale(code), rows);
+      // An invalidation while loading means the rows may be stale already
+      if (cache.get(code) === pending) {
+        cache.set(code, { pack, loadedAt: Date.now() });
+      }
+      return pack;
+    },
+    error => {
+      // Keep serving the previous catalogue, if any, and retry next time
+      if (cache.get(code) === pending) {
+        cache.set(code, { pack: entry && entry.pack, loadedAt: 0 });
+      }
+      throw error;
+    }
+  );
+  const pending = { pack: entry && entry.pack, loadedAt: 0, loading };
+  cache.set(code, pending);
+  return loading;
+};
+
+// Drop the cached catalogue for one locale, or for all of them
+const invalidate = (code) => {
+  if (code) {
+    cache.delete(code);
+  } else {
+    cache.clear();
+  }
+};
+
+// The locale pack as the current generator version sees it: the cached
+// catalogue when one has been loaded, otherwise the pack as shipped
+const getCataloguePack = (code) => {
+  const entry = cache.get(code);
+  return entry && entry.pack ? entry.pack : getLocale(code);
+};
+
+module.exports = {
+  refresh,
+  invalidate,
+  getCataloguePack
+};
@@ -0,0 +1,51 @@
+// Storage drivers. Each one provides the same repositories (characters, jobs,
+// relationships, traits, apiKeys, metrics, idempotencyKeys) so the models don't care where the data lives:
+//   mysql  - the MySQL database from DB_* (default)
+//   sqlite - a single file at SQLITE_PATH, no server needed
+//   memory - kept in the process and lost on restart
+//   none   - nothing is stored; generation still works, stored-data endpoints don't
+const DRIVERS = {
+  mysql: () => require('./mysql'),
+  sqlite: () => require('./sqlite'),
+  memory: () => require('./memory'),
+  none: () => require('./none')
+};
+
+const DEFAULT_DRIVER = 'mysql';
+
+let active = null;
+
+const listDrivers = () => Object.keys(DRIVERS);
+
+/**
+ * Open a new storage instance for a driver. Drivers are only loaded when
+ * asked for, so e.g. the MySQL pool isn't created when running on SQLite.
+ */
+const createStorage = (name = DEFAULT_DRIVER, options = {}) => {
+  if (!Object.prototype.hasOwnProperty.call(DRIVERS, name)) {
+    throw new Error(`Unknown storage driver "${name}"; use one of: ${listDrivers().join(', ')}`);
+  }
+  return DRIVERS[name]().createStorage(options);
+};
+
+// The storage every model uses, chosen by STORAGE_DRIVER on first use
+const getStorage = () => {
+  if (!active) {
+    active = createStorage(process.env.STORAGE_DRIVER || DEFAULT_DRIVER);
+  }
+  return active;
+};
+
+// Swap the active storage, e.g. a fresh one per test file (see test/)
+const useStorage = (storage) => {
+  active = storage;
+  return storage;
+};
+
+module.exports = {
+  DEFAULT_DRIVER,
+  listDrivers,
+  createStorage,
+  getStorage,
+  useStorage
+};
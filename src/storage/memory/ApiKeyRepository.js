@@ -0,0 +1,78 @@
+const UPDATABLE_COLUMNS = ['name', 'role', 'requests_per_minute', 'characters_per_day'];
+
+// Keys are stored with their hash, which is left out of everything returned
+class MemoryApiKeyRepository {
+  constructor(state) {
+    this.state = state;
+  }
+
+  toApiKeyObject(key) {
+    const { key_hash, ...data } = key;
+    return structuredClone(data);
+  }
+
+  async create({ name, key_hash, key_prefix, role, requests_per_minute, characters_per_day }) {
+    const id = ++this.state.lastApiKeyId;
+    this.state.apiKeys.set(id, {
+      id,
+      name,
+      key_hash,
+      key_prefix,
+      role,
+      requests_per_minute,
+      characters_per_day,
+      created_at: new Date(),
+      revoked_at: null
+    });
+    return id;
+  }
+
+  async findById(id) {
+    const key = this.state.apiKeys.get(id);
+    return key ? this.toApiKeyObject(key) : null;
+  }
+
+  async findByHash(keyHash) {
+    const key = [...this.state.apiKeys.values()].find(k => k.key_hash === keyHash);
+    return key ? this.toApiKeyObject(key) : null;
+  }
+
+  async findAll() {
+    return [...this.state.apiKeys.values()].map(key => this.toApiKeyObject(key));
+  }
+
+  async update(id, data) {
+    const key = this.state.apiKeys.get(id);
+    if (!key) {
+      return false;
+    }
+    UPDATABLE_COLUMNS.filter(column => data[column] !== undefined).forEach(column => {
+      key[column] = data[column];
+    });
+    return true;
+  }
+
+  // Only a key that is still active can be revoked
+  async revoke(id) {
+    const key = this.state.apiKeys.get(id);
+    if (!key || key.revoked_at) {
+      return false;
+    }
+    key.revoked_at = new Date();
+    return true;
+  }
+
+  async addUsage(id, day, { requests = 0, characters = 0 }) {
+    const usage = await this.getUsage(id, day);
+    this.state.apiKeyUsage.set(`${id}:${day}`, {
+      requests: usage.requests + requests,
+      characters: usage.characters + characters
+    });
+  }
+
+  async getUsage(id, day) {
+    return { ...(this.state.apiKeyUsage.get(`${id}:${day}`) || { requests: 0, characters: 0 }) };
+  }
+}
+
+module.exports = MemoryApiKeyRepository;
@@ -0,0 +1,136 @@
+const { characterRow, updatedColumns, toCharacterObject, sectionEntries } = require('../rows');
+
+// Stored characters are kept as full character objects; callers get copies
+// so nothing they do to a result changes what is stored
+class MemoryCharacterRepository {
+  constructor(state) {
+    this.state = state;
+  }
+
+  insert(characterData) {
+    const id = ++this.state.lastCharacterId;
+    this.state.characters.set(id, toCharacterObject(
+      { id, ...characterRow(characterData), created_at: new Date() },
+      [...(characterData.personality_traits || [])],
+      [...(characterData.hobbies || [])],
+      sectionEntries(characterData)
+    ));
+    return id;
+  }
+
+  async create(characterData) {
+    return this.insert(characterData);
+  }
+
+  async createMany(charactersData) {
+    return charactersData.map(characterData => this.insert(characterData));
+  }
+
+  async findById(id) {
+    const character = this.state.characters.get(id);
+    return character ? structuredClone(character) : null;
+  }
+
+  // Every stored character for any of the given seeds, oldest first
+  async findBySeeds(seeds, locale, generatorVersion) {
+    return [...this.state.characters.values()]
+      .filter(c => seeds.includes(c.seed) && c.locale === locale && c.generator_version === generatorVersion)
+      .map(c => structuredClone(c));
+  }
+
+  async findAll(filters = {}, { page = 1, limit = 20 } = {}) {
+    const matches = [...this.state.characters.values()].filter(c => {
+      const checks = [];
+
+      ['gender', 'occupation', 'locale', 'generator_version'].forEach(field => {
+        if (filters[field]) checks.push(c[field] === filters[field]);
+      });
+      ['hair_color', 'eye_color', 'build'].forEach(field => {
+        if (filters[field]) checks.push(c.appearance[field] === filters[field]);
+      });
+
+      if (filters.age_min !== undefined) checks.push(c.age >= filters.age_min);
+      if (filters.age_max !== undefined) checks.push(c.age <= filters.age_max);
+      if (filters.trait) checks.push(c.personality_traits.includes(filters.trait));
+      if (filters.hobby) checks.push(c.hobbies.includes(filters.hobby));
+      if (filters.created_from) checks.push(c.created_at >= filters.created_from);
+      if (filters.created_to) checks.push(c.created_at <= filters.created_to);
+
+      return checks.every(Boolean);
+    });
+
+    matches.sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+
+    return {
+      characters: matches.slice((page - 1) * limit, page * limit).map(c => structuredClone(c)),
+      total: matches.length
+    };
+  }
+
+  async update(id, characterData) {
+    const character = this.state.characters.get(id);
+    if (!character) {
+      return false;
+    }
+
+    Object.entries(updatedColumns(characterData)).forEach(([column, value]) => {
+      if (column in character.appearance) character.appearance[column] = value;
+      else character[column] = value;
+    });
+
+    // Lists are replaced wholesale when present
+    if (characterData.personality_traits) {
+      character.personality_traits = [...characterData.personality_traits];
+    }
+    if (characterData.hobbies) {
+      character.hobbies = [...characterData.hobbies];
+    }
+
+    return true;
+  }
+
+  async delete(id) {
+    if (!this.state.characters.delete(id)) {
+      return false;
+    }
+
+    // Same as the ON DELETE CASCADE of the SQL drivers
+    this.state.relationships = this.state.relationships.filter(
+      r => r.character_id !== id && r.related_character_id !== id
+    );
+    return true;
+  }
+
+  // How often each gender and age occurs, and the `top` most common
+  // occupations, personality traits and hobbies, as [{ value, count }]
+  async distributions(top) {
+    const characters = [...this.state.characters.values()];
+    const counts = (values) => {
+      const tally = new Map();
+      values.forEach(value => tally.set(value, (tally.get(value) || 0) + 1));
+      return [...tally].map(([value, count]) => ({ value, count }));
+    };
+    const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+    const mostCommon = (values) => counts(values).sort(byCount).slice(0, top);
+
+    return {
+      total: characters.length,
+      gender: counts(characters.map(c => c.gender)).sort(byCount),
+      age: counts(characters.map(c => c.age)).sort((a, b) => a.value - b.value),
+      occupation: mostCommon(characters.map(c => c.occupation).filter(value => value !== null)),
+      personality_trait: mostCommon(characters.flatMap(c => c.personality_traits)),
+      hobby: mostCommon(characters.flatMap(c => c.hobbies))
+    };
+  }
+
+  async count() {
+    return this.state.characters.size;
+  }
+
+  async deleteAll() {
+    this.state.characters.clear();
+    this.state.relationships = [];
+  }
+}
+
+module.exports = MemoryCharacterRepository;
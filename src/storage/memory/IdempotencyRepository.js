@@ -0,0 +1,51 @@
+const entryKey = (client, idempotencyKey) => JSON.stringify([client, idempotencyKey]);
+
+class MemoryIdempotencyRepository {
+  constructor(state) {
+    this.state = state;
+  }
+
+  // Claim a key for a request, after clearing expired ones. Returns null when
+  // the key is now held for this request, else the response stored for it.
+  async reserve({ client, idempotency_key, request_hash, expires_at }) {
+    const now = new Date();
+    this.state.idempotencyKeys.forEach((entry, key) => {
+      if (entry.expires_at <= now) this.state.idempotencyKeys.delete(key);
+    });
+
+    const key = entryKey(client, idempotency_key);
+    const stored = this.state.idempotencyKeys.get(key);
+    if (stored) {
+      return { ...stored, headers: { ...stored.headers } };
+    }
+    this.state.idempotencyKeys.set(key, {
+      client,
+      idempotency_key,
+      request_hash,
+      status: null,
+      headers: {},
+      body: null,
+      created_at: now,
+      expires_at: new Date(expires_at)
+    });
+    return null;
+  }
+
+  async complete(client, idempotencyKey, { status, headers, body }) {
+    const stored = this.state.idempotencyKeys.get(entryKey(client, idempotencyKey));
+    if (stored) {
+      Object.assign(stored, { status, headers: { ...headers }, body });
+    }
+  }
+
+  // Give up a key whose request didn't produce a response worth replaying
+  async release(client, idempotencyKey) {
+    const key = entryKey(client, idempotencyKey);
+    const stored = this.state.idempotencyKeys.get(key);
+    if (stored && stored.status === null) {
+      this.state.idempotencyKeys.delete(key);
+    }
+  }
+}
+
+module.exports = MemoryIdempotencyRepository;
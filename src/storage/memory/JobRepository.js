@@ -0,0 +1,93 @@
+class MemoryJobRepository {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async create(id, spec, client) {
+    this.state.jobs.set(id, {
+      id,
+      status: 'queued',
+      spec: structuredClone(spec),
+      client,
+      total: spec.count,
+      progress: 0,
+      error: null,
+      created_at: new Date(),
+      started_at: null,
+      finished_at: null,
+      chunks: []
+    });
+  }
+
+  async findById(id) {
+    const job = this.state.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    const { chunks, ...data } = job;
+    return structuredClone(data);
+  }
+
+  // Jobs that still have work to do, oldest first
+  async findUnfinished() {
+    const ids = [...this.state.jobs.values()]
+      .filter(job => ['queued', 'running'].includes(job.status))
+      .map(job => job.id);
+    return Promise.all(ids.map(id => this.findById(id)));
+  }
+
+  async markRunning(id) {
+    const job = this.state.jobs.get(id);
+    if (job) {
+      job.status = 'running';
+      job.started_at = job.started_at || new Date();
+    }
+  }
+
+  // A job cancelled while it was running keeps its cancelled status
+  async markFinished(id, status, error = null) {
+    const job = this.state.jobs.get(id);
+    if (job && job.status === 'running') {
+      Object.assign(job, { status, error, finished_at: new Date() });
+    }
+  }
+
+  // Only queued or running jobs can be cancelled
+  async cancel(id) {
+    const job = this.state.jobs.get(id);
+    if (!job || !['queued', 'running'].includes(job.status)) {
+      return false;
+    }
+
+    Object.assign(job, { status: 'cancelled', finished_at: new Date() });
+    return true;
+  }
+
+  async delete(id) {
+    return this.state.jobs.delete(id);
+  }
+
+  // Store one chunk of output and the progress it brings the job to
+  async appendChunk(id, chunkIndex, content, progress) {
+    const job = this.state.jobs.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} does not exist`);
+    }
+
+    job.chunks[chunkIndex] = content;
+    job.progress = progress;
+  }
+
+  async countChunks(id) {
+    const job = this.state.jobs.get(id);
+    return job ? job.chunks.length : 0;
+  }
+
+  async getChunk(id, chunkIndex) {
+    const job = this.state.jobs.get(id);
+    return (job && job.chunks[chunkIndex]) ?? null;
+  }
+}
+
+module.exports = MemoryJobRepository;
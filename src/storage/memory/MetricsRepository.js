@@ -0,0 +1,36 @@
+const { METRIC_KEY_COLUMNS, METRIC_COUNTER_COLUMNS } = require('../rows');
+
+const rowKey = (row) => JSON.stringify(METRIC_KEY_COLUMNS.map(column => (
+  column === 'bucket' ? row.bucket.getTime() : row[column]
+)));
+
+class MemoryMetricsRepository {
+  constructor(state) {
+    this.state = state;
+  }
+
+  // Add the counters of each row to the stored row with the same key
+  async add(rows) {
+    rows.forEach(row => {
+      const key = rowKey(row);
+      const stored = this.state.requestMetrics.get(key);
+      if (stored) {
+        METRIC_COUNTER_COLUMNS.forEach(column => {
+          stored[column] += row[column];
+        });
+      } else {
+        this.state.requestMetrics.set(key, { ...row, bucket: new Date(row.bucket) });
+      }
+    });
+  }
+
+  // Rows whose bucket starts in [from, to)
+  async findInRange(from, to) {
+    return [...this.state.requestMetrics.values()]
+      .filter(row => row.bucket >= from && row.bucket < to)
+      .sort((a, b) => a.bucket - b.bucket)
+      .map(row => ({ ...row, bucket: new Date(row.bucket) }));
+  }
+}
+
+module.exports = MemoryMetricsRepository;
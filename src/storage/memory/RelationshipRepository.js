@@ -0,0 +1,30 @@
+class MemoryRelationshipRepository {
+  constructor(state) {
+    this.state = state;
+  }
+
+  // Insert relationships, skipping any that already exist
+  async createMany(relationships) {
+    relationships.forEach(r => {
+      const exists = this.state.relationships.some(stored => stored.character_id === r.character_id
+        && stored.related_character_id === r.related_character_id
+        && stored.type === r.type);
+      if (!exists) {
+        this.state.relationships.push({
+          character_id: r.character_id,
+          related_character_id: r.related_character_id,
+          type: r.type
+        });
+      }
+    });
+  }
+
+  // Stored rows on either side of a character, oldest first
+  async findForCharacter(characterId) {
+    return this.state.relationships
+      .filter(r => r.character_id === characterId || r.related_character_id === characterId)
+      .map(r => ({ ...r }));
+  }
+}
+
+module.exports = MemoryRelationshipRepository;
@@ -0,0 +1,44 @@
+// Starts out empty: the catalogue is then the locale packs as shipped, as
+// with an unseeded database (see models/Trait)
+class MemoryTraitRepository {
+  constructor(state) {
+    this.state = state;
+    this.state.traits = [];
+  }
+
+  find(locale, category, value) {
+    return this.state.traits.find(t => t.locale === locale && t.category === category && t.value === value);
+  }
+
+  // A locale's stored catalogue rows, removed ones included, in the order
+  // values were added
+  async findByLocale(locale) {
+    return this.state.traits
+      .filter(t => t.locale === locale)
+      .map(({ category, value, weight, removed }) => ({ category, value, weight, removed }));
+  }
+
+  // Add a value, set its weight or bring back a removed one
+  async save(locale, category, value, weight) {
+    const existing = this.find(locale, category, value);
+    if (existing) {
+      Object.assign(existing, { weight, removed: false });
+      return;
+    }
+
+    this.state.traits.push({ locale, category, value, weight, removed: false });
+  }
+
+  // Keep a removed row rather than deleting it, so the pack value stays out
+  async remove(locale, category, value) {
+    const existing = this.find(locale, category, value);
+    if (existing) {
+      existing.removed = true;
+      return;
+    }
+
+    this.state.traits.push({ locale, category, value, weight: 1, removed: true });
+  }
+}
+
+module.exports = MemoryTraitRepository;
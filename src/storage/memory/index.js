@@ -0,0 +1,44 @@
+const MemoryApiKeyRepository = require('./ApiKeyRepository');
+const MemoryCharacterRepository = require('./CharacterRepository');
+const MemoryIdempotencyRepository = require('./IdempotencyRepository');
+const MemoryJobRepository = require('./JobRepository');
+const MemoryMetricsRepository = require('./MetricsRepository');
+const MemoryRelationshipRepository = require('./RelationshipRepository');
+const MemoryTraitRepository = require('./TraitRepository');
+
+// Storage held in this process and lost when it exits. Each call starts
+// empty, which makes it the driver to run controllers against in tests.
+const createStorage = () => {
+  const state = {
+    lastCharacterId: 0,
+    characters: new Map(),
+    relationships: [],
+    jobs: new Map(),
+    lastApiKeyId: 0,
+    apiKeys: new Map(),
+    apiKeyUsage: new Map(),
+    requestMetrics: new Map(),
+    idempotencyKeys: new Map()
+  };
+
+  return {
+    name: 'memory',
+    label: 'In-memory',
+    location: null,
+    enabled: true,
+    sql: null,
+    testConnection: async () => true,
+    close: async () => {},
+    characters: new MemoryCharacterRepository(state),
+    jobs: new MemoryJobRepository(state),
+    relationships: new MemoryRelationshipRepository(state),
+    traits: new MemoryTraitRepository(state),
+    apiKeys: new MemoryApiKeyRepository(state),
+    metrics: new MemoryMetricsRepository(state),
+    idempotencyKeys: new MemoryIdempotencyRepository(state)
+  };
+};
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,247 @@
+// The schema the old setupDatabase.js script created. Tables that already
+// exist are kept, and MySQL tables from releases before locales, generator
+// versions and derived education/income get those columns added, so a
+// database set up by hand is adopted as this version.
+
+const MYSQL_TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+const SQLITE_NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+const TABLES = [
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS characters (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        age INT NOT NULL,
+        gender ENUM('male', 'female', 'non-binary', 'other') NOT NULL,
+        occupation VARCHAR(255),
+        education VARCHAR(100),
+        annual_income INT,
+        background TEXT,
+        hair_color VARCHAR(50),
+        eye_color VARCHAR(50),
+        height_cm INT,
+        build VARCHAR(50),
+        locale VARCHAR(10) NOT NULL DEFAULT 'fil-PH',
+        generator_version INT NOT NULL DEFAULT 1,
+        seed VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_gender (gender),
+        INDEX idx_age (age),
+        INDEX idx_locale (locale),
+        INDEX idx_seed (seed, generator_version)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS characters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        age INTEGER NOT NULL,
+        gender TEXT NOT NULL CHECK (gender IN ('male', 'female', 'non-binary', 'other')),
+        occupation TEXT,
+        education TEXT,
+        annual_income INTEGER,
+        background TEXT,
+        hair_color TEXT,
+        eye_color TEXT,
+        height_cm INTEGER,
+        build TEXT,
+        locale TEXT NOT NULL DEFAULT 'fil-PH',
+        generator_version INTEGER NOT NULL DEFAULT 1,
+        seed TEXT,
+        created_at TEXT NOT NULL DEFAULT ${SQLITE_NOW}
+      )`
+  },
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS personality_traits (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        character_id INT NOT NULL,
+        trait VARCHAR(100) NOT NULL,
+        FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+        INDEX idx_character_id (character_id)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS personality_traits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        character_id INTEGER NOT NULL REFERENCES characters (id) ON DELETE CASCADE,
+        trait TEXT NOT NULL
+      )`
+  },
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS hobbies (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        character_id INT NOT NULL,
+        hobby VARCHAR(100) NOT NULL,
+        FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+        INDEX idx_character_id (character_id)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS hobbies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        character_id INTEGER NOT NULL REFERENCES characters (id) ON DELETE CASCADE,
+        hobby TEXT NOT NULL
+      )`
+  },
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS relationships (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        character_id INT NOT NULL,
+        related_character_id INT NOT NULL,
+        type ENUM('parent', 'grandparent', 'sibling', 'spouse', 'friend', 'coworker') NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+        FOREIGN KEY (related_character_id) REFERENCES characters(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_relationship (character_id, related_character_id, type),
+        INDEX idx_related_character_id (related_character_id)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS relationships (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        character_id INTEGER NOT NULL REFERENCES characters (id) ON DELETE CASCADE,
+        related_character_id INTEGER NOT NULL REFERENCES characters (id) ON DELETE CASCADE,
+        type TEXT NOT NULL CHECK (type IN ('parent', 'grandparent', 'sibling', 'spouse', 'friend', 'coworker')),
+        created_at TEXT NOT NULL DEFAULT ${SQLITE_NOW},
+        UNIQUE (character_id, related_character_id, type)
+      )`
+  },
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS available_traits (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        locale VARCHAR(10) NOT NULL DEFAULT 'fil-PH',
+        category VARCHAR(50) NOT NULL,
+        value VARCHAR(100) NOT NULL,
+        UNIQUE KEY unique_trait (locale, category, value),
+        INDEX idx_category (category)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS available_traits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        locale TEXT NOT NULL DEFAULT 'fil-PH',
+        category TEXT NOT NULL,
+        value TEXT NOT NULL,
+        UNIQUE (locale, category, value)
+      )`
+  },
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS generation_jobs (
+        id CHAR(36) PRIMARY KEY,
+        status ENUM('queued', 'running', 'completed', 'failed', 'cancelled') NOT NULL DEFAULT 'queued',
+        spec JSON NOT NULL,
+        total INT NOT NULL,
+        progress INT NOT NULL DEFAULT 0,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP NULL,
+        finished_at TIMESTAMP NULL,
+        INDEX idx_status (status)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS generation_jobs (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+        spec TEXT NOT NULL,
+        total INTEGER NOT NULL,
+        progress INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        created_at TEXT NOT NULL DEFAULT ${SQLITE_NOW},
+        started_at TEXT,
+        finished_at TEXT
+      )`
+  },
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS generation_job_chunks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        job_id CHAR(36) NOT NULL,
+        chunk_index INT NOT NULL,
+        content MEDIUMTEXT NOT NULL,
+        FOREIGN KEY (job_id) REFERENCES generation_jobs(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_chunk (job_id, chunk_index)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS generation_job_chunks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL REFERENCES generation_jobs (id) ON DELETE CASCADE,
+        chunk_index INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        UNIQUE (job_id, chunk_index)
+      )`
+  }
+];
+
+// MySQL declares its indexes inline; SQLite needs them created separately
+const SQLITE_INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_characters_gender ON characters (gender)',
+  'CREATE INDEX IF NOT EXISTS idx_characters_age ON characters (age)',
+  'CREATE INDEX IF NOT EXISTS idx_characters_locale ON characters (locale)',
+  'CREATE INDEX IF NOT EXISTS idx_characters_seed ON characters (seed, generator_version)',
+  'CREATE INDEX IF NOT EXISTS idx_personality_traits_character_id ON personality_traits (character_id)',
+  'CREATE INDEX IF NOT EXISTS idx_hobbies_character_id ON hobbies (character_id)',
+  'CREATE INDEX IF NOT EXISTS idx_relationships_related_character_id ON relationships (related_character_id)',
+  'CREATE INDEX IF NOT EXISTS idx_available_traits_category ON available_traits (category)',
+  'CREATE INDEX IF NOT EXISTS idx_generation_jobs_status ON generation_jobs (status)'
+];
+
+const hasColumn = async (db, table, column) => {
+  const rows = await db.query(
+    `SELECT COUNT(*) AS total FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows[0].total > 0;
+};
+
+// Columns added to MySQL tables after the first release, with the index
+// changes that came with them
+const upgradeMysqlTables = async (db) => {
+  if (!await hasColumn(db, 'characters', 'locale')) {
+    await db.query("ALTER TABLE characters ADD COLUMN locale VARCHAR(10) NOT NULL DEFAULT 'fil-PH' AFTER build");
+    await db.query('ALTER TABLE characters ADD INDEX idx_locale (locale)');
+  }
+
+  // Rows stored before versioning came from the original (v1) generator
+  if (!await hasColumn(db, 'characters', 'generator_version')) {
+    await db.query('ALTER TABLE characters ADD COLUMN generator_version INT NOT NULL DEFAULT 1 AFTER locale');
+    await db.query('ALTER TABLE characters DROP INDEX idx_seed, ADD INDEX idx_seed (seed, generator_version)');
+  }
+
+  if (!await hasColumn(db, 'characters', 'education')) {
+    await db.query('ALTER TABLE characters ADD COLUMN education VARCHAR(100) AFTER occupation');
+  }
+  if (!await hasColumn(db, 'characters', 'annual_income')) {
+    await db.query('ALTER TABLE characters ADD COLUMN annual_income INT AFTER education');
+  }
+
+  if (!await hasColumn(db, 'available_traits', 'locale')) {
+    await db.query("ALTER TABLE available_traits ADD COLUMN locale VARCHAR(10) NOT NULL DEFAULT 'fil-PH' AFTER id");
+    await db.query('ALTER TABLE available_traits DROP INDEX unique_trait, ADD UNIQUE KEY unique_trait (locale, category, value)');
+  }
+};
+
+exports.up = async (db) => {
+  for (const table of TABLES) {
+    await db.query(table);
+  }
+
+  if (db.dialect === 'mysql') {
+    await upgradeMysqlTables(db);
+  } else {
+    for (const index of SQLITE_INDEXES) {
+      await db.query(index);
+    }
+  }
+};
+
+exports.down = async (db) => {
+  const tables = [
+    'generation_job_chunks', 'generation_jobs', 'available_traits',
+    'relationships', 'hobbies', 'personality_traits', 'characters'
+  ];
+  for (const table of tables) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+};
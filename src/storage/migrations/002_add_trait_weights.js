@@ -0,0 +1,13 @@
+// Relative weight of each catalogue value when the generator draws from its
+// category; every existing value starts at 1 (uniform)
+
+exports.up = async (db) => {
+  await db.query({
+    mysql: 'ALTER TABLE available_traits ADD COLUMN weight DOUBLE NOT NULL DEFAULT 1 AFTER value',
+    sqlite: 'ALTER TABLE available_traits ADD COLUMN weight REAL NOT NULL DEFAULT 1'
+  });
+};
+
+exports.down = async (db) => {
+  await db.query('ALTER TABLE available_traits DROP COLUMN weight');
+};
@@ -0,0 +1,147 @@
+// Optional profile sections (?include=): one table per section, holding one
+// row per character for contact and address and one row per entry for the
+// histories. characters.profile_sections lists the sections a character was
+// generated with, so an empty history still comes back as an empty list.
+
+const MYSQL_TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+const TABLES = [
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS character_contacts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        character_id INT NOT NULL,
+        email VARCHAR(255),
+        phone VARCHAR(50),
+        FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_character (character_id)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS character_contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        character_id INTEGER NOT NULL UNIQUE REFERENCES characters (id) ON DELETE CASCADE,
+        email TEXT,
+        phone TEXT
+      )`
+  },
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS character_addresses (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        character_id INT NOT NULL,
+        street VARCHAR(255) NOT NULL,
+        city VARCHAR(100) NOT NULL,
+        region VARCHAR(100) NOT NULL,
+        postal_code VARCHAR(20) NOT NULL,
+        country VARCHAR(100) NOT NULL,
+        FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_character (character_id)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS character_addresses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        character_id INTEGER NOT NULL UNIQUE REFERENCES characters (id) ON DELETE CASCADE,
+        street TEXT NOT NULL,
+        city TEXT NOT NULL,
+        region TEXT NOT NULL,
+        postal_code TEXT NOT NULL,
+        country TEXT NOT NULL
+      )`
+  },
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS character_education (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        character_id INT NOT NULL,
+        level VARCHAR(100) NOT NULL,
+        institution VARCHAR(255) NOT NULL,
+        graduation_year INT NOT NULL,
+        FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+        INDEX idx_character_id (character_id)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS character_education (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        character_id INTEGER NOT NULL REFERENCES characters (id) ON DELETE CASCADE,
+        level TEXT NOT NULL,
+        institution TEXT NOT NULL,
+        graduation_year INTEGER NOT NULL
+      )`
+  },
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS character_employment (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        character_id INT NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        employer VARCHAR(255) NOT NULL,
+        start_year INT NOT NULL,
+        end_year INT,
+        FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+        INDEX idx_character_id (character_id)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS character_employment (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        character_id INTEGER NOT NULL REFERENCES characters (id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        employer TEXT NOT NULL,
+        start_year INTEGER NOT NULL,
+        end_year INTEGER
+      )`
+  },
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS character_social_profiles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        character_id INT NOT NULL,
+        network VARCHAR(50) NOT NULL,
+        handle VARCHAR(100) NOT NULL,
+        url VARCHAR(255) NOT NULL,
+        FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+        INDEX idx_character_id (character_id)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS character_social_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        character_id INTEGER NOT NULL REFERENCES characters (id) ON DELETE CASCADE,
+        network TEXT NOT NULL,
+        handle TEXT NOT NULL,
+        url TEXT NOT NULL
+      )`
+  }
+];
+
+const SQLITE_INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_character_education_character_id ON character_education (character_id)',
+  'CREATE INDEX IF NOT EXISTS idx_character_employment_character_id ON character_employment (character_id)',
+  'CREATE INDEX IF NOT EXISTS idx_character_social_profiles_character_id ON character_social_profiles (character_id)'
+];
+
+exports.up = async (db) => {
+  await db.query({
+    mysql: 'ALTER TABLE characters ADD COLUMN profile_sections VARCHAR(100) AFTER seed',
+    sqlite: 'ALTER TABLE characters ADD COLUMN profile_sections TEXT'
+  });
+
+  for (const table of TABLES) {
+    await db.query(table);
+  }
+
+  if (db.dialect === 'sqlite') {
+    for (const index of SQLITE_INDEXES) {
+      await db.query(index);
+    }
+  }
+};
+
+exports.down = async (db) => {
+  const tables = [
+    'character_social_profiles', 'character_employment', 'character_education',
+    'character_addresses', 'character_contacts'
+  ];
+  for (const table of tables) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+  await db.query('ALTER TABLE characters DROP COLUMN profile_sections');
+};
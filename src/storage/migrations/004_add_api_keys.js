@@ -0,0 +1,67 @@
+// API keys and what each one used per UTC day. Only a SHA-256 hash of a key
+// is stored; key_prefix keeps its first characters so people can tell their
+// keys apart. Null quotas mean the defaults from the environment.
+
+const MYSQL_TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+const SQLITE_NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+const TABLES = [
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        key_hash CHAR(64) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        role ENUM('user', 'admin') NOT NULL DEFAULT 'user',
+        requests_per_minute INT NULL,
+        characters_per_day INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP NULL,
+        UNIQUE KEY unique_key_hash (key_hash)
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+        requests_per_minute INTEGER,
+        characters_per_day INTEGER,
+        created_at TEXT NOT NULL DEFAULT ${SQLITE_NOW},
+        revoked_at TEXT
+      )`
+  },
+  {
+    mysql: `
+      CREATE TABLE IF NOT EXISTS api_key_usage (
+        api_key_id INT NOT NULL,
+        day DATE NOT NULL,
+        requests INT NOT NULL DEFAULT 0,
+        characters INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (api_key_id, day),
+        FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+      ) ${MYSQL_TABLE_OPTIONS}`,
+    sqlite: `
+      CREATE TABLE IF NOT EXISTS api_key_usage (
+        api_key_id INTEGER NOT NULL REFERENCES api_keys (id) ON DELETE CASCADE,
+        day TEXT NOT NULL,
+        requests INTEGER NOT NULL DEFAULT 0,
+        characters INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (api_key_id, day)
+      )`
+  }
+];
+
+exports.up = async (db) => {
+  for (const table of TABLES) {
+    await db.query(table);
+  }
+};
+
+exports.down = async (db) => {
+  for (const table of ['api_key_usage', 'api_keys']) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+};
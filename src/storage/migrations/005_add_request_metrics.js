@@ -0,0 +1,47 @@
+// Request metrics for /stats, one row per hour, endpoint, status and client.
+// `route` is the Express route pattern (e.g. /character/:seed), or * for
+// requests turned away before reaching one. api_key_id is 0 for clients
+// without a key, so it can be part of the primary key.
+
+const MYSQL_TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+
+const TABLE = {
+  mysql: `
+    CREATE TABLE IF NOT EXISTS request_metrics (
+      bucket DATETIME NOT NULL,
+      method VARCHAR(10) NOT NULL,
+      route VARCHAR(191) NOT NULL,
+      status SMALLINT NOT NULL,
+      client_type VARCHAR(16) NOT NULL,
+      api_key_id INT NOT NULL DEFAULT 0,
+      requests INT NOT NULL DEFAULT 0,
+      characters INT NOT NULL DEFAULT 0,
+      seed_cache_hits INT NOT NULL DEFAULT 0,
+      seed_cache_misses INT NOT NULL DEFAULT 0,
+      duration_ms BIGINT NOT NULL DEFAULT 0,
+      PRIMARY KEY (bucket, method, route, status, client_type, api_key_id)
+    ) ${MYSQL_TABLE_OPTIONS}`,
+  sqlite: `
+    CREATE TABLE IF NOT EXISTS request_metrics (
+      bucket TEXT NOT NULL,
+      method TEXT NOT NULL,
+      route TEXT NOT NULL,
+      status INTEGER NOT NULL,
+      client_type TEXT NOT NULL,
+      api_key_id INTEGER NOT NULL DEFAULT 0,
+      requests INTEGER NOT NULL DEFAULT 0,
+      characters INTEGER NOT NULL DEFAULT 0,
+      seed_cache_hits INTEGER NOT NULL DEFAULT 0,
+      seed_cache_misses INTEGER NOT NULL DEFAULT 0,
+      duration_ms INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (bucket, method, route, status, client_type, api_key_id)
+    )`
+};
+
+exports.up = async (db) => {
+  await db.query(TABLE);
+};
+
+exports.down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS request_metrics');
+};
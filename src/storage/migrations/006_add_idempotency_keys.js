@@ -0,0 +1,50 @@
+// Responses to POST requests sent with an Idempotency-Key header, so a retry
+// gets the first response back instead of generating and storing again.
+// Keys are scoped to the client (see middleware/authenticate) and expire;
+// request_hash tells a retry apart from another request reusing the key.
+// status is null while the first request is still being handled.
+
+const MYSQL_TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+const SQLITE_NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+const TABLE = {
+  mysql: `
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      client VARCHAR(64) NOT NULL,
+      idempotency_key VARCHAR(255) NOT NULL,
+      request_hash CHAR(64) NOT NULL,
+      status SMALLINT NULL,
+      headers TEXT NULL,
+      body MEDIUMTEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      PRIMARY KEY (client, idempotency_key),
+      INDEX idx_expires_at (expires_at)
+    ) ${MYSQL_TABLE_OPTIONS}`,
+  sqlite: `
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      client TEXT NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status INTEGER,
+      headers TEXT,
+      body TEXT,
+      created_at TEXT NOT NULL DEFAULT ${SQLITE_NOW},
+      expires_at TEXT NOT NULL,
+      PRIMARY KEY (client, idempotency_key)
+    )`
+};
+
+// MySQL declares its index inline; SQLite needs it created separately
+const SQLITE_INDEX = 'CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys (expires_at)';
+
+exports.up = async (db) => {
+  await db.query(TABLE);
+  if (db.dialect === 'sqlite') {
+    await db.query(SQLITE_INDEX);
+  }
+};
+
+exports.down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS idempotency_keys');
+};
@@ -0,0 +1,14 @@
+// The client that queued each job (see middleware/authenticate), so only it
+// and admins can see, download or cancel the job. Jobs queued before this
+// migration have no owner and are left to admins.
+
+exports.up = async (db) => {
+  await db.query({
+    mysql: 'ALTER TABLE generation_jobs ADD COLUMN client VARCHAR(64) NULL AFTER spec',
+    sqlite: 'ALTER TABLE generation_jobs ADD COLUMN client TEXT'
+  });
+};
+
+exports.down = async (db) => {
+  await db.query('ALTER TABLE generation_jobs DROP COLUMN client');
+};
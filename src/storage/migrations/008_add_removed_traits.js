@@ -0,0 +1,39 @@
+const { listLocales } = require('../../services/locales');
+const { localeTraitRows } = require('../rows');
+
+// The trait catalogue becomes the locale packs with the stored rows merged
+// over them (see models/Trait), so a removed pack value has to stay in
+// storage, marked removed, or it would come back from the pack. Seeded
+// categories that already lack pack values had them deleted through the
+// admin API; those get removed rows. A category holding none of its pack's
+// values was never seeded and is left alone.
+
+exports.up = async (db) => {
+  await db.query({
+    mysql: 'ALTER TABLE available_traits ADD COLUMN removed BOOLEAN NOT NULL DEFAULT FALSE AFTER weight',
+    sqlite: 'ALTER TABLE available_traits ADD COLUMN removed INTEGER NOT NULL DEFAULT 0'
+  });
+
+  for (const { code } of listLocales()) {
+    const stored = await db.query('SELECT category, value FROM available_traits WHERE locale = ?', [code]);
+    const storedKeys = new Set(stored.map(row => `${row.category}\n${row.value}`));
+    const packRows = localeTraitRows(code);
+    const seededCategories = new Set(packRows
+      .filter(row => storedKeys.has(`${row.category}\n${row.value}`))
+      .map(row => row.category));
+
+    for (const row of packRows) {
+      if (seededCategories.has(row.category) && !storedKeys.has(`${row.category}\n${row.value}`)) {
+        await db.query(
+          'INSERT INTO available_traits (locale, category, value, weight, removed) VALUES (?, ?, ?, ?, 1)',
+          [code, row.category, row.value, row.weight]
+        );
+      }
+    }
+  }
+};
+
+exports.down = async (db) => {
+  await db.query('DELETE FROM available_traits WHERE removed = 1');
+  await db.query('ALTER TABLE available_traits DROP COLUMN removed');
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+// Numbered schema migrations for the SQL drivers. Each file in migrations/
+// is named <version>_<name>.js and exports async up(db) and down(db); `db`
+// is the driver's SQL handle, whose query() takes a statement or a
+// { mysql, sqlite } pair. Applied versions are recorded in schema_migrations.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+const TRACKING_TABLE = {
+  mysql: `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`,
+  sqlite: `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )`
+};
+
+// Every migration on disk, lowest version first
+const loadMigrations = (dir = MIGRATIONS_DIR) => fs.readdirSync(dir)
+  .map(file => file.match(FILE_PATTERN))
+  .filter(Boolean)
+  .map(([file, version, name]) => ({
+    version: Number(version),
+    name,
+    ...require(path.join(dir, file))
+  }))
+  .sort((a, b) => a.version - b.version);
+
+// "001_initial_schema", as the migration's file is named
+const migrationLabel = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name || '?'}`;
+
+const appliedVersions = async (db) => {
+  await db.query(TRACKING_TABLE);
+  const rows = await db.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [Number(row.version), row.applied_at]));
+};
+
+/**
+ * Every known migration with its applied_at time, or null while pending.
+ * Versions recorded in schema_migrations without a file on disk are listed
+ * with `missing: true`.
+ */
+const getStatus = async (db, migrations = loadMigrations()) => {
+  const applied = await appliedVersions(db);
+  const status = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at: applied.get(migration.version) || null
+  }));
+
+  applied.forEach((appliedAt, version) => {
+    if (!migrations.some(migration => migration.version === version)) {
+      status.push({ version, name: null, applied_at: appliedAt, missing: true });
+    }
+  });
+
+  return status.sort((a, b) => a.version - b.version);
+};
+
+const pendingMigrations = async (db, migrations = loadMigrations()) => {
+  const applied = await appliedVersions(db);
+  return migrations.filter(migration => !applied.has(migration.version));
+};
+
+// Apply every pending migration in order. Returns the ones applied.
+const migrate = async (db, migrations = loadMigrations()) => {
+  const pending = await pendingMigrations(db, migrations);
+
+  for (const migration of pending) {
+    await db.transaction(async () => {
+      await migration.up(db);
+      await db.query(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    });
+  }
+
+  return pending;
+};
+
+// Undo the `steps` most recently applied migrations. Returns the ones undone.
+const rollback = async (db, steps = 1, migrations = loadMigrations()) => {
+  const applied = [...(await appliedVersions(db)).keys()].reverse().slice(0, steps);
+  const undone = [];
+
+  for (const version of applied) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`Migration ${version} is applied but its file is missing; cannot roll it back`);
+    }
+
+    await db.transaction(async () => {
+      await migration.down(db);
+      await db.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    });
+    undone.push(migration);
+  }
+
+  return undone;
+};
+
+module.exports = {
+  loadMigrations,
+  migrationLabel,
+  getStatus,
+  pendingMigrations,
+  migrate,
+  rollback
+};
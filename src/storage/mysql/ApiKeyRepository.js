@@ -0,0 +1,73 @@
+const { toApiKeyObject } = require('../rows');
+
+const UPDATABLE_COLUMNS = ['name', 'role', 'requests_per_minute', 'characters_per_day'];
+
+class MysqlApiKeyRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async create({ name, key_hash, key_prefix, role, requests_per_minute, characters_per_day }) {
+    const [result] = await this.pool.query(
+      `INSERT INTO api_keys (name, key_hash, key_prefix, role, requests_per_minute, characters_per_day)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, key_hash, key_prefix, role, requests_per_minute, characters_per_day]
+    );
+    return result.insertId;
+  }
+
+  async findById(id) {
+    const [keys] = await this.pool.query('SELECT * FROM api_keys WHERE id = ?', [id]);
+    return keys.length > 0 ? toApiKeyObject(keys[0]) : null;
+  }
+
+  async findByHash(keyHash) {
+    const [keys] = await this.pool.query('SELECT * FROM api_keys WHERE key_hash = ?', [keyHash]);
+    return keys.length > 0 ? toApiKeyObject(keys[0]) : null;
+  }
+
+  async findAll() {
+    const [keys] = await this.pool.query('SELECT * FROM api_keys ORDER BY id');
+    return keys.map(toApiKeyObject);
+  }
+
+  async update(id, data) {
+    const columns = UPDATABLE_COLUMNS.filter(column => data[column] !== undefined);
+    if (columns.length === 0) {
+      return Boolean(await this.findById(id));
+    }
+    // affectedRows counts matched rows even when nothing changed
+    const [result] = await this.pool.query(
+      `UPDATE api_keys SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => data[column]), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Only a key that is still active can be revoked
+  async revoke(id) {
+    const [result] = await this.pool.query(
+      'UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async addUsage(id, day, { requests = 0, characters = 0 }) {
+    await this.pool.query(
+      `INSERT INTO api_key_usage (api_key_id, day, requests, characters) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE requests = requests + VALUES(requests), characters = characters + VALUES(characters)`,
+      [id, day, requests, characters]
+    );
+  }
+
+  async getUsage(id, day) {
+    const [rows] = await this.pool.query(
+      'SELECT requests, characters FROM api_key_usage WHERE api_key_id = ? AND day = ?',
+      [id, day]
+    );
+    return rows.length > 0 ? rows[0] : { requests: 0, characters: 0 };
+  }
+}
+
+module.exports = MysqlApiKeyRepository;
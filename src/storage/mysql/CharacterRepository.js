@@ -0,0 +1,348 @@
+const {
+  CHARACTER_COLUMN_NAMES,
+  characterColumns,
+  updatedColumns,
+  toCharacterObject,
+  storedSections,
+  sectionRows
+} = require('../rows');
+const { PROFILE_SECTIONS } = require('../../services/profileSections');
+
+class MysqlCharacterRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // One multi-row INSERT per section table for the given characters
+  async insertSections(connection, characterIds, charactersData) {
+    const tables = new Map();
+    charactersData.forEach((characterData, i) => {
+      sectionRows(characterIds[i], characterData).forEach(({ table, columns, rows }) => {
+        if (!tables.has(table)) tables.set(table, { columns, rows: [] });
+        tables.get(table).rows.push(...rows);
+      });
+    });
+
+    for (const [table, { columns, rows }] of tables) {
+      if (rows.length > 0) {
+        await connection.query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ?`, [rows]);
+      }
+    }
+  }
+
+  async create(characterData) {
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Insert main character data
+      const [result] = await connection.query(
+        `INSERT INTO characters (${CHARACTER_COLUMN_NAMES.join(', ')}) VALUES (?)`,
+        [characterColumns(characterData)]
+      );
+
+      const characterId = result.insertId;
+
+      // Insert personality traits
+      if (characterData.personality_traits && characterData.personality_traits.length > 0) {
+        const traitsData = characterData.personality_traits.map(trait => [characterId, trait]);
+        await connection.query(
+          'INSERT INTO personality_traits (character_id, trait) VALUES ?',
+          [traitsData]
+        );
+      }
+
+      // Insert hobbies
+      if (characterData.hobbies && characterData.hobbies.length > 0) {
+        const hobbiesData = characterData.hobbies.map(hobby => [characterId, hobby]);
+        await connection.query(
+          'INSERT INTO hobbies (character_id, hobby) VALUES ?',
+          [hobbiesData]
+        );
+      }
+
+      await this.insertSections(connection, [characterId], [characterData]);
+
+      await connection.commit();
+      return characterId;
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Insert many characters with one multi-row INSERT per table. Returns the new ids in order.
+  async createMany(charactersData) {
+    if (charactersData.length === 0) {
+      return [];
+    }
+
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.query(
+        `INSERT INTO characters (${CHARACTER_COLUMN_NAMES.join(', ')}) VALUES ?`,
+        [charactersData.map(characterColumns)]
+      );
+
+      // InnoDB hands a multi-row INSERT one consecutive block of ids
+      // (assumes the default auto_increment_increment of 1)
+      const ids = charactersData.map((_, i) => result.insertId + i);
+
+      const traitsData = [];
+      const hobbiesData = [];
+      charactersData.forEach((characterData, i) => {
+        (characterData.personality_traits || []).forEach(trait => traitsData.push([ids[i], trait]));
+        (characterData.hobbies || []).forEach(hobby => hobbiesData.push([ids[i], hobby]));
+      });
+
+      if (traitsData.length > 0) {
+        await connection.query(
+          'INSERT INTO personality_traits (character_id, trait) VALUES ?',
+          [traitsData]
+        );
+      }
+
+      if (hobbiesData.length > 0) {
+        await connection.query(
+          'INSERT INTO hobbies (character_id, hobby) VALUES ?',
+          [hobbiesData]
+        );
+      }
+
+      await this.insertSections(connection, ids, charactersData);
+
+      await connection.commit();
+      return ids;
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async findById(id) {
+    const [characters] = await this.pool.query(
+      `SELECT * FROM characters WHERE id = ?`,
+      [id]
+    );
+
+    if (characters.length === 0) {
+      return null;
+    }
+
+    const [character] = await this.buildCharacterObjects(characters);
+    return character;
+  }
+
+  // Every stored character for any of the given seeds, oldest first
+  async findBySeeds(seeds, locale, generatorVersion) {
+    const [characters] = await this.pool.query(
+      `SELECT * FROM characters WHERE seed IN (?) AND locale = ? AND generator_version = ? ORDER BY id`,
+      [seeds, locale, generatorVersion]
+    );
+
+    return await this.buildCharacterObjects(characters);
+  }
+
+  async findAll(filters = {}, { page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    ['gender', 'occupation', 'hair_color', 'eye_color', 'build', 'locale', 'generator_version'].forEach(column => {
+      if (filters[column]) {
+        conditions.push(`${column} = ?`);
+        params.push(filters[column]);
+      }
+    });
+
+    if (filters.age_min !== undefined) {
+      conditions.push('age >= ?');
+      params.push(filters.age_min);
+    }
+    if (filters.age_max !== undefined) {
+      conditions.push('age <= ?');
+      params.push(filters.age_max);
+    }
+
+    if (filters.trait) {
+      conditions.push('EXISTS (SELECT 1 FROM personality_traits pt WHERE pt.character_id = characters.id AND pt.trait = ?)');
+      params.push(filters.trait);
+    }
+    if (filters.hobby) {
+      conditions.push('EXISTS (SELECT 1 FROM hobbies h WHERE h.character_id = characters.id AND h.hobby = ?)');
+      params.push(filters.hobby);
+    }
+
+    if (filters.created_from) {
+      conditions.push('created_at >= ?');
+      params.push(filters.created_from);
+    }
+    if (filters.created_to) {
+      conditions.push('created_at <= ?');
+      params.push(filters.created_to);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [countResult] = await this.pool.query(
+      `SELECT COUNT(*) as total FROM characters ${where}`,
+      params
+    );
+
+    const [rows] = await this.pool.query(
+      `SELECT * FROM characters ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return {
+      characters: await this.buildCharacterObjects(rows),
+      total: countResult[0].total
+    };
+  }
+
+  async update(id, characterData) {
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [existing] = await connection.query(
+        'SELECT id FROM characters WHERE id = ? FOR UPDATE',
+        [id]
+      );
+      if (existing.length === 0) {
+        await connection.rollback();
+        return false;
+      }
+
+      // Only touch the columns that were supplied
+      const columns = updatedColumns(characterData);
+      const columnNames = Object.keys(columns);
+      if (columnNames.length > 0) {
+        await connection.query(
+          `UPDATE characters SET ${columnNames.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+          [...columnNames.map(c => columns[c]), id]
+        );
+      }
+
+      // Lists are replaced wholesale when present
+      if (characterData.personality_traits) {
+        await connection.query('DELETE FROM personality_traits WHERE character_id = ?', [id]);
+        if (characterData.personality_traits.length > 0) {
+          await connection.query(
+            'INSERT INTO personality_traits (character_id, trait) VALUES ?',
+            [characterData.personality_traits.map(trait => [id, trait])]
+          );
+        }
+      }
+
+      if (characterData.hobbies) {
+        await connection.query('DELETE FROM hobbies WHERE character_id = ?', [id]);
+        if (characterData.hobbies.length > 0) {
+          await connection.query(
+            'INSERT INTO hobbies (character_id, hobby) VALUES ?',
+            [characterData.hobbies.map(hobby => [id, hobby])]
+          );
+        }
+      }
+
+      await connection.commit();
+      return true;
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async delete(id) {
+    // personality_traits, hobbies, profile sections and relationships are removed by ON DELETE CASCADE
+    const [result] = await this.pool.query('DELETE FROM characters WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  async buildCharacterObjects(characterRows) {
+    if (characterRows.length === 0) {
+      return [];
+    }
+
+    const ids = characterRows.map(row => row.id);
+
+    const [traits] = await this.pool.query(
+      'SELECT character_id, trait FROM personality_traits WHERE character_id IN (?) ORDER BY id',
+      [ids]
+    );
+    const [hobbies] = await this.pool.query(
+      'SELECT character_id, hobby FROM hobbies WHERE character_id IN (?) ORDER BY id',
+      [ids]
+    );
+
+    // Only the section tables some of these characters were stored with
+    const sections = {};
+    for (const name of new Set(characterRows.flatMap(storedSections))) {
+      [sections[name]] = await this.pool.query(
+        `SELECT * FROM ${PROFILE_SECTIONS[name].table} WHERE character_id IN (?) ORDER BY id`,
+        [ids]
+      );
+    }
+    const sectionsOf = (id) => Object.fromEntries(
+      Object.entries(sections).map(([name, rows]) => [name, rows.filter(r => r.character_id === id)])
+    );
+
+    return characterRows.map(row => toCharacterObject(
+      row,
+      traits.filter(t => t.character_id === row.id).map(t => t.trait),
+      hobbies.filter(h => h.character_id === row.id).map(h => h.hobby),
+      sectionsOf(row.id)
+    ));
+  }
+
+  // How often each gender and age occurs, and the `top` most common
+  // occupations, personality traits and hobbies, as [{ value, count }]
+  async distributions(top) {
+    const counts = async (sql, params = []) => {
+      const [rows] = await this.pool.query(sql, params);
+      return rows.map(row => ({ value: row.value, count: Number(row.count) }));
+    };
+    return {
+      total: await this.count(),
+      gender: await counts('SELECT gender AS value, COUNT(*) AS count FROM characters GROUP BY gender ORDER BY count DESC, value'),
+      age: await counts('SELECT age AS value, COUNT(*) AS count FROM characters GROUP BY age ORDER BY age'),
+      occupation: await counts(
+        `SELECT occupation AS value, COUNT(*) AS count FROM characters WHERE occupation IS NOT NULL
+         GROUP BY occupation ORDER BY count DESC, value LIMIT ?`,
+        [top]
+      ),
+      personality_trait: await counts(
+        'SELECT trait AS value, COUNT(*) AS count FROM personality_traits GROUP BY trait ORDER BY count DESC, value LIMIT ?',
+        [top]
+      ),
+      hobby: await counts(
+        'SELECT hobby AS value, COUNT(*) AS count FROM hobbies GROUP BY hobby ORDER BY count DESC, value LIMIT ?',
+        [top]
+      )
+    };
+  }
+
+  async count() {
+    const [result] = await this.pool.query('SELECT COUNT(*) as total FROM characters');
+    return result[0].total;
+  }
+
+  async deleteAll() {
+    await this.pool.query('DELETE FROM characters');
+  }
+}
+
+module.exports = MysqlCharacterRepository;
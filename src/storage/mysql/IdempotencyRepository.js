@@ -0,0 +1,43 @@
+const { toIdempotentResponse } = require('../rows');
+
+class MysqlIdempotencyRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // Claim a key for a request, after clearing expired ones. Returns null when
+  // the key is now held for this request, else the response stored for it.
+  async reserve({ client, idempotency_key, request_hash, expires_at }) {
+    await this.pool.query('DELETE FROM idempotency_keys WHERE expires_at <= ?', [new Date()]);
+    const [result] = await this.pool.query(
+      `INSERT IGNORE INTO idempotency_keys (client, idempotency_key, request_hash, expires_at)
+       VALUES (?, ?, ?, ?)`,
+      [client, idempotency_key, request_hash, expires_at]
+    );
+    if (result.affectedRows > 0) {
+      return null;
+    }
+    const [rows] = await this.pool.query(
+      'SELECT * FROM idempotency_keys WHERE client = ? AND idempotency_key = ?',
+      [client, idempotency_key]
+    );
+    return toIdempotentResponse(rows[0]);
+  }
+
+  async complete(client, idempotencyKey, { status, headers, body }) {
+    await this.pool.query(
+      'UPDATE idempotency_keys SET status = ?, headers = ?, body = ? WHERE client = ? AND idempotency_key = ?',
+      [status, JSON.stringify(headers), body, client, idempotencyKey]
+    );
+  }
+
+  // Give up a key whose request didn't produce a response worth replaying
+  async release(client, idempotencyKey) {
+    await this.pool.query(
+      'DELETE FROM idempotency_keys WHERE client = ? AND idempotency_key = ? AND status IS NULL',
+      [client, idempotencyKey]
+    );
+  }
+}
+
+module.exports = MysqlIdempotencyRepository;
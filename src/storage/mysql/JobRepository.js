@@ -0,0 +1,106 @@
+const { toJobObject } = require('../rows');
+
+class MysqlJobRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async create(id, spec, client) {
+    await this.pool.query(
+      'INSERT INTO generation_jobs (id, spec, client, total) VALUES (?, ?, ?, ?)',
+      [id, JSON.stringify(spec), client, spec.count]
+    );
+  }
+
+  async findById(id) {
+    const [jobs] = await this.pool.query(
+      'SELECT * FROM generation_jobs WHERE id = ?',
+      [id]
+    );
+
+    return jobs.length > 0 ? toJobObject(jobs[0]) : null;
+  }
+
+  // Jobs that still have work to do, oldest first
+  async findUnfinished() {
+    const [jobs] = await this.pool.query(
+      `SELECT * FROM generation_jobs WHERE status IN ('queued', 'running') ORDER BY created_at, id`
+    );
+
+    return jobs.map(toJobObject);
+  }
+
+  async markRunning(id) {
+    await this.pool.query(
+      `UPDATE generation_jobs SET status = 'running', started_at = COALESCE(started_at, NOW()) WHERE id = ?`,
+      [id]
+    );
+  }
+
+  // A job cancelled while it was running keeps its cancelled status
+  async markFinished(id, status, error = null) {
+    await this.pool.query(
+      `UPDATE generation_jobs SET status = ?, error = ?, finished_at = NOW() WHERE id = ? AND status = 'running'`,
+      [status, error, id]
+    );
+  }
+
+  // Only queued or running jobs can be cancelled
+  async cancel(id) {
+    const [result] = await this.pool.query(
+      `UPDATE generation_jobs SET status = 'cancelled', finished_at = NOW()
+       WHERE id = ? AND status IN ('queued', 'running')`,
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async delete(id) {
+    // Chunks are removed by ON DELETE CASCADE
+    const [result] = await this.pool.query('DELETE FROM generation_jobs WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  // Store one chunk of output and the progress it brings the job to
+  async appendChunk(id, chunkIndex, content, progress) {
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.query(
+        'INSERT INTO generation_job_chunks (job_id, chunk_index, content) VALUES (?, ?, ?)',
+        [id, chunkIndex, content]
+      );
+      await connection.query(
+        'UPDATE generation_jobs SET progress = ? WHERE id = ?',
+        [progress, id]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async countChunks(id) {
+    const [result] = await this.pool.query(
+      'SELECT COUNT(*) as total FROM generation_job_chunks WHERE job_id = ?',
+      [id]
+    );
+    return result[0].total;
+  }
+
+  async getChunk(id, chunkIndex) {
+    const [chunks] = await this.pool.query(
+      'SELECT content FROM generation_job_chunks WHERE job_id = ? AND chunk_index = ?',
+      [id, chunkIndex]
+    );
+    return chunks.length > 0 ? chunks[0].content : null;
+  }
+}
+
+module.exports = MysqlJobRepository;
@@ -0,0 +1,34 @@
+const { METRIC_KEY_COLUMNS, METRIC_COUNTER_COLUMNS } = require('../rows');
+
+const COLUMNS = [...METRIC_KEY_COLUMNS, ...METRIC_COUNTER_COLUMNS];
+
+class MysqlMetricsRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // Add the counters of each row to the stored row with the same key
+  async add(rows) {
+    if (rows.length === 0) {
+      return;
+    }
+    await this.pool.query(
+      `INSERT INTO request_metrics (${COLUMNS.join(', ')}) VALUES ?
+       ON DUPLICATE KEY UPDATE
+         ${METRIC_COUNTER_COLUMNS.map(column => `${column} = ${column} + VALUES(${column})`).join(', ')}`,
+      [rows.map(row => COLUMNS.map(column => row[column]))]
+    );
+  }
+
+  // Rows whose bucket starts in [from, to)
+  async findInRange(from, to) {
+    const [rows] = await this.pool.query(
+      'SELECT * FROM request_metrics WHERE bucket >= ? AND bucket < ? ORDER BY bucket',
+      [from, to]
+    );
+    // BIGINT columns come back as strings when they are large
+    return rows.map(row => ({ ...row, duration_ms: Number(row.duration_ms) }));
+  }
+}
+
+module.exports = MysqlMetricsRepository;
@@ -0,0 +1,30 @@
+class MysqlRelationshipRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // Insert relationships, skipping any that already exist
+  async createMany(relationships) {
+    if (relationships.length === 0) {
+      return;
+    }
+
+    await this.pool.query(
+      'INSERT IGNORE INTO relationships (character_id, related_character_id, type) VALUES ?',
+      [relationships.map(r => [r.character_id, r.related_character_id, r.type])]
+    );
+  }
+
+  // Stored rows on either side of a character, oldest first
+  async findForCharacter(characterId) {
+    const [rows] = await this.pool.query(
+      `SELECT character_id, related_character_id, type FROM relationships
+       WHERE character_id = ? OR related_character_id = ?
+       ORDER BY id`,
+      [characterId, characterId]
+    );
+    return rows;
+  }
+}
+
+module.exports = MysqlRelationshipRepository;
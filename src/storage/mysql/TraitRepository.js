@@ -0,0 +1,35 @@
+class MysqlTraitRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // A locale's stored catalogue rows, removed ones included, in the order
+  // values were added, which for seeded values is their order in the pack
+  async findByLocale(locale) {
+    const [rows] = await this.pool.query(
+      'SELECT category, value, weight, removed FROM available_traits WHERE locale = ? ORDER BY id',
+      [locale]
+    );
+    return rows.map(row => ({ ...row, removed: Boolean(row.removed) }));
+  }
+
+  // Add a value, set its weight or bring back a removed one
+  async save(locale, category, value, weight) {
+    await this.pool.query(
+      `INSERT INTO available_traits (locale, category, value, weight) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE weight = VALUES(weight), removed = FALSE`,
+      [locale, category, value, weight]
+    );
+  }
+
+  // Keep a removed row rather than deleting it, so the pack value stays out
+  async remove(locale, category, value) {
+    await this.pool.query(
+      `INSERT INTO available_traits (locale, category, value, removed) VALUES (?, ?, ?, TRUE)
+       ON DUPLICATE KEY UPDATE removed = TRUE`,
+      [locale, category, value]
+    );
+  }
+}
+
+module.exports = MysqlTraitRepository;
@@ -0,0 +1,45 @@
+const MysqlApiKeyRepository = require('./ApiKeyRepository');
+const MysqlCharacterRepository = require('./CharacterRepository');
+const MysqlIdempotencyRepository = require('./IdempotencyRepository');
+const MysqlJobRepository = require('./JobRepository');
+const MysqlMetricsRepository = require('./MetricsRepository');
+const MysqlRelationshipRepository = require('./RelationshipRepository');
+const MysqlTraitRepository = require('./TraitRepository');
+
+// SQL handle for migrations and scripts. MySQL commits DDL implicitly, so a
+// migration can't be rolled back as a whole and runs statement by statement.
+const createSqlHandle = (pool) => ({
+  dialect: 'mysql',
+  query: async (statement, params = []) => {
+    const [result] = await pool.query(typeof statement === 'string' ? statement : statement.mysql, params);
+    return result;
+  },
+  transaction: async (fn) => fn()
+});
+
+// MySQL storage; the schema comes from `npm run migrate` and the trait
+// catalogue from `npm run seed-data`
+const createStorage = () => {
+  const { pool, testConnection } = require('../../config/database');
+
+  return {
+    name: 'mysql',
+    label: 'MySQL',
+    location: process.env.DB_NAME || 'fictional_profiles',
+    enabled: true,
+    sql: createSqlHandle(pool),
+    testConnection,
+    close: () => pool.end(),
+    characters: new MysqlCharacterRepository(pool),
+    jobs: new MysqlJobRepository(pool),
+    relationships: new MysqlRelationshipRepository(pool),
+    traits: new MysqlTraitRepository(pool),
+    apiKeys: new MysqlApiKeyRepository(pool),
+    metrics: new MysqlMetricsRepository(pool),
+    idempotencyKeys: new MysqlIdempotencyRepository(pool)
+  };
+};
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,55 @@
+
+// Generated characters are handed back without being kept; they have no id
+// and seeded requests are simply regenerated
+class DiscardingCharacterRepository {
+  async create() {
+    return null;
+  }
+
+  async createMany(charactersData) {
+    return charactersData.map(() => null);
+  }
+
+  async findBySeeds() {
+    return [];
+  }
+
+  async distributions() {
+    return { total: 0, gender: [], age: [], occupation: [], personality_trait: [], hobby: [] };
+  }
+
+  async count() {
+    return 0;
+  }
+}
+
+// Nothing stored, so the catalogue is the locale packs as they ship; they
+// can't be edited without storage
+class PackTraitRepository {
+  async findByLocale() {
+    return [];
+  }
+}
+
+// No storage at all. Endpoints that read stored characters, jobs or
+// relationships are turned away by requireStorage before reaching the models.
+const createStorage = () => ({
+  name: 'none',
+  label: 'None',
+  location: null,
+  enabled: false,
+  sql: null,
+  testConnection: async () => true,
+  close: async () => {},
+  characters: new DiscardingCharacterRepository(),
+  traits: new PackTraitRepository(),
+  jobs: null,
+  relationships: null,
+  apiKeys: null,
+  metrics: null,
+  idempotencyKeys: null
+});
+
+module.exports = {
+  createStorage
+};
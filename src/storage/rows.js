@@ -0,0 +1,197 @@
+const { TRAIT_CATEGORIES, getLocale, resolveWeights } = require('../services/locales');
+const { PROFILE_SECTIONS } = require('../services/profileSections');
+
+// Shapes shared by the storage drivers
+
+// Stored character fields and their characters columns, in insert order.
+// Appearance fields are nested under `appearance` in the character object;
+// `editable` ones can be changed through Character.update and `hidden` ones
+// are bookkeeping kept out of the character object. A new field needs a
+// migration for its column and an entry here.
+const CHARACTER_FIELDS = [
+  { column: 'name', editable: true },
+  { column: 'age', editable: true },
+  { column: 'gender', editable: true },
+  { column: 'occupation', editable: true },
+  { column: 'education', editable: true },
+  { column: 'annual_income', editable: true },
+  { column: 'background', editable: true },
+  { column: 'hair_color', group: 'appearance', editable: true },
+  { column: 'eye_color', group: 'appearance', editable: true },
+  { column: 'height_cm', group: 'appearance', editable: true },
+  { column: 'build', group: 'appearance', editable: true },
+  { column: 'locale' },
+  { column: 'generator_version' },
+  { column: 'seed' },
+  { column: 'profile_sections', hidden: true, value: (characterData) => includedSections(characterData).join(',') || null }
+];
+
+const CHARACTER_COLUMN_NAMES = CHARACTER_FIELDS.map(field => field.column);
+
+// The profile sections a character carries, in PROFILE_SECTIONS order
+const includedSections = (characterData) => Object.keys(PROFILE_SECTIONS)
+  .filter(name => characterData[PROFILE_SECTIONS[name].property] !== undefined);
+
+// The sections named in a characters row's profile_sections column
+const storedSections = (characterRow) => (characterRow.profile_sections
+  ? characterRow.profile_sections.split(',').filter(name => PROFILE_SECTIONS[name])
+  : []);
+
+// { section name: entries } for the sections a character carries; contact
+// and address are a single entry
+const sectionEntries = (characterData) => {
+  const entries = {};
+  includedSections(characterData).forEach(name => {
+    const { property, list } = PROFILE_SECTIONS[name];
+    entries[name] = list ? characterData[property] : [characterData[property]];
+  });
+  return entries;
+};
+
+// Rows to insert for each section a character carries, as
+// [{ table, columns, rows }] with character_id as the first column
+const sectionRows = (characterId, characterData) => Object.entries(sectionEntries(characterData))
+  .map(([name, entries]) => {
+    const { table, fields } = PROFILE_SECTIONS[name];
+    return {
+      table,
+      columns: ['character_id', ...fields],
+      rows: entries.map(entry => [characterId, ...fields.map(field => entry[field] ?? null)])
+    };
+  });
+
+const fieldValue = (characterData, field) => {
+  if (field.value) {
+    return field.value(characterData);
+  }
+  const source = field.group ? characterData[field.group] || {} : characterData;
+  return source[field.column];
+};
+
+// Values for the characters columns, in insert order
+const characterColumns = (characterData) => CHARACTER_FIELDS.map(field => {
+  const value = fieldValue(characterData, field);
+  return field.column === 'seed' ? value || null : value ?? null;
+});
+
+// { column: value } for a new characters row
+const characterRow = (characterData) => {
+  const values = characterColumns(characterData);
+  const row = {};
+  CHARACTER_COLUMN_NAMES.forEach((column, i) => {
+    row[column] = values[i];
+  });
+  return row;
+};
+
+// The columns an update may touch, taken from a (possibly partial) character
+const updatedColumns = (characterData) => {
+  const columns = {};
+  CHARACTER_FIELDS.filter(field => field.editable).forEach(field => {
+    const value = fieldValue(characterData, field);
+    if (value !== undefined) columns[field.column] = value;
+  });
+  return columns;
+};
+
+// Build the character object, keeping its usual key order: the editable
+// fields, the lists, the profile sections, then how and when the character
+// was made. `sections` maps each stored section name to its rows (objects
+// with the section's fields), in order.
+const toCharacterObject = (characterRow, personalityTraits, hobbies, sections = {}) => {
+  const character = { id: characterRow.id };
+  const assign = (field) => {
+    if (field.group && !character[field.group]) character[field.group] = {};
+    (field.group ? character[field.group] : character)[field.column] = characterRow[field.column];
+  };
+
+  CHARACTER_FIELDS.filter(field => field.editable).forEach(assign);
+  character.personality_traits = personalityTraits;
+  character.hobbies = hobbies;
+  storedSections(characterRow).forEach(name => {
+    const { property, list, fields } = PROFILE_SECTIONS[name];
+    const entries = (sections[name] || []).map(row => {
+      const entry = {};
+      fields.forEach(field => { entry[field] = row[field] ?? null; });
+      return entry;
+    });
+    character[property] = list ? entries : entries[0] || null;
+  });
+  CHARACTER_FIELDS.filter(field => !field.editable && !field.hidden).forEach(assign);
+  character.created_at = characterRow.created_at;
+  return character;
+};
+
+const toJobObject = (jobRow) => ({
+  id: jobRow.id,
+  status: jobRow.status,
+  // mysql2 already parses JSON columns
+  spec: typeof jobRow.spec === 'string' ? JSON.parse(jobRow.spec) : jobRow.spec,
+  client: jobRow.client ?? null,
+  total: jobRow.total,
+  progress: jobRow.progress,
+  error: jobRow.error,
+  created_at: jobRow.created_at,
+  started_at: jobRow.started_at,
+  finished_at: jobRow.finished_at
+});
+
+// The key hash never leaves the storage layer
+const toApiKeyObject = (keyRow) => ({
+  id: keyRow.id,
+  name: keyRow.name,
+  key_prefix: keyRow.key_prefix,
+  role: keyRow.role,
+  requests_per_minute: keyRow.requests_per_minute,
+  characters_per_day: keyRow.characters_per_day,
+  created_at: keyRow.created_at,
+  revoked_at: keyRow.revoked_at
+});
+
+// A stored response for an Idempotency-Key; status is null while the first
+// request is in progress
+const toIdempotentResponse = (row) => ({
+  client: row.client,
+  idempotency_key: row.idempotency_key,
+  request_hash: row.request_hash,
+  status: row.status,
+  headers: row.headers ? JSON.parse(row.headers) : {},
+  body: row.body,
+  created_at: row.created_at,
+  expires_at: row.expires_at
+});
+
+// request_metrics columns: the ones a row is keyed on, and the counters that
+// are added up when the same key is recorded again
+const METRIC_KEY_COLUMNS = ['bucket', 'method', 'route', 'status', 'client_type', 'api_key_id'];
+const METRIC_COUNTER_COLUMNS = ['requests', 'characters', 'seed_cache_hits', 'seed_cache_misses', 'duration_ms'];
+
+// available_traits rows for a locale straight from its pack, in pack order
+// and with the pack's weights; used to seed the table and by drivers that
+// have none
+const localeTraitRows = (locale) => {
+  const pack = getLocale(locale);
+  const rows = [];
+  Object.entries(TRAIT_CATEGORIES).forEach(([category, key]) => {
+    const weights = resolveWeights(pack[key], pack.weights && pack.weights[key]) || {};
+    pack[key].forEach(value => rows.push({ category, value, weight: weights[value] !== undefined ? weights[value] : 1 }));
+  });
+  return rows;
+};
+
+module.exports = {
+  CHARACTER_COLUMN_NAMES,
+  storedSections,
+  sectionEntries,
+  sectionRows,
+  characterColumns,
+  characterRow,
+  updatedColumns,
+  toCharacterObject,
+  toJobObject,
+  toApiKeyObject,
+  toIdempotentResponse,
+  METRIC_KEY_COLUMNS,
+  METRIC_COUNTER_COLUMNS,
+  localeTraitRows
+};
@@ -0,0 +1,75 @@
+const { toApiKeyObject } = require('../rows');
+const { NOW, toDate } = require('./timestamps');
+
+const UPDATABLE_COLUMNS = ['name', 'role', 'requests_per_minute', 'characters_per_day'];
+
+class SqliteApiKeyRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  toApiKeyObject(keyRow) {
+    return toApiKeyObject({
+      ...keyRow,
+      created_at: toDate(keyRow.created_at),
+      revoked_at: toDate(keyRow.revoked_at)
+    });
+  }
+
+  async create({ name, key_hash, key_prefix, role, requests_per_minute, characters_per_day }) {
+    const { lastInsertRowid } = this.db.prepare(
+      `INSERT INTO api_keys (name, key_hash, key_prefix, role, requests_per_minute, characters_per_day)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(name, key_hash, key_prefix, role, requests_per_minute, characters_per_day);
+    return Number(lastInsertRowid);
+  }
+
+  async findById(id) {
+    const row = this.db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    return row ? this.toApiKeyObject(row) : null;
+  }
+
+  async findByHash(keyHash) {
+    const row = this.db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(keyHash);
+    return row ? this.toApiKeyObject(row) : null;
+  }
+
+  async findAll() {
+    return this.db.prepare('SELECT * FROM api_keys ORDER BY id').all().map(row => this.toApiKeyObject(row));
+  }
+
+  async update(id, data) {
+    const columns = UPDATABLE_COLUMNS.filter(column => data[column] !== undefined);
+    if (columns.length === 0) {
+      return Boolean(await this.findById(id));
+    }
+    return this.db.prepare(
+      `UPDATE api_keys SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`
+    ).run(...columns.map(column => data[column]), id).changes > 0;
+  }
+
+  // Only a key that is still active can be revoked
+  async revoke(id) {
+    return this.db.prepare(
+      `UPDATE api_keys SET revoked_at = ${NOW} WHERE id = ? AND revoked_at IS NULL`
+    ).run(id).changes > 0;
+  }
+
+  async addUsage(id, day, { requests = 0, characters = 0 }) {
+    this.db.prepare(
+      `INSERT INTO api_key_usage (api_key_id, day, requests, characters) VALUES (?, ?, ?, ?)
+       ON CONFLICT (api_key_id, day) DO UPDATE SET
+         requests = requests + excluded.requests,
+         characters = characters + excluded.characters`
+    ).run(id, day, requests, characters);
+  }
+
+  async getUsage(id, day) {
+    const row = this.db.prepare(
+      'SELECT requests, characters FROM api_key_usage WHERE api_key_id = ? AND day = ?'
+    ).get(id, day);
+    return row || { requests: 0, characters: 0 };
+  }
+}
+
+module.exports = SqliteApiKeyRepository;
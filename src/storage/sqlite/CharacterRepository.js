@@ -0,0 +1,234 @@
+const {
+  CHARACTER_COLUMN_NAMES,
+  characterColumns,
+  updatedColumns,
+  toCharacterObject,
+  storedSections,
+  sectionRows
+} = require('../rows');
+const { PROFILE_SECTIONS } = require('../../services/profileSections');
+const { toDate } = require('./timestamps');
+
+// better-sqlite3 is synchronous; methods stay async to match the other drivers
+class SqliteCharacterRepository {
+  constructor(db) {
+    this.db = db;
+    this.statements = new Map();
+  }
+
+  // Statements are prepared on first use, once the tables exist
+  statement(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  insertTrait(characterId, trait) {
+    this.statement('INSERT INTO personality_traits (character_id, trait) VALUES (?, ?)').run(characterId, trait);
+  }
+
+  insertHobby(characterId, hobby) {
+    this.statement('INSERT INTO hobbies (character_id, hobby) VALUES (?, ?)').run(characterId, hobby);
+  }
+
+  insertSections(characterId, characterData) {
+    sectionRows(characterId, characterData).forEach(({ table, columns, rows }) => {
+      const statement = this.statement(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+      );
+      rows.forEach(row => statement.run(row));
+    });
+  }
+
+  insert(characterData) {
+    const { lastInsertRowid } = this.statement(
+      `INSERT INTO characters (${CHARACTER_COLUMN_NAMES.join(', ')})
+       VALUES (${CHARACTER_COLUMN_NAMES.map(() => '?').join(', ')})`
+    ).run(characterColumns(characterData));
+
+    const characterId = Number(lastInsertRowid);
+    (characterData.personality_traits || []).forEach(trait => this.insertTrait(characterId, trait));
+    (characterData.hobbies || []).forEach(hobby => this.insertHobby(characterId, hobby));
+    this.insertSections(characterId, characterData);
+    return characterId;
+  }
+
+  async create(characterData) {
+    return this.db.transaction(() => this.insert(characterData))();
+  }
+
+  // Insert many characters in one transaction. Returns the new ids in order.
+  async createMany(charactersData) {
+    return this.db.transaction(() => charactersData.map(characterData => this.insert(characterData)))();
+  }
+
+  async findById(id) {
+    const row = this.db.prepare('SELECT * FROM characters WHERE id = ?').get(id);
+    return row ? this.buildCharacterObjects([row])[0] : null;
+  }
+
+  // Every stored character for any of the given seeds, oldest first
+  async findBySeeds(seeds, locale, generatorVersion) {
+    const rows = this.db.prepare(
+      `SELECT * FROM characters
+       WHERE seed IN (${seeds.map(() => '?').join(', ')}) AND locale = ? AND generator_version = ?
+       ORDER BY id`
+    ).all(...seeds, locale, generatorVersion);
+
+    return this.buildCharacterObjects(rows);
+  }
+
+  async findAll(filters = {}, { page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    ['gender', 'occupation', 'hair_color', 'eye_color', 'build', 'locale', 'generator_version'].forEach(column => {
+      if (filters[column]) {
+        conditions.push(`${column} = ?`);
+        params.push(filters[column]);
+      }
+    });
+
+    if (filters.age_min !== undefined) {
+      conditions.push('age >= ?');
+      params.push(filters.age_min);
+    }
+    if (filters.age_max !== undefined) {
+      conditions.push('age <= ?');
+      params.push(filters.age_max);
+    }
+
+    if (filters.trait) {
+      conditions.push('EXISTS (SELECT 1 FROM personality_traits pt WHERE pt.character_id = characters.id AND pt.trait = ?)');
+      params.push(filters.trait);
+    }
+    if (filters.hobby) {
+      conditions.push('EXISTS (SELECT 1 FROM hobbies h WHERE h.character_id = characters.id AND h.hobby = ?)');
+      params.push(filters.hobby);
+    }
+
+    if (filters.created_from) {
+      conditions.push('created_at >= ?');
+      params.push(filters.created_from.toISOString());
+    }
+    if (filters.created_to) {
+      conditions.push('created_at <= ?');
+      params.push(filters.created_to.toISOString());
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM characters ${where}`).get(...params);
+    const rows = this.db.prepare(
+      `SELECT * FROM characters ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`
+    ).all(...params, limit, (page - 1) * limit);
+
+    return {
+      characters: this.buildCharacterObjects(rows),
+      total
+    };
+  }
+
+  async update(id, characterData) {
+    return this.db.transaction(() => {
+      if (!this.db.prepare('SELECT id FROM characters WHERE id = ?').get(id)) {
+        return false;
+      }
+
+      // Only touch the columns that were supplied
+      const columns = updatedColumns(characterData);
+      const columnNames = Object.keys(columns);
+      if (columnNames.length > 0) {
+        this.db.prepare(`UPDATE characters SET ${columnNames.map(c => `${c} = ?`).join(', ')} WHERE id = ?`)
+          .run(...columnNames.map(c => columns[c]), id);
+      }
+
+      // Lists are replaced wholesale when present
+      if (characterData.personality_traits) {
+        this.db.prepare('DELETE FROM personality_traits WHERE character_id = ?').run(id);
+        characterData.personality_traits.forEach(trait => this.insertTrait(id, trait));
+      }
+
+      if (characterData.hobbies) {
+        this.db.prepare('DELETE FROM hobbies WHERE character_id = ?').run(id);
+        characterData.hobbies.forEach(hobby => this.insertHobby(id, hobby));
+      }
+
+      return true;
+    })();
+  }
+
+  async delete(id) {
+    // personality_traits, hobbies, profile sections and relationships are removed by ON DELETE CASCADE
+    return this.db.prepare('DELETE FROM characters WHERE id = ?').run(id).changes > 0;
+  }
+
+  buildCharacterObjects(characterRows) {
+    if (characterRows.length === 0) {
+      return [];
+    }
+
+    const ids = characterRows.map(row => row.id);
+    const placeholders = ids.map(() => '?').join(', ');
+
+    const traits = this.db.prepare(
+      `SELECT character_id, trait FROM personality_traits WHERE character_id IN (${placeholders}) ORDER BY id`
+    ).all(...ids);
+    const hobbies = this.db.prepare(
+      `SELECT character_id, hobby FROM hobbies WHERE character_id IN (${placeholders}) ORDER BY id`
+    ).all(...ids);
+
+    // Only the section tables some of these characters were stored with
+    const sections = {};
+    new Set(characterRows.flatMap(storedSections)).forEach(name => {
+      sections[name] = this.db.prepare(
+        `SELECT * FROM ${PROFILE_SECTIONS[name].table} WHERE character_id IN (${placeholders}) ORDER BY id`
+      ).all(...ids);
+    });
+    const sectionsOf = (id) => Object.fromEntries(
+      Object.entries(sections).map(([name, rows]) => [name, rows.filter(r => r.character_id === id)])
+    );
+
+    return characterRows.map(row => toCharacterObject(
+      { ...row, created_at: toDate(row.created_at) },
+      traits.filter(t => t.character_id === row.id).map(t => t.trait),
+      hobbies.filter(h => h.character_id === row.id).map(h => h.hobby),
+      sectionsOf(row.id)
+    ));
+  }
+
+  // How often each gender and age occurs, and the `top` most common
+  // occupations, personality traits and hobbies, as [{ value, count }]
+  async distributions(top) {
+    const counts = (sql, ...params) => this.db.prepare(sql).all(...params);
+    return {
+      total: await this.count(),
+      gender: counts('SELECT gender AS value, COUNT(*) AS count FROM characters GROUP BY gender ORDER BY count DESC, value'),
+      age: counts('SELECT age AS value, COUNT(*) AS count FROM characters GROUP BY age ORDER BY age'),
+      occupation: counts(
+        `SELECT occupation AS value, COUNT(*) AS count FROM characters WHERE occupation IS NOT NULL
+         GROUP BY occupation ORDER BY count DESC, value LIMIT ?`,
+        top
+      ),
+      personality_trait: counts(
+        'SELECT trait AS value, COUNT(*) AS count FROM personality_traits GROUP BY trait ORDER BY count DESC, value LIMIT ?',
+        top
+      ),
+      hobby: counts(
+        'SELECT hobby AS value, COUNT(*) AS count FROM hobbies GROUP BY hobby ORDER BY count DESC, value LIMIT ?',
+        top
+      )
+    };
+  }
+
+  async count() {
+    return this.db.prepare('SELECT COUNT(*) AS total FROM characters').get().total;
+  }
+
+  async deleteAll() {
+    this.db.prepare('DELETE FROM characters').run();
+  }
+}
+
+module.exports = SqliteCharacterRepository;
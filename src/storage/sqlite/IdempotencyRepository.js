@@ -0,0 +1,49 @@
+const { toIdempotentResponse } = require('../rows');
+const { toDate } = require('./timestamps');
+
+class SqliteIdempotencyRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  toIdempotentResponse(row) {
+    return toIdempotentResponse({
+      ...row,
+      created_at: toDate(row.created_at),
+      expires_at: toDate(row.expires_at)
+    });
+  }
+
+  // Claim a key for a request, after clearing expired ones. Returns null when
+  // the key is now held for this request, else the response stored for it.
+  async reserve({ client, idempotency_key, request_hash, expires_at }) {
+    return this.db.transaction(() => {
+      this.db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?').run(new Date().toISOString());
+      const { changes } = this.db.prepare(
+        `INSERT OR IGNORE INTO idempotency_keys (client, idempotency_key, request_hash, expires_at)
+         VALUES (?, ?, ?, ?)`
+      ).run(client, idempotency_key, request_hash, expires_at.toISOString());
+      if (changes > 0) {
+        return null;
+      }
+      return this.toIdempotentResponse(this.db.prepare(
+        'SELECT * FROM idempotency_keys WHERE client = ? AND idempotency_key = ?'
+      ).get(client, idempotency_key));
+    })();
+  }
+
+  async complete(client, idempotencyKey, { status, headers, body }) {
+    this.db.prepare(
+      'UPDATE idempotency_keys SET status = ?, headers = ?, body = ? WHERE client = ? AND idempotency_key = ?'
+    ).run(status, JSON.stringify(headers), body, client, idempotencyKey);
+  }
+
+  // Give up a key whose request didn't produce a response worth replaying
+  async release(client, idempotencyKey) {
+    this.db.prepare(
+      'DELETE FROM idempotency_keys WHERE client = ? AND idempotency_key = ? AND status IS NULL'
+    ).run(client, idempotencyKey);
+  }
+}
+
+module.exports = SqliteIdempotencyRepository;
@@ -0,0 +1,82 @@
+const { toJobObject } = require('../rows');
+const { NOW, toDate } = require('./timestamps');
+
+class SqliteJobRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  toJobObject(jobRow) {
+    return toJobObject({
+      ...jobRow,
+      created_at: toDate(jobRow.created_at),
+      started_at: toDate(jobRow.started_at),
+      finished_at: toDate(jobRow.finished_at)
+    });
+  }
+
+  async create(id, spec, client) {
+    this.db.prepare('INSERT INTO generation_jobs (id, spec, client, total) VALUES (?, ?, ?, ?)')
+      .run(id, JSON.stringify(spec), client, spec.count);
+  }
+
+  async findById(id) {
+    const row = this.db.prepare('SELECT * FROM generation_jobs WHERE id = ?').get(id);
+    return row ? this.toJobObject(row) : null;
+  }
+
+  // Jobs that still have work to do, oldest first
+  async findUnfinished() {
+    return this.db.prepare(
+      `SELECT * FROM generation_jobs WHERE status IN ('queued', 'running') ORDER BY created_at, id`
+    ).all().map(row => this.toJobObject(row));
+  }
+
+  async markRunning(id) {
+    this.db.prepare(
+      `UPDATE generation_jobs SET status = 'running', started_at = COALESCE(started_at, ${NOW}) WHERE id = ?`
+    ).run(id);
+  }
+
+  // A job cancelled while it was running keeps its cancelled status
+  async markFinished(id, status, error = null) {
+    this.db.prepare(
+      `UPDATE generation_jobs SET status = ?, error = ?, finished_at = ${NOW} WHERE id = ? AND status = 'running'`
+    ).run(status, error, id);
+  }
+
+  // Only queued or running jobs can be cancelled
+  async cancel(id) {
+    return this.db.prepare(
+      `UPDATE generation_jobs SET status = 'cancelled', finished_at = ${NOW}
+       WHERE id = ? AND status IN ('queued', 'running')`
+    ).run(id).changes > 0;
+  }
+
+  async delete(id) {
+    // Chunks are removed by ON DELETE CASCADE
+    return this.db.prepare('DELETE FROM generation_jobs WHERE id = ?').run(id).changes > 0;
+  }
+
+  // Store one chunk of output and the progress it brings the job to
+  async appendChunk(id, chunkIndex, content, progress) {
+    this.db.transaction(() => {
+      this.db.prepare('INSERT INTO generation_job_chunks (job_id, chunk_index, content) VALUES (?, ?, ?)')
+        .run(id, chunkIndex, content);
+      this.db.prepare('UPDATE generation_jobs SET progress = ? WHERE id = ?').run(progress, id);
+    })();
+  }
+
+  async countChunks(id) {
+    return this.db.prepare('SELECT COUNT(*) AS total FROM generation_job_chunks WHERE job_id = ?').get(id).total;
+  }
+
+  async getChunk(id, chunkIndex) {
+    const chunk = this.db.prepare(
+      'SELECT content FROM generation_job_chunks WHERE job_id = ? AND chunk_index = ?'
+    ).get(id, chunkIndex);
+    return chunk ? chunk.content : null;
+  }
+}
+
+module.exports = SqliteJobRepository;
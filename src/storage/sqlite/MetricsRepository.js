@@ -0,0 +1,33 @@
+const { METRIC_KEY_COLUMNS, METRIC_COUNTER_COLUMNS } = require('../rows');
+const { toDate } = require('./timestamps');
+
+const COLUMNS = [...METRIC_KEY_COLUMNS, ...METRIC_COUNTER_COLUMNS];
+
+class SqliteMetricsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Add the counters of each row to the stored row with the same key
+  async add(rows) {
+    const insert = this.db.prepare(
+      `INSERT INTO request_metrics (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(() => '?').join(', ')})
+       ON CONFLICT (${METRIC_KEY_COLUMNS.join(', ')}) DO UPDATE SET
+         ${METRIC_COUNTER_COLUMNS.map(column => `${column} = ${column} + excluded.${column}`).join(', ')}`
+    );
+    this.db.transaction(() => {
+      rows.forEach(row => insert.run(...COLUMNS.map(column => (
+        column === 'bucket' ? row.bucket.toISOString() : row[column]
+      ))));
+    })();
+  }
+
+  // Rows whose bucket starts in [from, to)
+  async findInRange(from, to) {
+    return this.db.prepare(
+      'SELECT * FROM request_metrics WHERE bucket >= ? AND bucket < ? ORDER BY bucket'
+    ).all(from.toISOString(), to.toISOString()).map(row => ({ ...row, bucket: toDate(row.bucket) }));
+  }
+}
+
+module.exports = SqliteMetricsRepository;
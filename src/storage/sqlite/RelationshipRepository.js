@@ -0,0 +1,26 @@
+class SqliteRelationshipRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Insert relationships, skipping any that already exist
+  async createMany(relationships) {
+    const insert = this.db.prepare(
+      'INSERT OR IGNORE INTO relationships (character_id, related_character_id, type) VALUES (?, ?, ?)'
+    );
+    this.db.transaction(() => {
+      relationships.forEach(r => insert.run(r.character_id, r.related_character_id, r.type));
+    })();
+  }
+
+  // Stored rows on either side of a character, oldest first
+  async findForCharacter(characterId) {
+    return this.db.prepare(
+      `SELECT character_id, related_character_id, type FROM relationships
+       WHERE character_id = ? OR related_character_id = ?
+       ORDER BY id`
+    ).all(characterId, characterId);
+  }
+}
+
+module.exports = SqliteRelationshipRepository;
@@ -0,0 +1,31 @@
+class SqliteTraitRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // A locale's stored catalogue rows, removed ones included, in the order
+  // values were added, which for seeded values is their order in the pack
+  async findByLocale(locale) {
+    return this.db.prepare(
+      'SELECT category, value, weight, removed FROM available_traits WHERE locale = ? ORDER BY id'
+    ).all(locale).map(row => ({ ...row, removed: row.removed === 1 }));
+  }
+
+  // Add a value, set its weight or bring back a removed one
+  async save(locale, category, value, weight) {
+    this.db.prepare(
+      `INSERT INTO available_traits (locale, category, value, weight) VALUES (?, ?, ?, ?)
+       ON CONFLICT (locale, category, value) DO UPDATE SET weight = excluded.weight, removed = 0`
+    ).run(locale, category, value, weight);
+  }
+
+  // Keep a removed row rather than deleting it, so the pack value stays out
+  async remove(locale, category, value) {
+    this.db.prepare(
+      `INSERT INTO available_traits (locale, category, value, removed) VALUES (?, ?, ?, 1)
+       ON CONFLICT (locale, category, value) DO UPDATE SET removed = 1`
+    ).run(locale, category, value);
+  }
+}
+
+module.exports = SqliteTraitRepository;
@@ -0,0 +1,69 @@
+const SqliteApiKeyRepository = require('./ApiKeyRepository');
+const SqliteCharacterRepository = require('./CharacterRepository');
+const SqliteIdempotencyRepository = require('./IdempotencyRepository');
+const SqliteJobRepository = require('./JobRepository');
+const SqliteMetricsRepository = require('./MetricsRepository');
+const SqliteRelationshipRepository = require('./RelationshipRepository');
+const SqliteTraitRepository = require('./TraitRepository');
+
+const DEFAULT_PATH = 'fictional_profiles.sqlite';
+
+// SQL handle for migrations and scripts. Transactions are plain BEGIN/COMMIT
+// around an async function, so only use them where nothing else runs queries
+// meanwhile (the migrate and seed scripts).
+const createSqlHandle = (db) => ({
+  dialect: 'sqlite',
+  query: async (statement, params = []) => {
+    const prepared = db.prepare(typeof statement === 'string' ? statement : statement.sqlite);
+    return prepared.reader ? prepared.all(params) : prepared.run(params);
+  },
+  transaction: async (fn) => {
+    db.exec('BEGIN');
+    try {
+      const result = await fn();
+      db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+});
+
+// SQLite storage in a single file (or ":memory:"); the schema comes from
+// `npm run migrate` and the trait catalogue from `npm run seed-data`
+const createStorage = ({ path = process.env.SQLITE_PATH || DEFAULT_PATH } = {}) => {
+  const Database = require('better-sqlite3');
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  return {
+    name: 'sqlite',
+    label: 'SQLite',
+    location: path,
+    enabled: true,
+    sql: createSqlHandle(db),
+    testConnection: async () => {
+      try {
+        db.prepare('SELECT 1').get();
+        return true;
+      } catch (error) {
+        console.error('SQLite connection error:', error.message);
+        return false;
+      }
+    },
+    close: async () => db.close(),
+    characters: new SqliteCharacterRepository(db),
+    jobs: new SqliteJobRepository(db),
+    relationships: new SqliteRelationshipRepository(db),
+    traits: new SqliteTraitRepository(db),
+    apiKeys: new SqliteApiKeyRepository(db),
+    metrics: new SqliteMetricsRepository(db),
+    idempotencyKeys: new SqliteIdempotencyRepository(db)
+  };
+};
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,10 @@
+// Timestamps are stored as ISO 8601 text in UTC, so they sort and compare as strings
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+// Timestamps come back as Date objects, as they do from mysql2
+const toDate = (value) => (value === null || value === undefined ? null : new Date(value));
+
+module.exports = {
+  NOW,
+  toDate
+};
@@ -0,0 +1,111 @@
+const { DEFAULT_LOCALE } = require('../services/locales');
+const {
+  CURRENT_GENERATOR_VERSION,
+  SUPPORTED_GENERATOR_VERSIONS,
+  isSupportedVersion,
+  isLocaleAvailable,
+  listVersionLocales
+} = require('../services/generatorVersions');
+const { validateParameters } = require('../services/characterSchema');
+
+const unsupportedLocale = (locale, version = CURRENT_GENERATOR_VERSION) => ({
+  success: false,
+  error: version === CURRENT_GENERATOR_VERSION
+    ? `Unsupported locale: ${locale}`
+    : `Locale ${locale} is not available in generator version ${version}`,
+  supported_locales: listVersionLocales(version)
+});
+
+const sendUnsupportedLocale = (res, locale, version) => res.status(400).json(unsupportedLocale(locale, version));
+
+// Parse locale and generator_version for a generation request. Returns
+// { locale, version }, or { error } holding the 400 body when either isn't
+// supported.
+const parseGeneratorOptions = (query) => {
+  let version = CURRENT_GENERATOR_VERSION;
+  if (query.generator_version !== undefined) {
+    version = Number(query.generator_version);
+    if (!isSupportedVersion(version)) {
+      return {
+        error: {
+          success: false,
+          error: `Unsupported generator version: ${query.generator_version}`,
+          supported_generator_versions: SUPPORTED_GENERATOR_VERSIONS
+        }
+      };
+    }
+  }
+
+  const locale = query.locale || DEFAULT_LOCALE;
+  if (!isLocaleAvailable(locale, version)) {
+    return { error: unsupportedLocale(locale, version) };
+  }
+
+  return { locale, version };
+};
+
+// Resolve ?locale= and ?generator_version= for a generation request.
+// Sends a 400 and returns null when either isn't supported.
+const resolveGeneratorOptions = (query, res) => {
+  const { error, ...resolved } = parseGeneratorOptions(query);
+  if (error) {
+    res.status(400).json(error);
+    return null;
+  }
+  return resolved;
+};
+
+// ?persist=false and its alias ?dry_run=true generate without saving anything
+const PERSIST_PARAMETERS = {
+  persist: { type: 'boolean' },
+  dry_run: { type: 'boolean' }
+};
+
+// Whether a generation request saves its characters. Sends a 400 and
+// returns null when persist or dry_run isn't a boolean, or they disagree.
+const resolvePersist = (query, res) => {
+  const details = validateParameters(query, PERSIST_PARAMETERS);
+  if (details.length === 0 && query.persist !== undefined && query.dry_run !== undefined
+    && (query.persist === 'true') === (query.dry_run === 'true')) {
+    details.push({
+      parameter: 'dry_run',
+      message: 'dry_run contradicts persist; give only one of them',
+      expected: { type: 'boolean', const: query.persist !== 'true' },
+      received: query.dry_run
+    });
+  }
+  if (details.length > 0) {
+    sendInvalidParameters(res, details);
+    return null;
+  }
+  return query.persist !== 'false' && query.dry_run !== 'true';
+};
+
+// Generation options given as JSON (GraphQL arguments, batch items) as the
+// query-string values validateGenerationQuery checks: numbers become strings
+// and unset options are left out
+const asQuery = (args) => {
+  const query = {};
+  Object.entries(args).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      query[key] = typeof value === 'number' ? String(value) : value;
+    }
+  });
+  return query;
+};
+
+// 400 listing every offending parameter as { parameter, message, expected, received }
+const sendInvalidParameters = (res, details) => res.status(400).json({
+  success: false,
+  error: 'Invalid parameters',
+  details
+});
+
+module.exports = {
+  sendUnsupportedLocale,
+  parseGeneratorOptions,
+  resolveGeneratorOptions,
+  resolvePersist,
+  asQuery,
+  sendInvalidParameters
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Seeded generation is deterministic, so its responses may be cached and
+// revalidated with If-None-Match. Unseeded responses differ every time and
+// must not be cached, or a retry or prefetch would see someone else's
+// character. Seeded responses are still private: a shared cache would hand
+// them out without the API key check and without charging the quota.
+
+const DEFAULT_SEEDED_MAX_AGE = 86400;
+
+const seededMaxAge = () => {
+  const value = parseInt(process.env.SEEDED_CACHE_MAX_AGE);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_SEEDED_MAX_AGE;
+};
+
+// A weak ETag for generated characters in a given representation (format,
+// fields). Ids and the `cached` flag are left out: storing a character
+// doesn't change what it is. The representation also says whether the
+// request stores the characters, so a dry run's ETag can't turn a storing
+// request into a 304 that stores nothing.
+const generatedETag = (characters, representation) => {
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify([representation, characters]))
+    .digest('base64url');
+  return `W/"${hash.slice(0, 27)}"`;
+};
+
+/**
+ * Mark a seeded response as cacheable and validate it against the client's
+ * If-None-Match. Sends a 304 and returns true when the client's copy is
+ * still current; the characters then don't need to be saved or sent.
+ */
+const sendIfModified = (req, res, characters, representation) => {
+  res.set({
+    ETag: generatedETag(characters, representation),
+    'Cache-Control': `private, max-age=${seededMaxAge()}`
+  });
+  res.vary('Accept');
+
+  if (req.fresh) {
+    res.locals.characters = 0;
+    res.status(304).end();
+    return true;
+  }
+  return false;
+};
+
+// Keep unseeded responses out of browser and proxy caches
+const preventCaching = (res) => {
+  res.set('Cache-Control', 'no-store');
+};
+
+module.exports = {
+  sendIfModified,
+  preventCaching
+};
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CharacterGenerator = require('../src/services/characterGenerator');
+const { SUPPORTED_GENERATOR_VERSIONS, listVersionLocales } = require('../src/services/generatorVersions');
+const { chiSquare, CHI_SQUARE_CRITICAL } = require('./helpers/statistics');
+const fixtures = require('./fixtures/seeded-characters.json');
+
+const VALUES = ['a', 'b', 'c', 'd', 'e'];
+
+// How often each value lands in each position of `samples`
+const positionCounts = (samples, values) => values.map((_, position) => values.map(
+  value => samples.filter(sample => sample[position] === value).length
+));
+
+test('randomSample puts every value in every position equally often', () => {
+  const generator = new CharacterGenerator('uniformity');
+  const samples = Array.from({ length: 20000 }, () => generator.randomSample(VALUES, VALUES.length));
+
+  samples.forEach(sample => assert.equal(new Set(sample).size, VALUES.length));
+  positionCounts(samples, VALUES).forEach(counts => {
+    assert.ok(chiSquare(counts) < CHI_SQUARE_CRITICAL[VALUES.length - 1], `biased position counts: ${counts}`);
+  });
+});
+
+test('randomSample picks every value equally often for partial samples', () => {
+  const generator = new CharacterGenerator('partial');
+  const counts = VALUES.map(() => 0);
+  for (let i = 0; i < 20000; i++) {
+    generator.randomSample(VALUES, 2).forEach(value => counts[VALUES.indexOf(value)]++);
+  }
+  assert.ok(chiSquare(counts) < CHI_SQUARE_CRITICAL[VALUES.length - 1], `biased counts: ${counts}`);
+});
+
+test('unseeded randomSample is uniform too', () => {
+  const generator = new CharacterGenerator();
+  const samples = Array.from({ length: 20000 }, () => generator.randomSample(VALUES, VALUES.length));
+  positionCounts(samples, VALUES).forEach(counts => {
+    assert.ok(chiSquare(counts) < CHI_SQUARE_CRITICAL.unseeded[VALUES.length - 1], `biased position counts: ${counts}`);
+  });
+});
+
+test('weightedChoice follows the weights', () => {
+  const generator = new CharacterGenerator('weights');
+  const weights = { a: 3, b: 1 };
+  const draws = Array.from({ length: 20000 }, () => generator.weightedChoice(['a', 'b'], weights));
+  const a = draws.filter(value => value === 'a').length;
+  // Observed a and b counts against the expected 3:1 split
+  const statistic = (a - 15000) ** 2 / 15000 + (draws.length - a - 5000) ** 2 / 5000;
+  assert.ok(statistic < CHI_SQUARE_CRITICAL[1], `a drawn ${a} times`);
+});
+
+test('seeded characters are the same on every run', () => {
+  const generate = () => new CharacterGenerator('repeat').generateMultiple(5, { locale: 'en-US', include: 'contact,employment' });
+  assert.deepEqual(generate(), generate());
+});
+
+test('every generator version has seeded fixtures', () => {
+  SUPPORTED_GENERATOR_VERSIONS.forEach(version => {
+    assert.deepEqual(Object.keys(fixtures[version] || {}).sort(), listVersionLocales(version).sort(), `fixtures for version ${version}`);
+  });
+});
+
+// A changed fixture means stored seeds no longer replay: bump the generator
+// version instead (see services/generatorVersions) and add fixtures for it
+Object.entries(fixtures).forEach(([version, locales]) => {
+  Object.entries(locales).forEach(([locale, { options, character }]) => {
+    test(`version ${version} reproduces its ${locale} fixture`, () => {
+      assert.deepEqual(new CharacterGenerator(`fixture-v${version}`, Number(version)).generate(options), character);
+    });
+  });
+});
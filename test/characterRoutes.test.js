@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage, useStorage } = require('../src/storage');
+const { startApi } = require('./helpers/api');
+
+let api;
+
+test.before(async () => {
+  useStorage(createStorage('memory'));
+  api = await startApi();
+});
+
+test.after(() => api.close());
+
+// The parameters a 400 Invalid parameters response lists
+const invalidParameters = ({ status, body }) => {
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Invalid parameters');
+  return body.details.map(detail => detail.parameter);
+};
+
+test('GET /characters filters stored characters', async () => {
+  await api.get('/character?count=3&seed=list&occupation=Teacher&locale=en-US');
+  const { status, body } = await api.get('/characters?occupation=Teacher&hobby=');
+  assert.equal(status, 200);
+  assert.equal(body.pagination.total, 3);
+});
+
+test('GET /characters rejects repeated and nested filters', async () => {
+  assert.deepEqual(invalidParameters(await api.get('/characters?hobby=a&hobby=b')), ['hobby']);
+  assert.deepEqual(invalidParameters(await api.get('/characters?occupation[x]=1')), ['occupation']);
+  assert.deepEqual(invalidParameters(await api.get('/characters?gender=robot&page=0')), ['gender', 'page']);
+});
+
+test('generation routes take a seed once, as a string', async () => {
+  for (const path of ['/character', '/characters/stream?count=1', '/family', '/social-circle']) {
+    const separator = path.includes('?') ? '&' : '?';
+    assert.deepEqual(invalidParameters(await api.get(`${path}${separator}seed=a&seed=b`)), ['seed'], path);
+    assert.deepEqual(invalidParameters(await api.get(`${path}${separator}seed[x]=a`)), ['seed'], path);
+  }
+  assert.equal((await api.get('/character?seed=a&dry_run=true')).status, 200);
+});
+
+test('a dry run\'s ETag does not answer a storing request', async () => {
+  const { headers: { etag } } = await api.get('/character?seed=etag&dry_run=true');
+  assert.equal((await api.get('/character?seed=etag&dry_run=true', { 'If-None-Match': etag })).status, 304);
+
+  const { status, body } = await api.get('/character?seed=etag', { 'If-None-Match': etag });
+  assert.equal(status, 200);
+  assert.equal(typeof body.data.id, 'number');
+});
@@ -0,0 +1,45 @@
+const http = require('http');
+const express = require('express');
+const apiRouters = require('../../src/routes');
+const authenticate = require('../../src/middleware/authenticate');
+
+// The API routers on an Express app set up like server.js's, listening on a
+// free port. `get(path, headers)` requests a path under /api/v1 and resolves
+// to { status, headers, body }, the body parsed as JSON when there is one.
+// It uses http rather than fetch, which marks conditional requests no-cache.
+const startApi = async () => {
+  const app = express();
+  app.set('query parser', 'extended');
+  app.use(express.json());
+  app.use('/api/v1', authenticate);
+  apiRouters.forEach(router => app.use('/api/v1', router));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+  const get = (path, headers = {}) => new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, { headers, agent: false }, response => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        text += chunk;
+      });
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: text ? JSON.parse(text) : null
+      }));
+    }).on('error', reject);
+  });
+
+  return {
+    get,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  startApi
+};
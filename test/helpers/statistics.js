@@ -0,0 +1,19 @@
+// Pearson's chi-square statistic of observed counts against equal expected counts
+const chiSquare = (counts) => {
+  const expected = counts.reduce((sum, count) => sum + count, 0) / counts.length;
+  return counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+};
+
+// Critical values by degrees of freedom. Seeded tests draw the same numbers
+// on every run, so p = 0.001 can't flake; unseeded ones use p = 0.000001.
+const CHI_SQUARE_CRITICAL = {
+  1: 10.83,
+  4: 18.47,
+  9: 27.88,
+  unseeded: { 1: 23.93, 4: 33.38, 9: 44.81 }
+};
+
+module.exports = {
+  chiSquare,
+  CHI_SQUARE_CRITICAL
+};
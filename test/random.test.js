@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SEEDED_ALGORITHMS, createSeededRandom, cryptoRandom } = require('../src/services/random');
+const { chiSquare, CHI_SQUARE_CRITICAL } = require('./helpers/statistics');
+
+const draws = (source, count) => Array.from({ length: count }, () => source());
+
+// Counts of `values` in each of `bins` equal slices of [0, 1)
+const histogram = (values, bins) => {
+  const counts = new Array(bins).fill(0);
+  values.forEach(value => {
+    counts[Math.floor(value * bins)]++;
+  });
+  return counts;
+};
+
+// The first draws for a fixed seed. Stored seeds replay from these
+// sequences, so they must never change.
+const FIRST_DRAWS = {
+  mulberry32: [0.4677815765608102, 0.9576418695505708, 0.39120850758627057, 0.43996696919202805, 0.3027209595311433],
+  'xoshiro128**': [0.6782824322581291, 0.3176345417741686, 0.19455894059501588, 0.11239245859906077, 0.5260573762934655]
+};
+
+Object.keys(SEEDED_ALGORITHMS).forEach(algorithm => {
+  test(`${algorithm} repeats its sequence for a seed`, () => {
+    assert.deepEqual(draws(createSeededRandom('repeat', algorithm), 100), draws(createSeededRandom('repeat', algorithm), 100));
+    assert.notDeepEqual(draws(createSeededRandom('repeat', algorithm), 100), draws(createSeededRandom('repeat2', algorithm), 100));
+  });
+
+  test(`${algorithm} gives the same first draws on every platform`, () => {
+    assert.deepEqual(draws(createSeededRandom('fixture', algorithm), FIRST_DRAWS[algorithm].length), FIRST_DRAWS[algorithm]);
+  });
+
+  test(`${algorithm} draws uniformly from [0, 1)`, () => {
+    const values = draws(createSeededRandom('uniformity', algorithm), 100000);
+    assert.ok(values.every(value => value >= 0 && value < 1));
+    assert.ok(chiSquare(histogram(values, 10)) < CHI_SQUARE_CRITICAL[9]);
+  });
+});
+
+test('createSeededRandom rejects unknown algorithms', () => {
+  assert.throws(() => createSeededRandom('seed', 'lcg'), /Unknown random algorithm "lcg"/);
+});
+
+test('cryptoRandom draws uniformly from [0, 1)', () => {
+  const values = draws(cryptoRandom, 100000);
+  assert.ok(values.every(value => value >= 0 && value < 1));
+  // Unseeded, so allow for a one-in-a-million unlucky run
+  assert.ok(chiSquare(histogram(values, 10)) < CHI_SQUARE_CRITICAL.unseeded[9]);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage, useStorage } = require('../src/storage');
+const { startApi } = require('./helpers/api');
+
+let api;
+
+test.before(async () => {
+  useStorage(createStorage('none'));
+  api = await startApi();
+});
+
+test.after(() => api.close());
+
+test('without storage, families and social circles are dry runs', async () => {
+  for (const path of ['/family?seed=none&size=4', '/social-circle?size=5', '/family?persist=true']) {
+    const { status, body } = await api.get(path);
+    assert.equal(status, 200, path);
+    assert.ok(body.data.members.every(member => member.id === null), path);
+    assert.ok(body.data.relationships.length > 0, path);
+    assert.ok(body.data.relationships.every(relationship => relationship.character_id === null), path);
+  }
+});
+
+test('without storage, stored relationships are still unavailable', async () => {
+  assert.equal((await api.get('/character/id/1/relationships')).status, 503);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Character = require('../src/models/Character');
+const CharacterGenerator = require('../src/services/characterGenerator');
+const { createStorage, getStorage, useStorage } = require('../src/storage');
+const { migrate } = require('../src/storage/migrator');
+
+// A fresh store for each driver that runs without a server
+const DRIVERS = {
+  memory: async () => createStorage('memory'),
+  sqlite: async () => {
+    const storage = createStorage('sqlite', { path: ':memory:' });
+    await migrate(storage.sql);
+    return storage;
+  },
+  none: async () => createStorage('none')
+};
+
+const characters = () => new CharacterGenerator('storage').generateMultiple(3, { locale: 'en-US', include: 'contact,employment' });
+
+Object.entries(DRIVERS).forEach(([driver, open]) => {
+  test(`${driver}: the models use the storage swapped in`, async () => {
+    const storage = useStorage(await open());
+    assert.equal(getStorage(), storage);
+
+    const saved = await Character.saveGenerated(characters());
+    if (!storage.enabled) {
+      assert.ok(saved.every(({ data }) => data.id === null));
+      return storage.close();
+    }
+
+    const [{ data }] = saved;
+    const { created_at: createdAt, ...found } = await Character.findById(data.id);
+    assert.ok(createdAt instanceof Date);
+    assert.deepEqual(found, data);
+    assert.equal(await Character.count(), 3);
+
+    // Seeded characters stored before come back from storage
+    const again = await Character.saveGenerated(characters());
+    assert.ok(again.every(({ cached }) => cached));
+    assert.equal(await Character.count(), 3);
+    await storage.close();
+  });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Trait = require('../src/models/Trait');
+const traitCatalogue = require('../src/services/traitCatalogue');
+const { getLocale } = require('../src/services/locales');
+const { createStorage, useStorage } = require('../src/storage');
+const { migrate } = require('../src/storage/migrator');
+
+const LOCALE = 'en-US';
+
+// A freshly migrated but unseeded SQLite database, and the memory driver
+const DRIVERS = {
+  sqlite: async () => {
+    const storage = createStorage('sqlite', { path: ':memory:' });
+    await migrate(storage.sql);
+    return storage;
+  },
+  memory: async () => createStorage('memory')
+};
+
+const occupations = async () => {
+  traitCatalogue.invalidate(LOCALE);
+  return (await traitCatalogue.refresh(LOCALE)).occupations;
+};
+
+Object.entries(DRIVERS).forEach(([driver, open]) => {
+  test(`${driver}: an unseeded catalogue is the locale pack`, async () => {
+    const storage = useStorage(await open());
+    const { traits } = await Trait.getAvailableTraits(LOCALE);
+    assert.deepEqual(traits.occupation, [...getLocale(LOCALE).occupations].sort((a, b) => a.localeCompare(b)));
+    assert.deepEqual(await occupations(), getLocale(LOCALE).occupations);
+    await storage.close();
+  });
+
+  test(`${driver}: added values join the pack's instead of replacing them`, async () => {
+    const storage = useStorage(await open());
+    assert.equal(await Trait.save(LOCALE, 'occupation', 'Astronaut', 2), true);
+    assert.equal(await Trait.save(LOCALE, 'occupation', 'Astronaut', 3), false);
+    assert.deepEqual(await occupations(), [...getLocale(LOCALE).occupations, 'Astronaut']);
+    assert.equal((await traitCatalogue.refresh(LOCALE)).weights.occupations.Astronaut, 3);
+    await storage.close();
+  });
+
+  test(`${driver}: removed pack values stay removed until added again`, async () => {
+    const storage = useStorage(await open());
+    const [removed, ...kept] = getLocale(LOCALE).occupations;
+    await Trait.delete(LOCALE, 'occupation', removed);
+    assert.deepEqual(await occupations(), kept);
+
+    assert.equal(await Trait.save(LOCALE, 'occupation', removed), true);
+    assert.deepEqual(await occupations(), getLocale(LOCALE).occupations);
+    await storage.close();
+  });
+});